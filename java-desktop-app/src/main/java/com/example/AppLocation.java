@@ -0,0 +1,247 @@
+package com.example;
+
+import java.io.IOException;
+import java.io.InputStream;
+import java.net.HttpURLConnection;
+import java.net.URISyntaxException;
+import java.net.URL;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.nio.file.Paths;
+import java.security.CodeSource;
+import java.util.ArrayList;
+import java.util.Collections;
+import java.util.List;
+import java.util.Properties;
+
+// Works out where the calculator UI is loaded from. The first of these that
+// is set decides, and the search stops there even if it fails, so a typo
+// never silently loads some other build:
+//   1. --dev or --dev=<url> on the command line: the Vite dev server
+//   2. --app=<dist folder, index.html or URL> on the command line
+//   3. the calculator.app system property (-Dcalculator.app=...)
+//   4. dev= or app= in calculator.properties, next to the jar or in the
+//      app-data directory
+// With none of them set, a built dist folder is looked for next to the jar,
+// in the working directory, in ../my-calculator/dist for a source checkout,
+// and finally inside the jar. Every place looked at is recorded so the error
+// page can list them.
+public class AppLocation {
+
+    public static final String DEFAULT_DEV_URL = "http://localhost:5173/";
+    public static final String SYSTEM_PROPERTY = "calculator.app";
+    public static final String CONFIG_FILE = "calculator.properties";
+
+    private static final int DEV_SERVER_TIMEOUT_MS = 1500;
+
+    private final String url;
+    private final List<String> attempts;
+    private List<String> openFiles = Collections.emptyList();
+
+    private AppLocation(String url, List<String> attempts) {
+        this.url = url;
+        this.attempts = Collections.unmodifiableList(attempts);
+    }
+
+    // The URL to load, or null when nothing was found.
+    public String getUrl() {
+        return url;
+    }
+
+    public List<String> getAttempts() {
+        return attempts;
+    }
+
+    // Workspace files named on the command line. They are picked out here
+    // because only this parser knows which arguments are option values.
+    public List<String> getOpenFiles() {
+        return openFiles;
+    }
+
+    public static AppLocation resolve(String[] args) {
+        List<String> openFiles = new ArrayList<>();
+        for (int i = 0; i < args.length; i++) {
+            if (args[i].equals("--app")) {
+                i++;
+            } else if (!args[i].startsWith("-")) {
+                openFiles.add(args[i]);
+            }
+        }
+        AppLocation location = resolveLocation(args);
+        location.openFiles = Collections.unmodifiableList(openFiles);
+        return location;
+    }
+
+    private static AppLocation resolveLocation(String[] args) {
+        List<String> attempts = new ArrayList<>();
+
+        // --- Explicit Settings ---
+        String dev = null;
+        String app = null;
+        for (int i = 0; i < args.length; i++) {
+            String arg = args[i];
+            if (arg.equals("--dev")) {
+                dev = DEFAULT_DEV_URL;
+            } else if (arg.startsWith("--dev=")) {
+                dev = arg.substring("--dev=".length());
+            } else if (arg.equals("--app") && i + 1 < args.length) {
+                app = args[++i];
+            } else if (arg.startsWith("--app=")) {
+                app = arg.substring("--app=".length());
+            } else if (arg.startsWith("-")) {
+                System.out.println("[JAVA] Ignoring unknown argument: " + arg);
+            }
+        }
+        if (dev != null) {
+            return new AppLocation(tryDevServer("--dev", dev, attempts), attempts);
+        }
+        if (app != null) {
+            return new AppLocation(tryLocation("--app", app, attempts), attempts);
+        }
+        String property = System.getProperty(SYSTEM_PROPERTY);
+        if (property != null && !property.isBlank()) {
+            return new AppLocation(tryLocation("-D" + SYSTEM_PROPERTY, property, attempts), attempts);
+        }
+
+        Path jarDirectory = jarDirectory();
+        List<Path> configFiles = new ArrayList<>();
+        if (jarDirectory != null) {
+            configFiles.add(jarDirectory.resolve(CONFIG_FILE));
+        }
+        configFiles.add(WorkspaceFiles.defaultDataDirectory().resolve(CONFIG_FILE));
+        for (Path configFile : configFiles) {
+            Properties config = readConfig(configFile, attempts);
+            if (config == null) {
+                continue;
+            }
+            String configDev = config.getProperty("dev");
+            if (configDev != null && !configDev.isBlank() && !configDev.equalsIgnoreCase("false")) {
+                String devUrl = configDev.equalsIgnoreCase("true") ? DEFAULT_DEV_URL : configDev;
+                return new AppLocation(tryDevServer(configFile + " (dev)", devUrl, attempts), attempts);
+            }
+            String configApp = config.getProperty("app");
+            if (configApp != null && !configApp.isBlank()) {
+                // Relative paths in the file are relative to the file.
+                Path relative = configFile.getParent().resolve(configApp);
+                String location = looksLikeUrl(configApp) ? configApp : relative.toString();
+                return new AppLocation(tryLocation(configFile + " (app)", location, attempts), attempts);
+            }
+            attempts.add(configFile + ": sets neither app nor dev");
+        }
+
+        // --- Defaults ---
+        List<Path> candidates = new ArrayList<>();
+        if (jarDirectory != null) {
+            candidates.add(jarDirectory.resolve("dist"));
+        }
+        candidates.add(Paths.get("dist"));
+        candidates.add(Paths.get("..", "my-calculator", "dist"));
+        for (Path candidate : candidates) {
+            String url = tryLocation("default", candidate.toString(), attempts);
+            if (url != null) {
+                return new AppLocation(url, attempts);
+            }
+        }
+
+        URL bundled = AppLocation.class.getResource("/dist/index.html");
+        if (bundled != null) {
+            return new AppLocation(bundled.toExternalForm(), attempts);
+        }
+        attempts.add("inside the jar: /dist/index.html (not packaged)");
+        return new AppLocation(null, attempts);
+    }
+
+    // A scheme of two or more letters, so Windows drive letters read as paths.
+    private static boolean looksLikeUrl(String location) {
+        return location.matches("^[a-zA-Z][a-zA-Z0-9+.-]+:.*");
+    }
+
+    // A dist folder, an index.html or a URL. http(s) URLs are checked like
+    // the dev server; other URLs are used as given.
+    private static String tryLocation(String source, String location, List<String> attempts) {
+        if (looksLikeUrl(location)) {
+            if (location.startsWith("http://") || location.startsWith("https://")) {
+                return tryDevServer(source, location, attempts);
+            }
+            return location;
+        }
+        Path path = Paths.get(location).toAbsolutePath().normalize();
+        Path index = Files.isDirectory(path) ? path.resolve("index.html") : path;
+        if (Files.isRegularFile(index)) {
+            return index.toUri().toString();
+        }
+        attempts.add(source + ": " + index + " (not found)");
+        return null;
+    }
+
+    private static String tryDevServer(String source, String url, List<String> attempts) {
+        try {
+            HttpURLConnection connection = (HttpURLConnection) new URL(url).openConnection();
+            connection.setConnectTimeout(DEV_SERVER_TIMEOUT_MS);
+            connection.setReadTimeout(DEV_SERVER_TIMEOUT_MS);
+            int status = connection.getResponseCode();
+            connection.disconnect();
+            if (status < 400) {
+                return url;
+            }
+            attempts.add(source + ": " + url + " (HTTP " + status + ")");
+        } catch (IOException | IllegalArgumentException e) {
+            attempts.add(source + ": " + url + " (not reachable: " + e.getMessage() + "; is `npm run dev` running?)");
+        }
+        return null;
+    }
+
+    private static Properties readConfig(Path file, List<String> attempts) {
+        if (!Files.isRegularFile(file)) {
+            attempts.add(file + " (no config file)");
+            return null;
+        }
+        Properties properties = new Properties();
+        try (InputStream in = Files.newInputStream(file)) {
+            properties.load(in);
+            return properties;
+        } catch (IOException e) {
+            attempts.add(file + " (could not be read: " + e.getMessage() + ")");
+            return null;
+        }
+    }
+
+    // The folder holding the jar, or the classes folder when run from an
+    // IDE or `mvn exec`.
+    private static Path jarDirectory() {
+        try {
+            CodeSource source = AppLocation.class.getProtectionDomain().getCodeSource();
+            if (source == null || source.getLocation() == null) {
+                return null;
+            }
+            Path location = Paths.get(source.getLocation().toURI());
+            return Files.isDirectory(location) ? location : location.getParent();
+        } catch (URISyntaxException | SecurityException e) {
+            return null;
+        }
+    }
+
+    // --- Error Page ---
+
+    public String errorPage() {
+        StringBuilder items = new StringBuilder();
+        for (String attempt : attempts) {
+            items.append("<li>").append(escape(attempt)).append("</li>");
+        }
+        return "<!doctype html><html><head><meta charset=\"UTF-8\"><title>Calculator not found</title>"
+                + "<style>body{font-family:sans-serif;margin:2em;color:#1f2937}code,li{font-family:monospace}"
+                + "li{margin:.3em 0}</style></head><body>"
+                + "<h1>The calculator UI could not be found</h1>"
+                + "<p>These locations were tried, in order:</p><ol>" + items + "</ol>"
+                + "<p>To fix this, do one of the following:</p><ul>"
+                + "<li>Build the UI with <code>npm run build</code> in <code>my-calculator</code> and put the <code>dist</code> folder next to the jar.</li>"
+                + "<li>Start with <code>--app=/path/to/dist</code> or <code>-D" + SYSTEM_PROPERTY + "=/path/to/dist</code>.</li>"
+                + "<li>Add <code>app=/path/to/dist</code> to <code>" + CONFIG_FILE + "</code> next to the jar.</li>"
+                + "<li>For development, run <code>npm run dev</code> and start with <code>--dev</code>.</li>"
+                + "</ul></body></html>";
+    }
+
+    private static String escape(String text) {
+        return text.replace("&", "&amp;").replace("<", "&lt;").replace(">", "&gt;");
+    }
+}
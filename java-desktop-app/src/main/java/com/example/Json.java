@@ -0,0 +1,73 @@
+package com.example;
+
+import java.util.LinkedHashMap;
+import java.util.List;
+import java.util.Map;
+
+// Just enough JSON writing for the payloads sent to the page: maps, lists,
+// strings, numbers, booleans and null.
+final class Json {
+
+    private Json() {
+    }
+
+    // Alternating keys and values: Json.object("path", path, "name", name).
+    // The result nests inside other objects.
+    static Map<String, Object> object(Object... keysAndValues) {
+        Map<String, Object> object = new LinkedHashMap<>();
+        for (int i = 0; i + 1 < keysAndValues.length; i += 2) {
+            object.put(String.valueOf(keysAndValues[i]), keysAndValues[i + 1]);
+        }
+        return object;
+    }
+
+    static String value(Object value) {
+        if (value == null) {
+            return "null";
+        }
+        if (value instanceof Boolean || value instanceof Number) {
+            return value.toString();
+        }
+        if (value instanceof Map) {
+            StringBuilder json = new StringBuilder("{");
+            for (Map.Entry<?, ?> entry : ((Map<?, ?>) value).entrySet()) {
+                if (json.length() > 1) {
+                    json.append(',');
+                }
+                json.append(string(String.valueOf(entry.getKey()))).append(':').append(value(entry.getValue()));
+            }
+            return json.append('}').toString();
+        }
+        if (value instanceof List) {
+            StringBuilder json = new StringBuilder("[");
+            for (Object item : (List<?>) value) {
+                if (json.length() > 1) {
+                    json.append(',');
+                }
+                json.append(value(item));
+            }
+            return json.append(']').toString();
+        }
+        return string(value.toString());
+    }
+
+    static String string(String text) {
+        StringBuilder json = new StringBuilder("\"");
+        for (char c : text.toCharArray()) {
+            switch (c) {
+                case '"': json.append("\\\""); break;
+                case '\\': json.append("\\\\"); break;
+                case '\n': json.append("\\n"); break;
+                case '\r': json.append("\\r"); break;
+                case '\t': json.append("\\t"); break;
+                default:
+                    if (c < 0x20 || c == '\u2028' || c == '\u2029') {
+                        json.append(String.format("\\u%04x", (int) c));
+                    } else {
+                        json.append(c);
+                    }
+            }
+        }
+        return json.append('"').toString();
+    }
+}
@@ -1,11 +1,22 @@
 package com.example;
 
 import javax.swing.*;
+import javax.swing.filechooser.FileNameExtensionFilter;
 import java.awt.*;
+import java.awt.event.InputEvent;
+import java.awt.event.KeyEvent;
+import java.awt.event.WindowAdapter;
+import java.awt.event.WindowEvent;
 import java.io.File;
-import java.io.FileWriter;
 import java.io.IOException;
-import java.net.MalformedURLException;
+import java.nio.charset.StandardCharsets;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.util.ArrayList;
+import java.util.Base64;
+import java.util.List;
+import java.util.Map;
+import java.util.stream.Collectors;
 
 import javafx.application.Platform;
 import javafx.concurrent.Worker;
@@ -13,6 +24,7 @@ import javafx.embed.swing.JFXPanel;
 import javafx.scene.Scene;
 import javafx.scene.web.WebEngine;
 import javafx.scene.web.WebView;
+import netscape.javascript.JSException;
 import netscape.javascript.JSObject;
 
 public class SwingBrowser extends JFrame {
@@ -25,59 +37,425 @@ public class SwingBrowser extends JFrame {
     // from removing it after the page loads. This is the key fix.
     private final JavaBridge bridge = new JavaBridge();
 
-    private static final String APP_INDEX_PATH = "C:/Users/Anish/my-calculator/dist/index.html";
-    private static final String URL_TO_LOAD = getLocalAppUrl(APP_INDEX_PATH);
+    private static final String APP_TITLE = "My React Desktop App";
 
-    // This is the bridge class that JavaScript will call
+    private final WorkspaceFiles workspaceFiles = new WorkspaceFiles();
+    // Set by the page whenever the workspace differs from the saved file.
+    private volatile boolean dirty = false;
+
+    private final AppLocation appLocation;
+
+    // Files opened from the OS before the page was ready to take them.
+    private final List<Path> pendingOpenFiles = new ArrayList<>();
+    private boolean pageReady = false;
+
+    // This is the bridge class that JavaScript will call (see bridge.js for
+    // the page side). Its methods run on the JavaFX thread. Methods that show
+    // a dialog take a request id first, hand off to Swing and answer later
+    // with a "result" event; the rest return directly.
     public class JavaBridge {
-        public void saveFile(String content, String fileName) {
+        public void saveFile(String requestId, String content, String fileName) {
             System.out.println("[JAVA] saveFile method called for: " + fileName);
+            SwingUtilities.invokeLater(() -> saveExport(requestId, fileName, content.getBytes(StandardCharsets.UTF_8)));
+        }
+
+        // Images and PDFs arrive base64-encoded.
+        public void saveBinaryFile(String requestId, String base64, String fileName) {
+            System.out.println("[JAVA] saveBinaryFile method called for: " + fileName);
+            byte[] bytes;
+            try {
+                bytes = Base64.getDecoder().decode(base64);
+            } catch (IllegalArgumentException e) {
+                sendError(requestId, "Could not save " + fileName + ": the data was not valid base64");
+                return;
+            }
+            SwingUtilities.invokeLater(() -> saveExport(requestId, fileName, bytes));
+        }
+
+        // --- Workspace Files ---
+
+        public void openWorkspace(String requestId) {
+            SwingUtilities.invokeLater(() -> {
+                File file = chooseWorkspaceFile(false);
+                if (file == null) {
+                    sendCancelled(requestId);
+                    return;
+                }
+                openWorkspaceFile(requestId, file.toPath());
+            });
+        }
+
+        public void openRecentWorkspace(String requestId, String path) {
+            SwingUtilities.invokeLater(() -> openWorkspaceFile(requestId, Path.of(path)));
+        }
+
+        // Saves to the file the workspace came from, asking for one the
+        // first time.
+        public void saveWorkspace(String requestId, String content) {
+            SwingUtilities.invokeLater(() -> saveWorkspaceContent(requestId, content, false));
+        }
+
+        public void saveWorkspaceAs(String requestId, String content) {
+            SwingUtilities.invokeLater(() -> saveWorkspaceContent(requestId, content, true));
+        }
+
+        // Answers "save" or "discard", or cancelled to keep working.
+        public void askToSaveChanges(String requestId) {
             SwingUtilities.invokeLater(() -> {
-                JFileChooser fileChooser = new JFileChooser();
-                fileChooser.setDialogTitle("Save File");
-                fileChooser.setSelectedFile(new File(fileName));
-
-                int userSelection = fileChooser.showSaveDialog(SwingBrowser.this);
-
-                if (userSelection == JFileChooser.APPROVE_OPTION) {
-                    File fileToSave = fileChooser.getSelectedFile();
-                    try (FileWriter fileWriter = new FileWriter(fileToSave)) {
-                        fileWriter.write(content);
-                        System.out.println("Successfully saved file: " + fileToSave.getAbsolutePath());
-                    } catch (IOException ex) {
-                        ex.printStackTrace();
-                        JOptionPane.showMessageDialog(SwingBrowser.this, "Error saving file: " + ex.getMessage(),
-                                "Error", JOptionPane.ERROR_MESSAGE);
-                    }
+                int choice = JOptionPane.showConfirmDialog(SwingBrowser.this,
+                        "Save changes to " + workspaceFiles.getCurrentFileName() + " before closing?",
+                        "Unsaved Changes", JOptionPane.YES_NO_CANCEL_OPTION, JOptionPane.WARNING_MESSAGE);
+                if (choice == JOptionPane.YES_OPTION) {
+                    sendResult(requestId, "save");
+                } else if (choice == JOptionPane.NO_OPTION) {
+                    sendResult(requestId, "discard");
+                } else {
+                    sendCancelled(requestId);
                 }
             });
         }
+
+        // Called once an opened file has been loaded into the page.
+        public void setCurrentFile(String path) {
+            SwingUtilities.invokeLater(() -> {
+                workspaceFiles.adopt(Path.of(path));
+                updateTitle();
+                sendEvent("recentFilesChanged", null);
+            });
+        }
+
+        // A JSON array of paths, most recent first.
+        public String getRecentFiles() {
+            return Json.value(workspaceFiles.getRecentFiles().stream()
+                    .map(Path::toString)
+                    .collect(Collectors.toList()));
+        }
+
+        public void setDirty(boolean isDirty) {
+            dirty = isDirty;
+            SwingUtilities.invokeLater(SwingBrowser.this::updateTitle);
+        }
+
+        // The page calls this once it is done with a windowClose event.
+        public void exit() {
+            SwingUtilities.invokeLater(SwingBrowser.this::exit);
+        }
+
+        // --- Autosave ---
+
+        public void autosave(String content) {
+            try {
+                workspaceFiles.autosave(content);
+            } catch (IOException e) {
+                System.out.println("[JAVA] Autosave failed: " + e.getMessage());
+            }
+        }
+
+        // The work left unsaved by the last session, or null.
+        public String getAutosave() {
+            return workspaceFiles.readAutosave();
+        }
+
+        public void discardAutosave() {
+            workspaceFiles.discardAutosave();
+        }
     }
 
-    public SwingBrowser() {
-        super("My React Desktop App");
-        initComponents();
+    // --- Workspace Dialogs ---
+    // These run on the Swing thread.
+
+    private void saveExport(String requestId, String fileName, byte[] bytes) {
+        JFileChooser fileChooser = new JFileChooser();
+        fileChooser.setDialogTitle("Save File");
+        fileChooser.setSelectedFile(new File(fileName));
+        int dot = fileName.lastIndexOf('.');
+        String extension = dot > 0 ? fileName.substring(dot + 1) : null;
+        if (extension != null) {
+            fileChooser.setFileFilter(new FileNameExtensionFilter(extension.toUpperCase() + " (*." + extension + ")", extension));
+        }
+
+        int userSelection = fileChooser.showSaveDialog(this);
+
+        File fileToSave = userSelection == JFileChooser.APPROVE_OPTION
+                ? checkSaveTarget(fileChooser.getSelectedFile(), extension, "Save File", null)
+                : null;
+        if (fileToSave == null) {
+            sendCancelled(requestId);
+            return;
+        }
+        try {
+            Files.write(fileToSave.toPath(), bytes);
+            System.out.println("Successfully saved file: " + fileToSave.getAbsolutePath());
+            sendResult(requestId, fileInfo(fileToSave.toPath()));
+        } catch (IOException ex) {
+            ex.printStackTrace();
+            sendError(requestId, "Could not save " + fileToSave.getName() + ": " + ex.getMessage());
+        }
+    }
+
+    private File chooseWorkspaceFile(boolean save) {
+        JFileChooser fileChooser = new JFileChooser();
+        fileChooser.setDialogTitle(save ? "Save Workspace" : "Open Workspace");
+        fileChooser.setFileFilter(new FileNameExtensionFilter("Workspace (*.json)", "json"));
+        Path current = workspaceFiles.getCurrentFile();
+        if (current != null) {
+            fileChooser.setSelectedFile(current.toFile());
+        } else if (save) {
+            fileChooser.setSelectedFile(new File("graph-workspace.json"));
+        }
+
+        int result = save ? fileChooser.showSaveDialog(this) : fileChooser.showOpenDialog(this);
+        if (result != JFileChooser.APPROVE_OPTION) {
+            return null;
+        }
+        File file = fileChooser.getSelectedFile();
+        return save ? checkSaveTarget(file, "json", "Save Workspace", current) : file;
     }
 
-    private static String getLocalAppUrl(String localPath) {
+    // Adds the extension when the name typed lacks it, and asks before
+    // replacing a file other than `current`. Returns null if the user
+    // declines.
+    private File checkSaveTarget(File file, String extension, String title, Path current) {
+        if (extension != null && !file.getName().toLowerCase().endsWith("." + extension.toLowerCase())) {
+            file = new File(file.getParentFile(), file.getName() + "." + extension);
+        }
+        if (file.exists() && !file.toPath().equals(current)) {
+            int overwrite = JOptionPane.showConfirmDialog(this, file.getName() + " already exists. Replace it?",
+                    title, JOptionPane.YES_NO_OPTION, JOptionPane.WARNING_MESSAGE);
+            if (overwrite != JOptionPane.YES_OPTION) {
+                return null;
+            }
+        }
+        return file;
+    }
+
+    private void openWorkspaceFile(String requestId, Path file) {
         try {
-            File file = new File(localPath);
-            if (file.exists()) {
-                return file.toURI().toURL().toString();
-            } else {
-                return "data:text/html,<h1>Error</h1><p>index.html not found</p>";
+            Map<String, Object> opened = fileInfo(file);
+            opened.put("content", workspaceFiles.read(file));
+            sendResult(requestId, opened);
+        } catch (IOException e) {
+            sendError(requestId, "Could not open " + file.getFileName() + ": " + e.getMessage());
+        }
+    }
+
+    private void saveWorkspaceContent(String requestId, String content, boolean saveAs) {
+        Path file = saveAs ? null : workspaceFiles.getCurrentFile();
+        if (file == null) {
+            File chosen = chooseWorkspaceFile(true);
+            if (chosen == null) {
+                sendCancelled(requestId);
+                return;
             }
-        } catch (MalformedURLException e) {
-            e.printStackTrace();
-            return "data:text/html,<h1>Error</h1><p>MalformedURLException</p>";
+            file = chosen.toPath();
         }
+        try {
+            workspaceFiles.save(file, content);
+            updateTitle();
+            sendResult(requestId, fileInfo(file));
+            sendEvent("recentFilesChanged", null);
+        } catch (IOException e) {
+            sendError(requestId, "Could not save " + file.getFileName() + ": " + e.getMessage());
+        }
+    }
+
+    private static Map<String, Object> fileInfo(Path file) {
+        return Json.object("path", file.toAbsolutePath().toString(), "name", file.getFileName().toString());
+    }
+
+    private void showError(String message) {
+        JOptionPane.showMessageDialog(this, message, "Error", JOptionPane.ERROR_MESSAGE);
+    }
+
+    private void updateTitle() {
+        setTitle((dirty ? "*" : "") + workspaceFiles.getCurrentFileName() + " - " + APP_TITLE);
+    }
+
+    // --- Files Opened From the OS ---
+    // Double-clicked workspaces and files named on the command line. They are
+    // held until the page is ready, then offered to it like any other open.
+    // Runs on the Swing thread.
+
+    private void openFromSystem(Path file) {
+        if (!pageReady) {
+            pendingOpenFiles.add(file);
+            return;
+        }
+        try {
+            Map<String, Object> opened = fileInfo(file);
+            opened.put("content", workspaceFiles.read(file));
+            sendEvent("openFile", opened);
+        } catch (IOException e) {
+            showError("Could not open " + file.getFileName() + ": " + e.getMessage());
+        }
+    }
+
+    private void onPageReady() {
+        pageReady = true;
+        List<Path> files = new ArrayList<>(pendingOpenFiles);
+        pendingOpenFiles.clear();
+        files.forEach(this::openFromSystem);
+    }
+
+    private void installOpenFileHandler() {
+        if (!Desktop.isDesktopSupported() || !Desktop.getDesktop().isSupported(Desktop.Action.APP_OPEN_FILE)) {
+            return;
+        }
+        Desktop.getDesktop().setOpenFileHandler(event -> SwingUtilities.invokeLater(
+                () -> event.getFiles().forEach(file -> openFromSystem(file.toPath()))));
+    }
+
+    // --- Page Events ---
+    // Calls window.onJavaBridgeEvent(type, json) in the page, where json is
+    // the payload as a JSON string or null.
+
+    private void sendEvent(String type, Object payload) {
+        String json = payload != null ? Json.value(payload) : null;
+        Platform.runLater(() -> {
+            if (webEngine == null) {
+                return;
+            }
+            try {
+                JSObject window = (JSObject) webEngine.executeScript("window");
+                window.call("onJavaBridgeEvent", type, json);
+            } catch (JSException e) {
+                System.out.println("[JAVA] The page did not handle event " + type + ": " + e.getMessage());
+            }
+        });
+    }
+
+    private void sendResult(String requestId, Object value) {
+        sendEvent("result", Json.object("requestId", requestId, "status", "ok", "value", value));
+    }
+
+    private void sendCancelled(String requestId) {
+        sendEvent("result", Json.object("requestId", requestId, "status", "cancelled"));
+    }
+
+    private void sendError(String requestId, String message) {
+        System.out.println("[JAVA] " + message);
+        sendEvent("result", Json.object("requestId", requestId, "status", "error", "message", message));
+    }
+
+    // --- Menu Bar ---
+    // Items are sent to the page as "menu" events naming a command in
+    // src/commands.js; the ids and shortcuts here must match it. The page
+    // leaves these shortcuts to the menu so they do not run twice.
+
+    private JMenuBar createMenuBar() {
+        int mod = Toolkit.getDefaultToolkit().getMenuShortcutKeyMaskEx();
+        int shift = InputEvent.SHIFT_DOWN_MASK;
+        int alt = InputEvent.ALT_DOWN_MASK;
+        JMenuBar menuBar = new JMenuBar();
+
+        JMenu file = new JMenu("File");
+        file.add(commandItem("Open Workspace...", "open", KeyEvent.VK_O, mod));
+        file.add(commandItem("Save Workspace", "save", KeyEvent.VK_S, mod));
+        file.add(commandItem("Save Workspace As...", "saveAs", KeyEvent.VK_S, mod | shift));
+        file.addSeparator();
+        file.add(commandItem("Export Image...", "export", KeyEvent.VK_E, mod));
+        file.addSeparator();
+        JMenuItem exit = new JMenuItem("Exit");
+        exit.addActionListener(e -> handleWindowClosing());
+        file.add(exit);
+        menuBar.add(file);
+
+        JMenu edit = new JMenu("Edit");
+        edit.add(commandItem("Undo", "undo", KeyEvent.VK_Z, mod));
+        edit.add(commandItem("Redo", "redo", KeyEvent.VK_Z, mod | shift));
+        menuBar.add(edit);
+
+        JMenu view = new JMenu("View");
+        view.add(commandItem("Zoom In", "zoomIn", KeyEvent.VK_EQUALS, mod));
+        view.add(commandItem("Zoom Out", "zoomOut", KeyEvent.VK_MINUS, mod));
+        view.add(commandItem("Reset View", "resetView", KeyEvent.VK_0, mod));
+        view.add(commandItem("Zoom to Fit", "zoomToFit", KeyEvent.VK_F, mod | shift));
+        view.add(commandItem("Previous View", "viewBack", KeyEvent.VK_OPEN_BRACKET, mod));
+        view.add(commandItem("Next View", "viewForward", KeyEvent.VK_CLOSE_BRACKET, mod));
+        view.addSeparator();
+        view.add(commandItem("Lock 1:1 Aspect", "toggleAspect", KeyEvent.VK_A, mod | alt));
+        view.add(commandItem("Show Grid", "toggleGrid", KeyEvent.VK_G, mod));
+        view.add(commandItem("Dark Mode", "toggleDarkMode", KeyEvent.VK_D, mod | shift));
+        menuBar.add(view);
+
+        JMenu analysis = new JMenu("Analysis");
+        analysis.add(commandItem("Find Intersections", "intersections", KeyEvent.VK_1, mod | alt));
+        analysis.add(commandItem("Find Zeros", "zeros", KeyEvent.VK_2, mod | alt));
+        analysis.add(commandItem("Find Extrema", "extrema", KeyEvent.VK_3, mod | alt));
+        analysis.add(commandItem("Calculate Integral", "integral", KeyEvent.VK_4, mod | alt));
+        analysis.add(commandItem("Calculate Derivative", "derivative", KeyEvent.VK_5, mod | alt));
+        analysis.addSeparator();
+        analysis.add(commandItem("Clear Analysis", "clearAnalysis", KeyEvent.VK_0, mod | alt));
+        menuBar.add(analysis);
+
+        JMenu help = new JMenu("Help");
+        help.add(commandItem("Keyboard Shortcuts", "shortcuts", KeyEvent.VK_SLASH, mod));
+        JMenuItem about = new JMenuItem("About");
+        about.addActionListener(e -> JOptionPane.showMessageDialog(this,
+                APP_TITLE + "\nA graphing calculator built with React, running in a JavaFX WebView.",
+                "About", JOptionPane.INFORMATION_MESSAGE));
+        help.add(about);
+        menuBar.add(help);
+
+        return menuBar;
+    }
+
+    private JMenuItem commandItem(String label, String command, int keyCode, int modifiers) {
+        JMenuItem item = new JMenuItem(label);
+        item.setAccelerator(KeyStroke.getKeyStroke(keyCode, modifiers));
+        item.addActionListener(e -> sendEvent("menu", Json.object("command", command)));
+        return item;
+    }
+
+    // --- Closing ---
+    // The page decides: it may ask to save first, and calls exit() when it is
+    // done. Without a page to ask (it failed to load, or is still loading),
+    // the window closes at once.
+
+    private void handleWindowClosing() {
+        if (!pageReady) {
+            exit();
+            return;
+        }
+        Platform.runLater(() -> {
+            try {
+                JSObject window = (JSObject) webEngine.executeScript("window");
+                window.call("onJavaBridgeEvent", "windowClose", null);
+            } catch (JSException e) {
+                SwingUtilities.invokeLater(this::exit);
+            }
+        });
+    }
+
+    // A normal exit leaves no autosave behind to restore.
+    private void exit() {
+        workspaceFiles.discardAutosave();
+        dispose();
+        Platform.exit();
+        System.exit(0);
+    }
+
+    public SwingBrowser(AppLocation appLocation) {
+        super(APP_TITLE);
+        this.appLocation = appLocation;
+        initComponents();
+        installOpenFileHandler();
+        appLocation.getOpenFiles().forEach(file -> openFromSystem(Path.of(file)));
     }
 
     private void initComponents() {
         createScene();
+        setJMenuBar(createMenuBar());
         setLayout(new BorderLayout());
         add(jfxPanel, BorderLayout.CENTER);
-        setDefaultCloseOperation(JFrame.EXIT_ON_CLOSE);
+        setDefaultCloseOperation(JFrame.DO_NOTHING_ON_CLOSE);
+        addWindowListener(new WindowAdapter() {
+            @Override
+            public void windowClosing(WindowEvent e) {
+                handleWindowClosing();
+            }
+        });
+        updateTitle();
         setSize(1280, 800);
         setLocationRelativeTo(null);
     }
@@ -87,6 +465,9 @@ public class SwingBrowser extends JFrame {
             WebView view = new WebView();
             webEngine = view.getEngine();
             webEngine.setJavaScriptEnabled(true);
+            // Tells the page to wait for the bridge rather than fall back to
+            // browser downloads; the bridge is only injected after loading.
+            webEngine.setUserAgent(webEngine.getUserAgent() + " GraphingCalculatorDesktop");
 
             webEngine.setOnAlert(event -> SwingUtilities.invokeLater(() -> JOptionPane.showMessageDialog(this,
                     event.getData(), "Message from Web Page", JOptionPane.INFORMATION_MESSAGE)));
@@ -102,18 +483,31 @@ public class SwingBrowser extends JFrame {
                             window.setMember("javaBridge", bridge);
 
                             System.out.println("[DEBUG] Java bridge injected successfully.");
+                            sendEvent("ready", null);
+                            SwingUtilities.invokeLater(this::onPageReady);
                         }
                     });
 
-            System.out.println("Attempting to load URL: " + URL_TO_LOAD);
-            webEngine.load(URL_TO_LOAD);
+            if (appLocation.getUrl() != null) {
+                System.out.println("Attempting to load URL: " + appLocation.getUrl());
+                webEngine.load(appLocation.getUrl());
+            } else {
+                System.out.println("[JAVA] Calculator UI not found. Tried:");
+                appLocation.getAttempts().forEach(attempt -> System.out.println("  " + attempt));
+                webEngine.loadContent(appLocation.errorPage());
+            }
             jfxPanel.setScene(new Scene(view));
         });
     }
 
+    // Usage: SwingBrowser [--dev[=url]] [--app=<dist folder, index.html or URL>] [workspace.json ...]
+    // See AppLocation for the full search order.
     public static void main(String[] args) {
+        // Resolved before the window opens; checking for the dev server can
+        // take a moment.
+        AppLocation appLocation = AppLocation.resolve(args);
         SwingUtilities.invokeLater(() -> {
-            SwingBrowser browser = new SwingBrowser();
+            SwingBrowser browser = new SwingBrowser(appLocation);
             browser.setVisible(true);
         });
     }
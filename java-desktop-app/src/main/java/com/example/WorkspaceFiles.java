@@ -0,0 +1,164 @@
+package com.example;
+
+import java.io.IOException;
+import java.nio.charset.StandardCharsets;
+import java.nio.file.AtomicMoveNotSupportedException;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.nio.file.Paths;
+import java.nio.file.StandardCopyOption;
+import java.util.ArrayList;
+import java.util.List;
+import java.util.stream.Collectors;
+
+// Keeps track of the workspace file being edited, the recent-files list and
+// the autosave copy. Recent files and the autosave live in a per-user
+// app-data directory. The autosave is deleted whenever the work is saved or
+// the app closes normally, so one that exists at launch means the last
+// session ended with unsaved changes.
+public class WorkspaceFiles {
+
+    private static final int MAX_RECENT_FILES = 10;
+
+    private final Path dataDirectory;
+    private final Path autosaveFile;
+    private final Path recentFilesList;
+    private Path currentFile;
+
+    public WorkspaceFiles() {
+        this(defaultDataDirectory());
+    }
+
+    public WorkspaceFiles(Path dataDirectory) {
+        this.dataDirectory = dataDirectory;
+        this.autosaveFile = dataDirectory.resolve("autosave.json");
+        this.recentFilesList = dataDirectory.resolve("recent-files.txt");
+    }
+
+    // %APPDATA% on Windows, Application Support on macOS and the XDG data
+    // directory elsewhere.
+    public static Path defaultDataDirectory() {
+        String os = System.getProperty("os.name", "").toLowerCase();
+        String home = System.getProperty("user.home");
+        if (os.contains("win")) {
+            String appData = System.getenv("APPDATA");
+            return Paths.get(appData != null ? appData : home, "GraphingCalculator");
+        }
+        if (os.contains("mac")) {
+            return Paths.get(home, "Library", "Application Support", "GraphingCalculator");
+        }
+        String dataHome = System.getenv("XDG_DATA_HOME");
+        Path base = dataHome != null && !dataHome.isEmpty() ? Paths.get(dataHome) : Paths.get(home, ".local", "share");
+        return base.resolve("graphing-calculator");
+    }
+
+    public Path getCurrentFile() {
+        return currentFile;
+    }
+
+    public String getCurrentFileName() {
+        return currentFile != null ? currentFile.getFileName().toString() : "Untitled";
+    }
+
+    // --- Open and Save ---
+
+    // Reading a file does not make it current: the page previews it first
+    // and calls adopt once the user has agreed to load it.
+    public String read(Path file) throws IOException {
+        return Files.readString(file, StandardCharsets.UTF_8);
+    }
+
+    public void adopt(Path file) {
+        currentFile = file;
+        remember(file);
+    }
+
+    public void save(Path file, String content) throws IOException {
+        writeAtomically(file, content);
+        adopt(file);
+        discardAutosave();
+    }
+
+    // Writes next to the target and then moves into place, so a crash part
+    // way through never leaves a truncated workspace behind. Filesystems
+    // without atomic moves (some network shares) get a plain replace.
+    private static void writeAtomically(Path file, String content) throws IOException {
+        Path directory = file.toAbsolutePath().getParent();
+        Files.createDirectories(directory);
+        Path temp = Files.createTempFile(directory, ".workspace", ".tmp");
+        try {
+            Files.writeString(temp, content, StandardCharsets.UTF_8);
+            try {
+                Files.move(temp, file, StandardCopyOption.REPLACE_EXISTING, StandardCopyOption.ATOMIC_MOVE);
+            } catch (AtomicMoveNotSupportedException e) {
+                Files.move(temp, file, StandardCopyOption.REPLACE_EXISTING);
+            }
+        } catch (IOException e) {
+            Files.deleteIfExists(temp);
+            throw e;
+        }
+    }
+
+    // --- Recent Files ---
+
+    // Most recent first; files that no longer exist are left out.
+    public List<Path> getRecentFiles() {
+        if (!Files.exists(recentFilesList)) {
+            return new ArrayList<>();
+        }
+        try {
+            return Files.readAllLines(recentFilesList, StandardCharsets.UTF_8).stream()
+                    .filter(line -> !line.isBlank())
+                    .map(Paths::get)
+                    .filter(Files::exists)
+                    .collect(Collectors.toList());
+        } catch (IOException e) {
+            System.out.println("[JAVA] Could not read recent files: " + e.getMessage());
+            return new ArrayList<>();
+        }
+    }
+
+    private void remember(Path file) {
+        Path absolute = file.toAbsolutePath();
+        List<Path> recent = getRecentFiles();
+        recent.remove(absolute);
+        recent.add(0, absolute);
+        List<String> lines = recent.stream()
+                .limit(MAX_RECENT_FILES)
+                .map(Path::toString)
+                .collect(Collectors.toList());
+        try {
+            Files.createDirectories(dataDirectory);
+            Files.write(recentFilesList, lines, StandardCharsets.UTF_8);
+        } catch (IOException e) {
+            System.out.println("[JAVA] Could not update recent files: " + e.getMessage());
+        }
+    }
+
+    // --- Autosave ---
+
+    public void autosave(String content) throws IOException {
+        writeAtomically(autosaveFile, content);
+    }
+
+    // The autosaved workspace, or null when the last session ended cleanly.
+    public String readAutosave() {
+        if (!Files.exists(autosaveFile)) {
+            return null;
+        }
+        try {
+            return Files.readString(autosaveFile, StandardCharsets.UTF_8);
+        } catch (IOException e) {
+            System.out.println("[JAVA] Could not read autosave: " + e.getMessage());
+            return null;
+        }
+    }
+
+    public void discardAutosave() {
+        try {
+            Files.deleteIfExists(autosaveFile);
+        } catch (IOException e) {
+            System.out.println("[JAVA] Could not delete autosave: " + e.getMessage());
+        }
+    }
+}
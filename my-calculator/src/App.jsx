@@ -1,105 +1,56 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { Plus, Minus, Move, Download, Save, FolderOpen, Target, Sigma, Sun, Moon, Spline, GitCommit, ArrowUp, ArrowDown, UnfoldVertical, XCircle, ChevronUp, ChevronDown, TrendingUp } from 'lucide-react';
+import React, { cloneElement, useState, useRef, useEffect, useLayoutEffect, useCallback, useMemo, useId } from 'react';
+import { Plus, Minus, Move, Download, Save, FolderOpen, Target, Sigma, Sun, Moon, Spline, GitCommit, ArrowUp, ArrowDown, UnfoldVertical, XCircle, SaveAll, Undo2, Redo2, History, Link, Unlink, Columns2, Rows2, LayoutGrid, ChevronUp, ChevronDown, TrendingUp, Play, Pause, SlidersHorizontal, Table2, Upload, X, Crosshair, Keyboard, ChevronLeft, ChevronRight, Maximize2, Scan, Ratio, Footprints, MapPinOff, AudioLines, Square, SquareFunction, Copy, Calculator } from 'lucide-react';
 import * as mathjs from 'mathjs'; // Use the locally installed mathjs library
-
-// --- Numerical Analysis Helpers ---
-
-const calculateDerivative = (func, x, h = 1e-7) => {
-    const f_x = func(x);
-    if (!isFinite(f_x)) return { value: NaN, left: NaN, right: NaN };
-
-    const f_xh_plus = func(x + h);
-    const f_xh_minus = func(x - h);
-
-    if (!isFinite(f_xh_plus) || !isFinite(f_xh_minus)) {
-         return { value: NaN, left: NaN, right: NaN };
-    }
-
-    const rightDerivative = (f_xh_plus - f_x) / h;
-    const leftDerivative = (f_x - f_xh_minus) / h;
-
-    // Check for non-differentiability (e.g., sharp corners in abs(x))
-    if (Math.abs(rightDerivative - leftDerivative) > 1e-3) {
-        return { value: NaN, left: leftDerivative, right: rightDerivative };
-    }
-
-    // Use a more accurate central difference formula when differentiable
-    const centralDerivative = (f_xh_plus - f_xh_minus) / (2 * h);
-    return { value: centralDerivative, left: leftDerivative, right: rightDerivative };
-};
-
-
-const findRoot = (func, a, b, tolerance = 1e-7, maxIter = 100) => {
-    let fa = func(a);
-    let fb = func(b);
-    if (isNaN(fa) || isNaN(fb) || fa * fb >= 0) return null;
-
-    let c;
-    for (let i = 0; i < maxIter; i++) {
-        c = (a + b) / 2;
-        let fc = func(c);
-        if (isNaN(fc)) return null;
-        if (Math.abs(fc) < tolerance || (b - a) / 2 < tolerance) return c;
-        if (fa * fc < 0) { b = c; fb = fc; }
-        else { a = c; fa = fc; }
-    }
-    return c;
-};
-
-const scanForRoots = (func, xMin, xMax, steps = 2000) => {
-    const roots = [];
-    const stepSize = (xMax - xMin) / steps;
-    let lastY = func(xMin);
-
-    for (let i = 1; i <= steps; i++) {
-        const x = xMin + i * stepSize;
-        const y = func(x);
-        if (!isFinite(y) || !isFinite(lastY)) {
-            lastY = y;
-            continue;
-        }
-        if (lastY * y < 0) {
-            const root = findRoot(func, x - stepSize, x);
-            if (root !== null && !roots.some(r => Math.abs(r - root) < 1e-5)) {
-                roots.push(root);
-            }
-        }
-        lastY = y;
-    }
-    return roots;
-};
-
-const calculateIntegral = (func, a, b, n = 1000) => {
-    if (typeof a !== 'number' || typeof b !== 'number' || !isFinite(a) || !isFinite(b)) return NaN;
-    const h = (b - a) / n;
-    let sum = 0;
-    try {
-        const startVal = func(a);
-        const endVal = func(b);
-        if(!isFinite(startVal) || !isFinite(endVal)) return NaN;
-        sum = 0.5 * (startVal + endVal);
-        for (let i = 1; i < n; i++) {
-            const val = func(a + i * h);
-            if (!isFinite(val)) continue;
-            sum += val;
-        }
-    } catch(e) { return NaN; }
-    return h * sum;
-};
+import { parseExpression } from './compileCache.js';
+import { createEquation, equationLabel, getEquationKind, getParameterRange, getPlotText, isEquationComplete, snapToSegments } from './curves.js';
+import { buildScope, collectDefinitions, expandDefinitions } from './definitions.js';
+import { createTable, readTable } from './dataTables.js';
+import { parseDefinition } from './expressions.js';
+import { getGraphWorker } from './graphWorker.js';
+import { advanceParameters, detectParameters, parameterScope, resolveParameter } from './parameters.js';
+import { REGRESSION_MODELS, regressionLabel } from './regression.js';
+import { canRedo, canUndo, createHistory, describeChange, presentSnapshot, recordChange, replacePresent, sameSnapshot } from './history.js';
+import { DEFAULT_ANALYSIS_PARAMS, EMPTY_RESULTS, diffWorkspace, readWorkspace, sameParts, serializeWorkspace, workspaceParts } from './workspace.js';
+import { getBridge } from './bridge.js';
+import { HOLD_SLOP, LONG_PRESS_MS, applyPinch, coast, isCoasting, pinchState, releaseVelocity, trackVelocity, wheelZoomFactor } from './gestures.js';
+import { buildPanelScene, drawScene } from './scene.js';
+import { DEFAULT_SONIFY_OPTIONS, PITCH_RANGES, analysisCues, buildScore } from './sonify.js';
+import { playSonification, stopSonification } from './audio.js';
+import { PALETTES, applyPalette, nextColor } from './palettes.js';
+import { MAX_ORDER } from './cas.js';
+import { toMathML } from './mathml.js';
+import { KEYPAD_KEYS, applyCompletion, applyKey, completionNames, completionsAt, previewNode, syntaxError } from './editor.js';
+import { analysisAnnouncement, descriptionRows, graphSummary, viewSummary } from './describe.js';
+import { DEFAULT_EXPORT_OPTIONS, EXPORT_FORMATS, renderExport, validateExportOptions } from './exporter.js';
+import { COMMANDS, MENUS, formatShortcut, isEditable, matchShortcut } from './commands.js';
+import { DEFAULT_VIEW, EMPTY_VIEW_NAV, PANEL_LAYOUTS, applyView, createPanel, isShownInPanel, layoutGrid, recordView, setPanelLinked, stepView, togglePanelItem } from './panels.js';
+import { AXIS_SCALES, DEFAULT_SETTINGS, TICK_MODES, axisAt, boundsOf, createMapping, fitViewToScales, isLinear, panView, viewAround, viewBoundError, withAspect, zoomView } from './axes.js';
 
 // --- React Components ---
 
+// Shown on hover and on keyboard focus. Most tooltips sit on icon-only
+// buttons, so the text also becomes the button's accessible name.
 const Tooltip = ({ children, text }) => (
     <div className="relative flex items-center group">
-        {children}
-        <div className="absolute bottom-full mb-2 w-max bg-gray-700 text-white text-xs rounded py-1 px-2 opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none z-50">
+        {cloneElement(children, { 'aria-label': children.props['aria-label'] || text })}
+        <div aria-hidden="true" className="absolute bottom-full mb-2 w-max bg-gray-700 text-white text-xs rounded py-1 px-2 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none z-50">
             {text}
         </div>
     </div>
 );
 
-const NumberInputWithSteppers = ({ value, onChange, step = 1, label }) => {
+// Integral bounds also accept ∞ or inf, with an optional sign.
+const parseBound = (text) => {
+    const infinite = /^\s*([+-]?)\s*(∞|inf(inity)?)\s*$/i.exec(text);
+    if (infinite) return infinite[1] === '-' ? -Infinity : Infinity;
+    return parseFloat(text);
+};
+const formatBound = (value) => (value === Infinity ? '∞' : value === -Infinity ? '-∞' : value);
+
+// `name` labels the input for screen readers where no visible `label` is given.
+const NumberInputWithSteppers = ({ value, onChange, step = 1, label, name, allowInfinity = false, invalid = false }) => {
     const handleStep = (direction) => {
+        if (!isFinite(value) && typeof value === 'number') return;
         const numericValue = parseFloat(value) || 0;
         const newValue = direction === 'up' ? numericValue + step : numericValue - step;
         const precision = Math.max((step.toString().split('.')[1] || '').length, (value.toString().split('.')[1] || '').length);
@@ -111,30 +62,262 @@ const NumberInputWithSteppers = ({ value, onChange, step = 1, label }) => {
             {label && <label className="text-xs absolute -top-2 left-2 bg-gray-50 dark:bg-gray-800 px-1 text-gray-500">{label}</label>}
             <input
                 type="text"
-                value={value}
+                aria-label={label || name}
+                aria-invalid={invalid}
+                value={allowInfinity ? formatBound(value) : value}
+                onKeyDown={(e) => {
+                    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+                    e.preventDefault();
+                    handleStep(e.key === 'ArrowUp' ? 'up' : 'down');
+                }}
                 onChange={(e) => {
-                    const sanitizedValue = e.target.value.replace(/[^0-9.-]/g, '');
+                    const sanitizedValue = e.target.value.replace(allowInfinity ? /[^0-9.\-+∞a-z]/gi : /[^0-9.-]/g, '');
                     onChange(sanitizedValue);
                 }}
                 onBlur={(e) => {
-                    const parsed = parseFloat(e.target.value);
+                    const parsed = allowInfinity ? parseBound(e.target.value) : parseFloat(e.target.value);
                     onChange(isNaN(parsed) ? 0 : parsed);
                 }}
-                className={`w-full p-2 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 focus:ring-blue-500 text-center pr-6 ${label ? 'pt-3' : ''}`}
+                className={`w-full p-2 rounded-md bg-white dark:bg-gray-800 border ${invalid ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'} focus:ring-blue-500 text-center pr-6 ${label ? 'pt-3' : ''}`}
             />
             <div className="absolute right-0 top-0 bottom-0 flex flex-col justify-center">
-                <button onClick={() => handleStep('up')} className="h-1/2 px-1 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200"><ChevronUp size={14} /></button>
-                <button onClick={() => handleStep('down')} className="h-1/2 px-1 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200"><ChevronDown size={14} /></button>
+                <button onClick={() => handleStep('up')} tabIndex={-1} aria-label={`Increase ${label || name || 'value'}`} className="h-1/2 px-1 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200"><ChevronUp size={14} /></button>
+                <button onClick={() => handleStep('down')} tabIndex={-1} aria-label={`Decrease ${label || name || 'value'}`} className="h-1/2 px-1 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200"><ChevronDown size={14} /></button>
             </div>
         </div>
     );
 };
 
-const GraphCanvas = ({ equations, view, setView, settings, darkMode, math, analysis }) => {
+// Typeset maths from mathml.js, which builds the markup from parsed
+// expressions with every name and number escaped.
+const MathView = ({ mathml }) => (
+    <div className="overflow-x-auto py-1">
+        <math display="block" dangerouslySetInnerHTML={{ __html: mathml }} />
+    </div>
+);
+
+// --- Math Input ---
+// An equation field. While it has focus it shows the expression typeset
+// and offers to complete the name being typed; a syntax error is shown
+// under it at all times, with the character the parser stopped at marked.
+// With `keypad` on, a keypad for symbols that are awkward to type on a
+// touch screen stands in for the system keyboard.
+const MathInput = ({ value, onChange, label, prefix, placeholder, relation = false, math, names, keypad = false }) => {
+    const inputRef = useRef(null);
+    const pendingCaret = useRef(null);
+    const [focused, setFocused] = useState(false);
+    const [caret, setCaret] = useState(0);
+    const [choice, setChoice] = useState(-1);
+    const [dismissed, setDismissed] = useState(false);
+    const id = useId();
+
+    const error = useMemo(() => (math ? syntaxError(math, value, relation) : null), [math, value, relation]);
+    const preview = useMemo(() => {
+        const node = math && !error ? previewNode(math, value, relation) : null;
+        return node && toMathML(node);
+    }, [math, value, relation, error]);
+    const completion = focused && !dismissed ? completionsAt(value, caret, names) : null;
+    // Nothing is chosen until the arrow keys pick a name, so typing on
+    // never completes by accident; Enter takes the first name.
+    const active = completion ? Math.min(choice, completion.items.length - 1) : -1;
+
+    // The caret goes where an edit leaves it once React has set the value.
+    useLayoutEffect(() => {
+        if (pendingCaret.current === null) return;
+        inputRef.current.setSelectionRange(pendingCaret.current, pendingCaret.current);
+        setCaret(pendingCaret.current);
+        pendingCaret.current = null;
+    }, [value]);
+
+    const edit = (next) => {
+        pendingCaret.current = next.caret;
+        setDismissed(false);
+        setChoice(-1);
+        if (next.text === value) {
+            inputRef.current.setSelectionRange(next.caret, next.caret);
+            setCaret(next.caret);
+            pendingCaret.current = null;
+        } else onChange(next.text);
+    };
+    const complete = (item) => edit(applyCompletion(value, caret, completion.from, item));
+    const handleKeyDown = (e) => {
+        if (!completion) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const count = completion.items.length;
+            setChoice(e.key === 'ArrowDown' ? (active + 1) % count : (Math.max(active, 0) + count - 1) % count);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            complete(completion.items[Math.max(active, 0)]);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            setDismissed(true);
+        }
+    };
+    const pressKey = (key) => {
+        const input = inputRef.current;
+        edit(applyKey(value, input.selectionStart, input.selectionEnd, key));
+    };
+
+    return (
+        <div className="relative">
+            <div className="relative">
+                {prefix && <span className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400">{prefix}</span>}
+                <input
+                    ref={inputRef}
+                    type="text"
+                    role="combobox"
+                    aria-label={label}
+                    aria-autocomplete="list"
+                    aria-expanded={!!completion}
+                    aria-controls={completion ? `${id}-names` : undefined}
+                    aria-activedescendant={active >= 0 ? `${id}-name-${active}` : undefined}
+                    aria-invalid={!!error}
+                    aria-describedby={error ? `${id}-error` : undefined}
+                    inputMode={keypad ? 'none' : undefined}
+                    autoComplete="off"
+                    spellCheck={false}
+                    placeholder={placeholder}
+                    value={value}
+                    onChange={(e) => {
+                        setDismissed(false);
+                        setChoice(-1);
+                        setCaret(e.target.selectionStart);
+                        onChange(e.target.value);
+                    }}
+                    onSelect={(e) => setCaret(e.target.selectionStart)}
+                    onKeyDown={handleKeyDown}
+                    onFocus={() => setFocused(true)}
+                    onBlur={() => setFocused(false)}
+                    className={`w-full ${prefix ? (prefix.length > 3 ? 'pl-12' : 'pl-9') : 'pl-2'} pr-2 py-1.5 rounded-md bg-gray-100 dark:bg-gray-700 focus:ring-2 ${error ? 'ring-1 ring-red-500 focus:ring-red-500' : 'focus:ring-blue-500'}`}
+                />
+            </div>
+            {completion && (
+                <ul id={`${id}-names`} role="listbox" aria-label="Completions" className="absolute left-0 right-0 top-full mt-1 z-40 max-h-48 overflow-y-auto rounded-md bg-white dark:bg-gray-800 shadow-lg border border-gray-200 dark:border-gray-600 text-sm">
+                    {completion.items.map((item, i) => (
+                        <li key={item.name} id={`${id}-name-${i}`} role="option" aria-selected={i === active} onMouseDown={(e) => { e.preventDefault(); complete(item); }} className={`flex justify-between px-2 py-1 cursor-pointer ${i === active ? 'bg-blue-500 text-white' : 'text-gray-800 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
+                            <span className="font-mono">{item.name}</span>
+                            <span className={`text-xs ${i === active ? 'text-blue-100' : 'text-gray-500'}`}>{item.hint}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {error && (
+                <div id={`${id}-error`} className="mt-1 text-xs text-red-500">
+                    <p>{error.message} at character {error.index + 1}</p>
+                    <p className="font-mono whitespace-pre overflow-x-auto text-gray-600 dark:text-gray-300">{value.slice(0, error.index)}<mark className="bg-red-200 dark:bg-red-800 text-inherit rounded-sm">{value[error.index] || ' '}</mark>{value.slice(error.index + 1)}</p>
+                </div>
+            )}
+            {focused && preview && <div aria-hidden="true" className="mt-1 px-2 rounded-md bg-white/70 dark:bg-gray-800/70 text-gray-800 dark:text-gray-200"><MathView mathml={preview} /></div>}
+            {focused && keypad && (
+                <div role="group" aria-label="Keypad" className="mt-1 grid grid-cols-6 gap-1">
+                    {KEYPAD_KEYS.map(key => (
+                        <button key={key.label} type="button" tabIndex={-1} aria-label={key.name || key.label} onMouseDown={(e) => e.preventDefault()} onClick={() => pressKey(key)} className="py-2 rounded-md text-sm bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 shadow-sm hover:bg-gray-200 dark:hover:bg-gray-600 active:bg-gray-300 dark:active:bg-gray-500">{key.label}</button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Analysis overlays are drawn in the active panel only; the others get this.
+const IDLE_ANALYSIS = { mode: null, params: {}, results: EMPTY_RESULTS };
+const NOTHING_HIDDEN = [];
+const NO_PINS = [];
+const DRAG_CURSORS = { pan: 'grabbing', box: 'crosshair', x: 'ew-resize', y: 'ns-resize', handle: 'ew-resize' };
+// How near (in pixels) a click must be to a pin to remove it.
+const PIN_REACH = 8;
+// Arrow keys move the trace this many pixels, or ten times as far with Shift.
+const TRACE_STEP = 2;
+
+const formatTraceValue = (value) => (isFinite(value) ? value.toFixed(4) : 'undefined');
+const VIEW_BOUNDS = [['xMin', 'X Min'], ['xMax', 'X Max'], ['yMin', 'Y Min'], ['yMax', 'Y Max']];
+
+// Every point an analysis marked, for zoom to fit.
+const resultPoints = ({ intersections, extrema, zeros, derivative, integralCurve, integralBase }) => [
+    ...intersections, ...extrema.max, ...extrema.min, ...extrema.inflection, ...zeros.roots,
+    ...(zeros.yIntercept ? [zeros.yIntercept] : []),
+    ...(derivative ? [derivative] : []),
+    ...(integralCurve || []), ...(integralBase || []),
+];
+const SCALE_LABELS = { linear: 'Linear', log: 'Logarithmic' };
+const TICK_LABELS = { decimal: '1, 2, 5', pi: 'Multiples of π' };
+
+const GraphCanvas = ({ panelId, equations: allEquations, tables: allTables, hidden = NOTHING_HIDDEN, pins = NO_PINS, setPins, view, setView, settings, darkMode, math, analysis, moveAnalysisHandle, trace, setTrace, parameterValues }) => {
     const canvasRef = useRef(null);
     const [mouseSnap, setMouseSnap] = useState(null);
-    const isPanning = useRef(false);
-    const lastMousePos = useRef({ x: 0, y: 0 });
+    const [size, setSize] = useState({ width: 0, height: 0 });
+    // A mouse drag pans the view. Starting on an axis it stretches that
+    // axis alone, and with Shift held it draws a box to zoom into. Touch and
+    // pen input come through the same pointer events: one finger pans (and
+    // coasts on when flicked), two pinch and pan together, and a long press
+    // shows the trace tooltip, which follows the finger until it lifts. A
+    // click, or a tap, pins the point under it (or removes a pin), and the
+    // derivative point and integral bounds of the active analysis are
+    // dragged along the x-axis by mouse or finger.
+    const drag = useRef(null);
+    const touches = useRef(new Map());
+    const longPress = useRef(null);
+    const inertia = useRef(null);
+    const gestureScale = useRef(1);
+    const [box, setBox] = useState(null);
+
+    // A panel's `hidden` list keeps its identity while the panel pans, so the
+    // filtered rows (and with them the sampling effect) only change when the
+    // rows or the panel's selection do.
+    const equations = useMemo(() => allEquations.filter(eq => !hidden.includes(eq.id)), [allEquations, hidden]);
+    const tables = useMemo(() => allTables.filter(t => !hidden.includes(t.id)), [allTables, hidden]);
+
+    const [geometry, setGeometry] = useState(() => new Map());
+    const scatter = useMemo(() => tables.filter(t => t.visible).map(t => ({ color: t.color, name: t.name, points: readTable(t).points })), [tables]);
+
+    // Sampled in the graph worker once per view/size/equation change and
+    // shared by drawing and hover snapping, so the tooltip sits exactly on the
+    // stroked curve. Until a fresh result arrives the previous world-space
+    // geometry is drawn at the new view, which keeps panning smooth.
+    // Only the axis scales change the sampling, so the grid and label
+    // settings can be toggled without a trip to the worker.
+    const { xScale, yScale } = settings;
+    const scales = useMemo(() => ({ xScale, yScale }), [xScale, yScale]);
+    useEffect(() => {
+        if (!size.width || !size.height) return;
+        getGraphWorker('geometry').run('geometry', { equations, view, size, parameterValues, scales }, `view-${panelId}`)
+            .then(shapes => setGeometry(new Map(shapes)))
+            .catch(e => { if (!e.cancelled) console.error('Sampling error:', e); });
+    }, [panelId, equations, view, size, parameterValues, scales]);
+
+    // --- Trace Mode ---
+    // `trace` ({ equationId, x }, set in the active panel only) locks the
+    // pointer and the arrow keys to one function; its value and first two
+    // derivatives come from the graph worker.
+    const [traceValues, setTraceValues] = useState(null);
+    useEffect(() => {
+        if (!trace) return;
+        getGraphWorker('geometry').run('trace', { equations, id: trace.equationId, x: trace.x, parameterValues }, `trace-${panelId}`)
+            .then(setTraceValues)
+            .catch(e => { if (!e.cancelled) console.error('Trace error:', e); });
+    }, [panelId, equations, trace, parameterValues]);
+    const tracedEquation = trace && equations.find(eq => eq.id === trace.equationId);
+    const traced = tracedEquation && traceValues?.id === tracedEquation.id ? traceValues : null;
+
+    // The pointer moves the trace at most once a frame: mouse events come
+    // faster than that, and each move re-renders the app and asks the worker.
+    const traceFrame = useRef(null);
+    const traceHoverX = useRef(null);
+    const hoverTrace = (x) => {
+        traceHoverX.current = x;
+        if (traceFrame.current) return;
+        traceFrame.current = requestAnimationFrame(() => {
+            traceFrame.current = null;
+            setTrace(prev => prev && { ...prev, x: traceHoverX.current });
+        });
+    };
+
+    // Starting a trace gives the canvas the keyboard.
+    const traceId = trace?.equationId;
+    useEffect(() => {
+        if (traceId) canvasRef.current.focus();
+    }, [traceId]);
 
     const draw = useCallback(() => {
         const canvas = canvasRef.current;
@@ -142,271 +325,412 @@ const GraphCanvas = ({ equations, view, setView, settings, darkMode, math, analy
         const ctx = canvas.getContext('2d');
         const { width, height } = canvas;
         ctx.clearRect(0, 0, width, height);
+        const tracePoint = traced && { x: traced.x, y: traced.y, color: tracedEquation.color };
+        drawScene(ctx, buildPanelScene({ view, width, height, equations, shapes: geometry, scatter, analysis, settings, darkMode, pins, trace: tracePoint }));
+    }, [view, equations, settings, darkMode, math, analysis, geometry, scatter, pins, traced, tracedEquation]);
 
-        const { xMin, xMax, yMin, yMax } = view;
-        const toScreenX = (x) => (x - xMin) / (xMax - xMin) * width;
-        const toScreenY = (y) => height - (y - yMin) / (yMax - yMin) * height;
-        const toWorldX = (px) => (px / width) * (xMax - xMin) + xMin;
-        
-        const bgColor = darkMode ? '#1f2937' : '#ffffff';
-        const gridColor = darkMode ? '#4b5563' : '#d1d5db';
-        const axisColor = darkMode ? '#9ca3af' : '#6b7281';
-
-        ctx.fillStyle = bgColor;
-        ctx.fillRect(0,0,width,height);
-        
-        if (settings.showGrid) {
-            ctx.strokeStyle = gridColor;
-            ctx.lineWidth = 0.5;
-            const xStep = Math.pow(10, Math.floor(Math.log10(xMax - xMin)) - 1);
-            const yStep = Math.pow(10, Math.floor(Math.log10(yMax - yMin)) - 1);
-
-            for (let x = Math.ceil(xMin / xStep) * xStep; x <= xMax; x += xStep) {
-                ctx.beginPath();
-                ctx.moveTo(toScreenX(x), 0);
-                ctx.lineTo(toScreenX(x), height);
-                ctx.stroke();
-            }
-            for (let y = Math.ceil(yMin / yStep) * yStep; y <= yMax; y += yStep) {
-                ctx.beginPath();
-                ctx.moveTo(0, toScreenY(y));
-                ctx.lineTo(width, toScreenY(y));
-                ctx.stroke();
-            }
-        }
-        
-        ctx.strokeStyle = axisColor;
-        ctx.lineWidth = 1.5;
-        ctx.beginPath(); ctx.moveTo(0, toScreenY(0)); ctx.lineTo(width, toScreenY(0)); ctx.stroke();
-        ctx.beginPath(); ctx.moveTo(toScreenX(0), 0); ctx.lineTo(toScreenX(0), height); ctx.stroke();
-
-        if (analysis.mode === 'integral' && analysis.results.integral) {
-            const eq = equations.find(e => e.id === analysis.params.integralId);
-            if (eq) {
-                const compiledEq = math.parse(eq.text).compile();
-                const { a, b } = analysis.params;
-                ctx.fillStyle = `${eq.color}40`;
-                ctx.beginPath();
-                ctx.moveTo(toScreenX(a), toScreenY(0));
-                for(let x = Math.min(a,b); x <= Math.max(a,b); x += (xMax - xMin) / width) {
-                     const y = compiledEq.evaluate({ x });
-                     if (isFinite(y)) ctx.lineTo(toScreenX(x), toScreenY(y));
-                }
-                ctx.lineTo(toScreenX(b), toScreenY(0));
-                ctx.closePath();
-                ctx.fill();
-            }
-        }
-
-        // --- Draw Equations ---
-        equations.forEach(eq => {
-             if (!eq.text || !eq.visible) return;
-             try {
-                const code = math.parse(eq.text).compile();
-                ctx.strokeStyle = eq.color;
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-
-                let lastY_world = NaN;
-
-                for (let px = 0; px <= width; px++) {
-                    const x = toWorldX(px);
-                    const y = code.evaluate({ x });
-
-                    if (isFinite(y)) {
-                        if (isNaN(lastY_world)) {
-                            ctx.moveTo(px, toScreenY(y));
-                        } else {
-                            const yChange = y - lastY_world;
-                            const crossedAsymptote = Math.sign(y) * Math.sign(lastY_world) === -1 && Math.abs(yChange) > (yMax - yMin) * 0.5;
-                            const isIntegerJump = Math.abs(yChange - Math.round(yChange)) < 1e-9 && Math.round(yChange) !== 0;
-
-                            if (crossedAsymptote && !isIntegerJump) {
-                                ctx.stroke();
-                                ctx.beginPath();
-                                ctx.moveTo(px, toScreenY(y));
-                            } else if (isIntegerJump) {
-                                ctx.lineTo(px, toScreenY(lastY_world));
-                                ctx.stroke();
-                                ctx.beginPath();
-                                ctx.moveTo(px, toScreenY(y));
-                            } else {
-                                ctx.lineTo(px, toScreenY(y));
-                            }
-                        }
-                        lastY_world = y;
-                    } else {
-                        if (!isNaN(lastY_world)) {
-                            ctx.stroke();
-                        }
-                        ctx.beginPath();
-                        lastY_world = NaN;
-                    }
-                }
-                ctx.stroke();
-            } catch (e) {/* silent */}
-        });
-        
-        // --- Draw Analysis Points ---
-        const { results } = analysis;
-        results.intersections.forEach(p => {
-            ctx.fillStyle = '#db2777';
-            ctx.beginPath(); ctx.arc(toScreenX(p.x), toScreenY(p.y), 6, 0, 2 * Math.PI); ctx.fill();
-            ctx.strokeStyle = darkMode ? '#f9fafb' : '#11182c'; ctx.lineWidth = 1.5; ctx.stroke();
-        });
-        const drawExtremaPoint = (p, color) => {
-            ctx.fillStyle = color;
-            ctx.beginPath(); ctx.arc(toScreenX(p.x), toScreenY(p.y), 5, 0, 2 * Math.PI); ctx.fill();
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const resize = () => {
+            canvas.width = canvas.clientWidth;
+            canvas.height = canvas.clientHeight;
+            setSize({ width: canvas.width, height: canvas.height });
         };
-        results.extrema.max.forEach(p => drawExtremaPoint(p, '#16a34a'));
-        results.extrema.min.forEach(p => drawExtremaPoint(p, '#dc2626'));
-        results.extrema.inflection.forEach(p => drawExtremaPoint(p, '#f59e0b'));
-        
-        // --- Draw Derivative Point and Tangent Line ---
-        if (analysis.mode === 'derivative' && analysis.results.derivative) {
-            const { x, y, tangent } = analysis.results.derivative;
-            const sx = toScreenX(x);
-            const sy = toScreenY(y);
-
-            if(isFinite(sx) && isFinite(sy)){
-                ctx.fillStyle = '#f59e0b'; // Amber
-                ctx.beginPath();
-                ctx.arc(sx, sy, 6, 0, 2 * Math.PI);
-                ctx.fill();
-                ctx.strokeStyle = darkMode ? '#f9fafb' : '#11182c';
-                ctx.lineWidth = 1.5;
-                ctx.stroke();
-            }
+        const resizeObserver = new ResizeObserver(resize);
+        resizeObserver.observe(canvas);
+        resize();
+        return () => { resizeObserver.disconnect(); };
+    }, []);
+    
+    useEffect(draw, [draw]);
 
-            if (tangent) {
-                const { slope, x0, y0 } = tangent;
-                const tangentFunc = (tx) => slope * (tx - x0) + y0;
+    const { toWorldX, toWorldY, toScreenX, toScreenY } = createMapping(view, size, settings);
 
-                ctx.strokeStyle = '#f59e0b';
-                ctx.lineWidth = 1.5;
-                ctx.setLineDash([5, 5]);
-                ctx.beginPath();
+    // With the aspect locked, the y range follows the x range and the
+    // panel's shape.
+    useEffect(() => {
+        if (!settings.lockAspect) return;
+        const fitted = withAspect(view, size, settings);
+        if (fitted !== view) setView(fitted);
+    }, [view, size, settings, setView]);
+
+    // Zooming one axis zooms both while the aspect is locked.
+    const axisFactor = (axis, factor) => (settings.lockAspect ? factor : axis === 'x' ? { x: factor, y: 1 } : { x: 1, y: factor });
 
-                const startY = tangentFunc(xMin);
-                const endY = tangentFunc(xMax);
+    const pointer = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
 
-                ctx.moveTo(toScreenX(xMin), toScreenY(startY));
-                ctx.lineTo(toScreenX(xMax), toScreenY(endY));
-                ctx.stroke();
-                ctx.setLineDash([]);
+    // The curve or data point nearest to `p`, within 5% of the panel height.
+    const snapAt = (p) => {
+        if (!math || (!equations.length && !scatter.length)) return null;
+        const worldX = toWorldX(p.x);
+        const worldY = toWorldY(p.y);
+
+        let bestSnap = null;
+        let minDistance = 0.05 * size.height;
+
+        equations.forEach(eq => {
+            const shape = geometry.get(eq.id);
+            if (!shape) return;
+            const snap = snapToSegments(eq, shape.segments, view, size, { x: worldX, y: worldY }, settings);
+            if (snap && snap.distance < minDistance) {
+                minDistance = snap.distance;
+                const range = getParameterRange(eq);
+                bestSnap = { x: snap.x, y: snap.y, color: eq.color, sx: p.x, sy: p.y, param: range && { symbol: range.symbol, value: snap.t } };
+            }
+        });
+        // Data points win over a curve at the same distance, so a fit drawn
+        // through its own data still lets each point be read off.
+        scatter.forEach(({ color, points }) => points.forEach(point => {
+            const distance = Math.hypot(toScreenX(point.x) - p.x, toScreenY(point.y) - p.y);
+            if (distance <= minDistance) {
+                minDistance = distance;
+                bestSnap = { x: point.x, y: point.y, color, sx: p.x, sy: p.y, param: null };
             }
+        }));
+        return bestSnap;
+    };
+
+    // The x-coordinate under a pixel column, rounded to what a pixel can
+    // tell apart.
+    const pixelX = (px) => {
+        const x = toWorldX(px);
+        const digits = Math.max(0, Math.ceil(-Math.log10(Math.abs(toWorldX(px + 1) - x))));
+        return parseFloat(x.toFixed(Math.min(digits, 12)));
+    };
+
+    // The analysis handle under `p`: 'derivativeX' for the derivative point,
+    // or 'a' or 'b' for an integral bound.
+    const handleAt = (p) => {
+        if (!moveAnalysisHandle) return null;
+        const { mode, params, results } = analysis;
+        if (mode === 'derivative' && results.derivative) {
+            const { x, y } = results.derivative;
+            return Math.hypot(toScreenX(x) - p.x, toScreenY(y) - p.y) <= 10 ? 'derivativeX' : null;
+        }
+        if (mode === 'integral' && results.integral) {
+            return ['a', 'b'].find(key => isFinite(params[key]) && Math.abs(toScreenX(params[key]) - p.x) <= 6) || null;
         }
+        return null;
+    };
 
-    }, [view, equations, settings, darkMode, math, analysis]);
+    // A click removes the pin under it, or pins the traced point, or else
+    // the point the tooltip would show.
+    const pinAt = (p) => {
+        const hit = pins.find(pin => Math.hypot(toScreenX(pin.x) - p.x, toScreenY(pin.y) - p.y) <= PIN_REACH);
+        if (hit) {
+            setPins(prev => prev.filter(pin => pin.id !== hit.id));
+            return;
+        }
+        const point = traced ? (isFinite(traced.y) && { x: traced.x, y: traced.y, color: tracedEquation.color }) : snapAt(p);
+        if (point) setPins(prev => [...prev, { id: Date.now(), x: point.x, y: point.y, color: point.color }]);
+    };
 
-    useEffect(() => {
-        const canvas = canvasRef.current;
-        const resizeObserver = new ResizeObserver(() => {
-            canvas.width = canvas.clientWidth;
-            canvas.height = canvas.clientHeight;
-            draw();
-        });
-        resizeObserver.observe(canvas);
-        canvas.width = canvas.clientWidth; canvas.height = canvas.clientHeight;
-        return () => { resizeObserver.disconnect(); };
-    }, [draw]);
-    
-    useEffect(draw, [draw]);
+    // While tracing, Left and Right step along the curve. Otherwise the
+    // arrow keys pan a tenth of the panel (half with Shift) and + and - zoom,
+    // and the new range is read out.
+    const [speakView, setSpeakView] = useState(false);
+    const handleKeyDown = (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const pan = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] }[e.key];
+        const zoom = { '+': 0.8, '=': 0.8, '-': 1.25 }[e.key];
+        if (trace && e.key === 'Escape') {
+            setTrace(null);
+        } else if (trace && e.key === 'Enter') {
+            if (traced) pinAt({ x: toScreenX(traced.x), y: toScreenY(traced.y) });
+        } else if (trace && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            const pixels = (e.key === 'ArrowLeft' ? -TRACE_STEP : TRACE_STEP) * (e.shiftKey ? 10 : 1);
+            const px = toScreenX(trace.x) + pixels;
+            setTrace({ ...trace, x: pixelX(px) });
+            // Stepping off the edge scrolls the view along.
+            if (px < 0 || px > size.width) setView(prev => panView(prev, pixels / size.width, 0, settings));
+        } else if (pan) {
+            const step = e.shiftKey ? 0.5 : 0.1;
+            setView(prev => panView(prev, pan[0] * step, pan[1] * step, settings));
+            setSpeakView(true);
+        } else if (zoom) {
+            setView(prev => zoomView(prev, zoom, settings));
+            setSpeakView(true);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    };
 
-    const toWorldX = (px) => (px / canvasRef.current.width) * (view.xMax - view.xMin) + view.xMin;
-    const toWorldY = (py) => ((canvasRef.current.height - py) / canvasRef.current.height) * (view.yMax - view.yMin) + view.yMin;
+    // --- Mouse ---
 
     const handleMouseDown = (e) => {
-        isPanning.current = true;
-        lastMousePos.current = { x: e.clientX, y: e.clientY };
-        canvasRef.current.style.cursor = 'grabbing';
+        const p = pointer(e);
+        const handle = handleAt(p);
+        const mode = handle ? 'handle' : e.shiftKey ? 'box' : axisAt(view, size, settings, p.x, p.y) || 'pan';
+        drag.current = { mode, handle, start: p, last: p, moved: false };
+        canvasRef.current.style.cursor = DRAG_CURSORS[mode];
+        setMouseSnap(null);
     };
 
-    const handleMouseUp = () => {
-        isPanning.current = false;
+    // Ends a drag; a box is zoomed into when `apply` is set and it is more
+    // than a few pixels across, and a pan that never moved was a click.
+    const endDrag = (apply) => {
+        const current = drag.current;
+        drag.current = null;
         canvasRef.current.style.cursor = 'crosshair';
+        if (apply && current?.mode === 'pan' && !current.moved) pinAt(current.start);
+        if (current?.mode !== 'box') return;
+        setBox(null);
+        const { start, last } = current;
+        if (!apply || Math.abs(last.x - start.x) < 5 || Math.abs(last.y - start.y) < 5) return;
+        setView({
+            xMin: toWorldX(Math.min(start.x, last.x)),
+            xMax: toWorldX(Math.max(start.x, last.x)),
+            yMin: toWorldY(Math.max(start.y, last.y)),
+            yMax: toWorldY(Math.min(start.y, last.y)),
+        });
     };
-    
+
     const handleMouseLeave = () => {
-        isPanning.current = false;
+        endDrag(false);
         setMouseSnap(null);
-        canvasRef.current.style.cursor = 'crosshair';
     };
 
     const handleMouseMove = (e) => {
         const canvas = canvasRef.current;
-        if (!canvas) return;
-
-        if (isPanning.current) {
-            const dx = e.clientX - lastMousePos.current.x;
-            const dy = e.clientY - lastMousePos.current.y;
-            lastMousePos.current = { x: e.clientX, y: e.clientY };
-            
-            const worldDx = (dx / canvas.width) * (view.xMax - view.xMin);
-            const worldDy = (dy / canvas.height) * (view.yMax - view.yMin);
-
-            setView(prev => ({
-                xMin: prev.xMin - worldDx,
-                xMax: prev.xMax - worldDx,
-                yMin: prev.yMin + worldDy,
-                yMax: prev.yMax + worldDy,
-            }));
+        const p = pointer(e);
+
+        if (drag.current) {
+            const { mode, handle, start, last } = drag.current;
+            drag.current.last = p;
+            const dx = p.x - last.x;
+            const dy = p.y - last.y;
+            if (Math.hypot(p.x - start.x, p.y - start.y) >= 3) drag.current.moved = true;
+            if (mode === 'handle') {
+                moveAnalysisHandle(handle, pixelX(p.x));
+            } else if (mode === 'pan') {
+                setView(prev => panView(prev, -dx / canvas.width, dy / canvas.height, settings));
+            } else if (mode === 'box') {
+                setBox({ start, end: p });
+            } else {
+                // Dragging right along the x-axis, or up along the y-axis,
+                // stretches it about the point first grabbed.
+                const factor = Math.exp(mode === 'x' ? -dx / 200 : dy / 200);
+                setView(prev => zoomView(prev, axisFactor(mode, factor), settings, start.x / canvas.width, 1 - start.y / canvas.height));
+            }
             return;
         }
 
-        if (!math || !equations.length) return;
-        const rect = canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const worldX = toWorldX(mouseX);
-        const worldY = toWorldY(e.clientY - rect.top);
+        canvas.style.cursor = (!e.shiftKey && DRAG_CURSORS[handleAt(p) ? 'handle' : axisAt(view, size, settings, p.x, p.y)]) || 'crosshair';
+        if (tracedEquation) {
+            hoverTrace(pixelX(p.x));
+            setMouseSnap(null);
+        } else {
+            setMouseSnap(snapAt(p));
+        }
+    };
 
-        let bestSnap = null;
-        let minDistance = 0.05 * (view.yMax - view.yMin);
-
-        equations.filter(eq => eq.visible && eq.text).forEach(eq => {
-            try {
-                const y = math.parse(eq.text).compile().evaluate({ x: worldX });
-                const distance = Math.abs(y - worldY);
-                if (isFinite(y) && distance < minDistance) {
-                    minDistance = distance;
-                    bestSnap = { x: worldX, y, color: eq.color, sx: mouseX, sy: e.clientY - rect.top };
-                }
-            } catch (e) {/* silent */}
-        });
-        setMouseSnap(bestSnap);
+    // --- Touch ---
+
+    const stopInertia = () => {
+        cancelAnimationFrame(inertia.current);
+        inertia.current = null;
     };
-    
+
+    const startInertia = (velocity) => {
+        if (!isCoasting(velocity)) return;
+        const { width, height } = size;
+        let speed = velocity;
+        let last = performance.now();
+        const frame = (now) => {
+            const step = coast(speed, now - last);
+            last = now;
+            speed = step.velocity;
+            setView(prev => panView(prev, -step.dx / width, step.dy / height, settings));
+            inertia.current = isCoasting(speed) ? requestAnimationFrame(frame) : null;
+        };
+        inertia.current = requestAnimationFrame(frame);
+    };
+
+    useEffect(() => () => {
+        cancelAnimationFrame(inertia.current);
+        cancelAnimationFrame(traceFrame.current);
+        clearTimeout(longPress.current);
+    }, []);
+
+    // Starts a one-finger pan, or a pinch from the first two fingers down.
+    const startTouchGesture = () => {
+        clearTimeout(longPress.current);
+        const [a, b] = touches.current.values();
+        if (b) {
+            drag.current = { mode: 'pinch', pinch: pinchState(a, b) };
+            setMouseSnap(null);
+            return;
+        }
+        const handle = handleAt(a);
+        if (handle) {
+            drag.current = { mode: 'handle', handle };
+            return;
+        }
+        drag.current = { mode: 'pan', start: a, last: a, moved: false, samples: [] };
+        longPress.current = setTimeout(() => {
+            if (drag.current?.mode !== 'pan' || drag.current.moved) return;
+            drag.current.mode = 'trace';
+            setMouseSnap(snapAt(drag.current.last));
+        }, LONG_PRESS_MS);
+    };
+
+    const handleTouchMove = (e, p) => {
+        const current = drag.current;
+        if (!current) return;
+        if (current.mode === 'pinch') {
+            const [a, b] = touches.current.values();
+            const next = pinchState(a, b);
+            const from = current.pinch;
+            current.pinch = next;
+            setView(prev => applyPinch(prev, from, next, size, settings));
+        } else if (current.mode === 'trace') {
+            current.last = p;
+            setMouseSnap(snapAt(p));
+        } else if (current.mode === 'handle') {
+            moveAnalysisHandle(current.handle, pixelX(p.x));
+        } else {
+            // Holding still (for a long press) does not nudge the view.
+            if (!current.moved && Math.hypot(p.x - current.start.x, p.y - current.start.y) < HOLD_SLOP) return;
+            current.moved = true;
+            clearTimeout(longPress.current);
+            const { last } = current;
+            current.last = p;
+            current.samples = trackVelocity(current.samples, p, e.timeStamp);
+            setView(prev => panView(prev, -(p.x - last.x) / size.width, (p.y - last.y) / size.height, settings));
+        }
+    };
+
+    // A finger lifting from a pinch leaves the other panning; the last one
+    // lifting ends the trace or lets a flicked pan coast.
+    const handleTouchEnd = (e) => {
+        const current = drag.current;
+        if (touches.current.size > 0) {
+            startTouchGesture();
+            drag.current.moved = true;
+            return;
+        }
+        clearTimeout(longPress.current);
+        drag.current = null;
+        if (current?.mode === 'trace') setMouseSnap(null);
+        if (current?.mode !== 'pan' || e.type !== 'pointerup') return;
+        if (current.moved) startInertia(releaseVelocity(trackVelocity(current.samples, current.last, e.timeStamp)));
+        else pinAt(current.start);
+    };
+
+    // --- Pointer Events ---
+    // The mouse keeps its own handlers; touch and pen share the gestures.
+
+    const handlePointerDown = (e) => {
+        stopInertia();
+        setSpeakView(false);
+        if (e.pointerType === 'mouse') {
+            handleMouseDown(e);
+            return;
+        }
+        touches.current.set(e.pointerId, pointer(e));
+        if (touches.current.size <= 2) startTouchGesture();
+    };
+
+    const handlePointerMove = (e) => {
+        if (e.pointerType === 'mouse') {
+            handleMouseMove(e);
+            return;
+        }
+        if (!touches.current.has(e.pointerId)) return;
+        const p = pointer(e);
+        touches.current.set(e.pointerId, p);
+        handleTouchMove(e, p);
+    };
+
+    const handlePointerUp = (e) => {
+        if (e.pointerType === 'mouse') {
+            endDrag(e.type === 'pointerup');
+            return;
+        }
+        if (touches.current.delete(e.pointerId)) handleTouchEnd(e);
+    };
+
+    const handlePointerLeave = (e) => {
+        if (e.pointerType === 'mouse') handleMouseLeave();
+    };
+
+    // --- Wheel ---
+
+    const zoomAt = (e, factor) => {
+        const canvas = canvasRef.current;
+        const p = pointer(e);
+        setView(prev => zoomView(prev, factor, settings, p.x / canvas.width, 1 - p.y / canvas.height));
+    };
+
     const handleWheel = (e) => {
         e.preventDefault();
-        const canvas = canvasRef.current;
-        if (!canvas) return;
-        const rect = canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const worldX = toWorldX(mouseX);
-        const worldY = toWorldY(e.clientY - rect.top);
-        
-        const zoomFactor = e.deltaY < 0 ? 0.8 : 1.25;
-
-        setView(prev => ({
-            xMin: worldX + (prev.xMin - worldX) * zoomFactor,
-            xMax: worldX + (prev.xMax - worldX) * zoomFactor,
-            yMin: worldY + (prev.yMin - worldY) * zoomFactor,
-            yMax: worldY + (prev.yMax - worldY) * zoomFactor,
-        }));
+        stopInertia();
+        const zoomFactor = wheelZoomFactor(e);
+        // Shift zooms only the x-axis and Alt only the y-axis.
+        const axis = e.shiftKey ? 'x' : e.altKey ? 'y' : null;
+        zoomAt(e, axis ? axisFactor(axis, zoomFactor) : zoomFactor);
+    };
+
+    // Safari reports trackpad pinches as gesture events with a running scale.
+    const handleGesture = (e) => {
+        e.preventDefault();
+        if (e.type === 'gesturestart') {
+            stopInertia();
+            gestureScale.current = 1;
+            return;
+        }
+        if (!(e.scale > 0)) return;
+        zoomAt(e, gestureScale.current / e.scale);
+        gestureScale.current = e.scale;
     };
 
+    // Wheel and gesture events are listened to directly: React registers
+    // wheel listeners as passive, which could not stop the page zooming
+    // along with a pinch. The handlers are read through a ref.
+    const nativeHandlers = useRef();
+    nativeHandlers.current = { wheel: handleWheel, gesture: handleGesture };
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const listeners = {
+            wheel: (e) => nativeHandlers.current.wheel(e),
+            gesturestart: (e) => nativeHandlers.current.gesture(e),
+            gesturechange: (e) => nativeHandlers.current.gesture(e),
+        };
+        Object.entries(listeners).forEach(([type, listener]) => canvas.addEventListener(type, listener, { passive: false }));
+        return () => Object.entries(listeners).forEach(([type, listener]) => canvas.removeEventListener(type, listener));
+    }, []);
+
     return (
         <div className="w-full h-full relative bg-white dark:bg-gray-800 rounded-lg shadow-inner">
             <canvas 
                 ref={canvasRef} 
-                className="w-full h-full cursor-crosshair" 
-                onMouseDown={handleMouseDown}
-                onMouseUp={handleMouseUp}
-                onMouseMove={handleMouseMove} 
-                onMouseLeave={handleMouseLeave}
-                onWheel={handleWheel}
+                className="w-full h-full cursor-crosshair touch-none rounded-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+                tabIndex={0}
+                role="application"
+                aria-roledescription="graph"
+                aria-label={`${graphSummary(equations, view)}. Arrow keys pan, plus and minus zoom.`}
+                onKeyDown={handleKeyDown}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                onPointerLeave={handlePointerLeave}
+                onContextMenu={e => { if (touches.current.size) e.preventDefault(); }}
             />
-            {mouseSnap && !isPanning.current && (
+            <div role="status" className="sr-only">{speakView ? viewSummary(view) : ''}</div>
+            {box && (
+                <div className="absolute border border-blue-500 bg-blue-500/10 pointer-events-none" style={{
+                    left: Math.min(box.start.x, box.end.x),
+                    top: Math.min(box.start.y, box.end.y),
+                    width: Math.abs(box.end.x - box.start.x),
+                    height: Math.abs(box.end.y - box.start.y),
+                }} />
+            )}
+            {mouseSnap && (!drag.current || drag.current.mode === 'trace') && (
                 <div className="absolute p-2 text-white text-xs rounded-md pointer-events-none" style={{
                     left: mouseSnap.sx + 15,
                     top: mouseSnap.sy,
@@ -414,143 +738,531 @@ const GraphCanvas = ({ equations, view, setView, settings, darkMode, math, analy
                     backgroundColor: mouseSnap.color,
                 }}>
                     X: {mouseSnap.x.toFixed(3)}<br /> Y: {mouseSnap.y.toFixed(3)}
+                    {mouseSnap.param && <><br />{mouseSnap.param.symbol}: {mouseSnap.param.value.toFixed(3)}</>}
                 </div>
             )}
+            {tracedEquation && (
+                <div className="absolute bottom-2 left-2 p-2 rounded-md text-xs font-mono bg-white/90 dark:bg-gray-900/90 text-gray-800 dark:text-gray-200 shadow pointer-events-none" style={{ borderLeft: `4px solid ${tracedEquation.color}` }}>
+                    <div className="font-sans font-semibold mb-1">Tracing {equationLabel(tracedEquation)}</div>
+                    {traced && <div aria-live="polite">
+                        x = {formatTraceValue(traced.x)}<br />
+                        f(x) = {formatTraceValue(traced.y)}<br />
+                        f′(x) = {formatTraceValue(traced.d1)}<br />
+                        f″(x) = {formatTraceValue(traced.d2)}
+                    </div>}
+                    <div className="font-sans text-gray-500 dark:text-gray-400 mt-1">←/→ step (Shift: faster) · Enter or click pins · Esc stops</div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Dialogs open with focus on their main button and close with Escape.
+const closeOnEscape = (close) => (e) => { if (e.key === 'Escape') close(); };
+
+// Shown after a workspace file is read: the problems that stop it loading,
+// or what loading it would replace.
+const CHANGE_STYLES = {
+    add: { sign: '+', className: 'text-green-600 dark:text-green-400' },
+    remove: { sign: '−', className: 'text-red-600 dark:text-red-400' },
+    change: { sign: '~', className: 'text-amber-600 dark:text-amber-400' },
+};
+
+const WorkspacePreview = ({ load, onCancel, onConfirm }) => (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={onCancel} onKeyDown={closeOnEscape(onCancel)}>
+        <div role="dialog" aria-modal="true" aria-label="Load workspace" className="w-full max-w-md max-h-[80vh] flex flex-col rounded-lg bg-white dark:bg-gray-800 shadow-2xl p-4" onClick={e => e.stopPropagation()}>
+            <h3 className="font-semibold text-gray-800 dark:text-gray-200">{load.workspace ? 'Load workspace?' : 'This workspace cannot be loaded'}</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2 truncate">{load.fileName}</p>
+            {load.migratedFrom && <p className="text-xs text-gray-600 dark:text-gray-300 mb-2">Saved in an older format (version {load.migratedFrom}); it will be upgraded.</p>}
+            <ul className="flex-grow overflow-y-auto text-sm font-mono space-y-1">
+                {load.workspace
+                    ? load.changes.length
+                        ? load.changes.map((line, i) => <li key={i} className={CHANGE_STYLES[line.type].className}>{CHANGE_STYLES[line.type].sign} {line.text}</li>)
+                        : <li className="font-sans text-gray-500 italic">Same as the current workspace.</li>
+                    : load.errors.map((error, i) => <li key={i} className="text-red-600 dark:text-red-400">{error}</li>)}
+            </ul>
+            <div className="mt-4 flex justify-end space-x-2">
+                <button onClick={onCancel} autoFocus className="py-2 px-4 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200">{load.workspace ? 'Cancel' : 'Close'}</button>
+                {load.workspace && <button onClick={onConfirm} className="py-2 px-4 rounded-lg bg-blue-500 hover:bg-blue-600 text-white font-semibold">Replace current work</button>}
+            </div>
+        </div>
+    </div>
+);
+
+const ShortcutsDialog = ({ onClose }) => (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={onClose} onKeyDown={closeOnEscape(onClose)}>
+        <div role="dialog" aria-modal="true" aria-label="Keyboard shortcuts" className="w-full max-w-md max-h-[80vh] flex flex-col rounded-lg bg-white dark:bg-gray-800 shadow-2xl p-4" onClick={e => e.stopPropagation()}>
+            <h3 className="font-semibold mb-2 text-gray-800 dark:text-gray-200">Keyboard Shortcuts</h3>
+            <div className="flex-grow overflow-y-auto space-y-3">
+                {MENUS.map(menu => (
+                    <div key={menu}>
+                        <h4 className="text-xs font-semibold uppercase text-gray-500 dark:text-gray-400 mb-1">{menu}</h4>
+                        <ul className="text-sm space-y-0.5">
+                            {COMMANDS.filter(c => c.menu === menu).map(command => (
+                                <li key={command.id} className="flex justify-between text-gray-800 dark:text-gray-200">
+                                    <span>{command.label}</span>
+                                    <span className="space-x-1">{command.keys.map(keys => <kbd key={keys} className="px-1.5 py-0.5 rounded bg-gray-100 dark:bg-gray-700 font-mono text-xs">{formatShortcut(keys)}</kbd>)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+            <div className="mt-4 flex justify-end">
+                <button onClick={onClose} autoFocus className="py-2 px-4 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200">Close</button>
+            </div>
+        </div>
+    </div>
+);
+
+const ExportDialog = ({ options, setOptions, screenSize, busy, onCancel, onExport }) => {
+    const error = validateExportOptions(options);
+    const set = (key, value) => setOptions({ ...options, [key]: value });
+    const numberField = (key, label, disabled = false) => (
+        <label className={`flex-1 text-xs ${disabled ? 'text-gray-400' : 'text-gray-600 dark:text-gray-300'}`}>{label}
+            <input type="number" min="1" value={options[key]} disabled={disabled} onChange={e => set(key, Number(e.target.value))} className="mt-1 w-full px-2 py-1 rounded-md bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 disabled:opacity-50"/>
+        </label>
+    );
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={onCancel} onKeyDown={closeOnEscape(onCancel)}>
+            <div role="dialog" aria-modal="true" aria-label="Export image" className="w-full max-w-sm rounded-lg bg-white dark:bg-gray-800 shadow-2xl p-4 space-y-3" onClick={e => e.stopPropagation()}>
+                <h3 className="font-semibold text-gray-800 dark:text-gray-200">Export Image</h3>
+                <div className="grid grid-cols-3 gap-2">
+                    {EXPORT_FORMATS.map(format => (
+                        <button key={format.id} onClick={() => set('format', format.id)} title={format.description} className={`py-2 rounded-lg text-sm font-semibold ${options.format === format.id ? 'bg-blue-500 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600'}`}>{format.label}</button>
+                    ))}
+                </div>
+                <div className="flex space-x-2">
+                    {numberField('width', 'Width (px)')}
+                    {numberField('height', 'Height (px)')}
+                    {numberField('dpi', 'DPI', options.format === 'svg')}
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {options.format === 'svg'
+                        ? 'Vector output; DPI does not apply.'
+                        : `${Math.round(options.width * options.dpi / 96)} × ${Math.round(options.height * options.dpi / 96)} pixels, ${(options.width / 96).toFixed(2)} × ${(options.height / 96).toFixed(2)} in`}
+                    {' '}<button onClick={() => setOptions({ ...options, ...screenSize() })} className="text-blue-600 dark:text-blue-400 hover:underline">Use screen size</button>
+                </p>
+                <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" checked={options.legend} onChange={e => set('legend', e.target.checked)}/>
+                    <span>Include legend</span>
+                </label>
+                {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+                <div className="flex justify-end space-x-2">
+                    <button onClick={onCancel} className="py-2 px-4 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200">Cancel</button>
+                    <button onClick={() => onExport(options)} disabled={!!error || busy} autoFocus className="py-2 px-4 rounded-lg bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white font-semibold">{busy ? 'Exporting…' : 'Export'}</button>
+                </div>
+            </div>
         </div>
     );
 };
 
-const ControlsPanel = ({ equations, setEquations, view, setView, settings, setSettings, darkMode, setDarkMode, runAnalysis, math, mathLoaded, analysis, setAnalysisParams }) => {
-    const fileInputRef = useRef(null);
+const AUTOSAVE_INTERVAL = 30000;
+
+const ControlsPanel = ({ fileActions, resetView, zoomToFit, viewNav, stepActiveView, trace, setTrace, openShortcuts, history, goToHistory, undo, redo, labelNextChange, applyWorkspace, equations, setEquations, tables, setTables, panels, setPanels, activePanel, setActivePanelId, layout, setLayout, view, setView, settings, setSettings, darkMode, setDarkMode, runAnalysis, math, mathLoaded, analysis, setAnalysisParams, parameters, setParameters, parameterNames, parameterValues, playing, setPlaying, definitions, rowErrors, analysisBusy }) => {
+    const [pendingLoad, setPendingLoad] = useState(null);
+    const tableInputRef = useRef(null);
+    const [fitErrors, setFitErrors] = useState({});
 
-    const addEquation = () => setEquations([...equations, { id: Date.now(), text: '', color: `#${Math.floor(Math.random()*16777215).toString(16).padStart(6, '0')}`, visible: true }]);
+    // New rows take the next colour of the chosen palette.
+    const newColor = () => nextColor(settings.palette, [...equations, ...tables].map(row => row.color));
+    const applyPaletteToAll = () => {
+        labelNextChange('Apply color palette');
+        setEquations(applyPalette(settings.palette, equations));
+        setTables(applyPalette(settings.palette, tables, equations.length));
+    };
+    const addEquation = (kind = 'function') => setEquations([...equations, createEquation(kind, newColor())]);
     const updateEquation = (id, field, value) => setEquations(equations.map(eq => eq.id === id ? { ...eq, [field]: value } : eq));
     const removeEquation = (id) => setEquations(equations.filter(eq => eq.id !== id));
-    
-    const addDerivative = (eq) => {
-        if (!math || !eq.text) return;
+    const functionEquations = equations.filter(eq => getEquationKind(eq) === 'function' && isEquationComplete(eq));
+    const completions = useMemo(() => completionNames(definitions, parameterNames), [definitions, parameterNames]);
+    const [keypad, setKeypad] = useState(false);
+
+    // --- Graph Description ---
+    // A table of what each curve does across the active panel's view, as a
+    // text alternative to the canvas. It is worked out only while open, and
+    // only once the view has settled.
+    const [describing, setDescribing] = useState(false);
+    const [descriptions, setDescriptions] = useState(() => new Map());
+    useEffect(() => {
+        if (!describing) return;
+        const timer = setTimeout(() => {
+            getGraphWorker('analysis').run('describe', { equations, view, parameterValues }, 'describe')
+                .then(pairs => setDescriptions(new Map(pairs)))
+                .catch(e => { if (!e.cancelled) console.error('Description error:', e); });
+        }, 250);
+        return () => clearTimeout(timer);
+    }, [describing, equations, view, parameterValues]);
+
+    // --- Audio Graph ---
+    // Plays the chosen function across the active panel's view, with cues
+    // for the active analysis's points on it (see sonify.js).
+    const [sonify, setSonify] = useState({ ...DEFAULT_SONIFY_OPTIONS, equationId: null });
+    const [sonifying, setSonifying] = useState(false);
+    const sonifyEquation = functionEquations.find(eq => eq.id === sonify.equationId) || functionEquations[0];
+    // Each play takes a ticket; Stop moves the ticket on, so a play still
+    // sampling its curve knows not to start once the sampling is done.
+    const sonifyTicket = useRef(0);
+    const playAudioGraph = async () => {
+        if (sonifying) {
+            sonifyTicket.current++;
+            stopSonification();
+            setSonifying(false);
+            return;
+        }
+        const ticket = ++sonifyTicket.current;
+        const id = sonifyEquation.id;
+        setSonifying(true);
         try {
-            const derivText = math.derivative(eq.text, 'x').toString();
-            const newColor = `#${(parseInt(eq.color.substring(1), 16) ^ 0xcccccc).toString(16).padStart(6, '0')}`;
-            setEquations([...equations, { id: Date.now(), text: derivText, color: newColor, visible: true, }]);
-        } catch (error) { alert(`Could not calculate derivative: ${error.message}`); }
+            const curve = await getGraphWorker('geometry').run('sonify', { equations, id, view, parameterValues, scales: { xScale: settings.xScale, yScale: settings.yScale } }, 'sonify');
+            if (ticket !== sonifyTicket.current) return;
+            await playSonification(buildScore({ curve, points: analysisCues(analysis, id), view, settings, options: sonify }));
+        } catch (e) {
+            if (!e.cancelled) console.error('Audio graph error:', e);
+        } finally {
+            if (ticket === sonifyTicket.current) setSonifying(false);
+        }
     };
 
-    const handleSave = () => {
-        if (window.javaBridge) {
-            const workspace = { equations, view, settings };
-            const content = JSON.stringify(workspace, null, 2);
-            const fileName = "graph-workspace.json";
-            window.javaBridge.saveFile(content, fileName);
-        } else {
-            alert("Save Error: The Java bridge is not connected.");
-        }
+    // --- Symbolic Algebra ---
+    // Rewrites of the chosen function (see cas.js), worked out in the
+    // algebra worker and typeset, with the LaTeX a click away. A result can
+    // be added as an equation; Taylor polynomials are added straight away,
+    // to overlay the curve. A new action cancels one still running.
+    const [cas, setCas] = useState({ equationId: null, order: 2, center: '0', degree: 3, point: '0' });
+    const [casResult, setCasResult] = useState(null);
+    const casEquation = functionEquations.find(eq => eq.id === cas.equationId) || functionEquations[0];
+    const wholeNumber = (value, min, max) => Math.min(Math.max(Math.round(value) || min, min), max);
+    const addCasEquation = (text, label) => {
+        labelNextChange(label);
+        setEquations(prev => [...prev, { id: Date.now(), text, color: newColor(), visible: true }]);
     };
-    
-    const handleLoadClick = () => fileInputRef.current.click();
-    const handleFileChange = (event) => {
+    const runCas = (operation, label) => {
+        const bound = parseBound(cas.point);
+        const options = { ...cas, point: bound === Infinity || bound === -Infinity ? bound : cas.point };
+        setCasResult({ label, working: true });
+        getGraphWorker('algebra').run('cas', { operation, equations, id: casEquation.id, options, parameterValues }, 'cas')
+            .then(result => {
+                if (operation !== 'taylor') return setCasResult({ label, ...result });
+                addCasEquation(result.text, 'Add Taylor polynomial');
+                setCasResult({ label, ...result, text: null });
+            })
+            .catch(e => { if (!e.cancelled) setCasResult({ label, error: e.message }); });
+    };
+
+    const addTable = (text = '', name = `Table ${tables.length + 1}`) => setTables([...tables, { ...createTable(newColor(), name), text }]);
+    const updateTable = (id, field, value) => setTables(tables.map(t => t.id === id ? { ...t, [field]: value } : t));
+    const removeTable = (id) => setTables(tables.filter(t => t.id !== id));
+
+    const handleTableFileChange = (event) => {
         const file = event.target.files[0];
         if (!file) return;
         const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const loadedWorkspace = JSON.parse(e.target.result);
-                if (loadedWorkspace.equations && loadedWorkspace.view && loadedWorkspace.settings) {
-                    setEquations(loadedWorkspace.equations);
-                    setView(loadedWorkspace.view);
-                    setSettings(loadedWorkspace.settings);
-                } else { alert("Invalid workspace file."); }
-            } catch (error) { alert("Error reading file: " + error.message); }
-        };
+        reader.onload = (e) => addTable(e.target.result, file.name.replace(/\.[^.]+$/, ''));
         reader.readAsText(file);
         event.target.value = null;
     };
+
+    // Fits run on the analysis worker. The fitted curve is added as an
+    // ordinary equation with its coefficients written in, and the table keeps
+    // a record of the fit so the coefficients and R² can be shown and saved.
+    const fitTable = (table) => {
+        const options = {
+            model: table.model,
+            ...(table.model === 'polynomial' && { degree: table.degree }),
+            ...(table.model === 'custom' && { template: table.template }),
+        };
+        setFitErrors(prev => ({ ...prev, [table.id]: null }));
+        getGraphWorker('analysis').run('regression', { points: readTable(table).points, options, equations, parameterValues }, `fit-${table.id}`)
+            .then(fit => {
+                const equation = { id: Date.now(), text: fit.expression, color: table.color, visible: true };
+                labelNextChange(`Fit ${table.name}`);
+                setEquations(prev => [...prev, equation]);
+                setTables(prev => prev.map(t => t.id === table.id ? { ...t, fits: [...t.fits, { id: equation.id, equationId: equation.id, ...options, ...fit }] } : t));
+            })
+            .catch(e => { if (!e.cancelled) setFitErrors(prev => ({ ...prev, [table.id]: e.message })); });
+    };
+
+    const removeFit = (table, fit) => {
+        labelNextChange(`Remove fit from ${table.name}`);
+        setTables(tables.map(t => t.id === table.id ? { ...t, fits: t.fits.filter(f => f.id !== fit.id) } : t));
+        setEquations(equations.filter(eq => eq.id !== fit.equationId));
+    };
+
+    const updateParameter = (name, field, value) => setParameters(prev => ({ ...prev, [name]: { ...resolveParameter(prev, name), [field]: value } }));
+    const togglePlaying = (name) => setPlaying(playing.includes(name) ? playing.filter(n => n !== name) : [...playing, name]);
     
-    const handleExportSVG = () => {
-        if (window.javaBridge) {
-            const { width, height } = document.querySelector('canvas') || {width: 800, height: 600};
+    const addDerivative = (eq) => {
+        if (!math || !isEquationComplete(eq)) return;
+        try {
+            const derivText = math.derivative(expandDefinitions(math, definitions, parseExpression(math, getPlotText(eq))), 'x').toString();
+            setEquations([...equations, { id: Date.now(), text: derivText, color: newColor(), visible: true, }]);
+        } catch (error) { alert(`Could not calculate derivative: ${error.message}`); }
+    };
 
-            if (!math) {
-                alert("Math library not ready. Please wait a moment and try again.");
-                return;
+    // --- Workspace Files ---
+    // Files go through the bridge: natively in the desktop app, which also
+    // remembers which file is being edited, and as downloads and uploads in a
+    // plain browser. `savedParts` is the session as last saved or opened,
+    // and anything else is unsaved work.
+    const bridge = getBridge();
+    const session = { equations, tables, panels, layout, settings, darkMode, parameters, analysis };
+    const currentParts = workspaceParts(session);
+    const [savedParts, setSavedParts] = useState(currentParts);
+    const [recentFiles, setRecentFiles] = useState([]);
+    const dirty = !sameParts(currentParts, savedParts);
+
+    // Resolves true once the workspace is on disk, which makes the autosave
+    // copy redundant.
+    const handleSave = async (saveAs = false) => {
+        const parts = currentParts;
+        const content = serializeWorkspace(session);
+        const result = await (saveAs ? bridge.saveWorkspaceAs(content) : bridge.saveWorkspace(content));
+        if (result.status === 'error') alert(`Save Error: ${result.message}`);
+        if (result.status !== 'ok') return false;
+        setSavedParts(parts);
+        bridge.discardAutosave();
+        return true;
+    };
+
+    // Nothing is replaced until the preview is confirmed.
+    const previewWorkspace = (text, fileName, source, path = null) => {
+        const result = readWorkspace(text);
+        const changes = result.workspace ? diffWorkspace(session, result.workspace) : [];
+        setPendingLoad({ ...result, fileName, changes, source, path });
+    };
+
+    const confirmLoad = () => {
+        const { workspace, source, path } = pendingLoad;
+        applyWorkspace(workspace);
+        // Recovered work is still unsaved; an opened file is not.
+        if (source !== 'autosave') setSavedParts(workspaceParts(workspace));
+        if (path) bridge.setCurrentFile(path);
+        setPendingLoad(null);
+    };
+
+    const cancelLoad = () => {
+        if (pendingLoad.source === 'autosave') bridge.discardAutosave();
+        setPendingLoad(null);
+    };
+
+    const openFile = async (request) => {
+        const result = await request;
+        if (result.status === 'error') alert(`Load Error: ${result.message}`);
+        if (result.status !== 'ok') return;
+        const { content, name, path } = result.value;
+        previewWorkspace(content, name, 'file', path);
+    };
+    const handleLoadClick = () => openFile(bridge.openWorkspace());
+
+    const readRecentFiles = async () => {
+        const result = await bridge.getRecentFiles();
+        if (result.status === 'ok') setRecentFiles(result.value);
+    };
+
+    // Events pushed by the desktop app. The handlers read the latest state
+    // through a ref, since they are subscribed once.
+    const bridgeHandlers = useRef();
+    bridgeHandlers.current = {
+        start: async () => {
+            bridge.setDirty(dirty);
+            readRecentFiles();
+            const autosave = await bridge.getAutosave();
+            if (autosave.status === 'ok' && autosave.value) previewWorkspace(autosave.value, 'Unsaved work from the last session', 'autosave');
+        },
+        openFile: ({ content, name, path }) => previewWorkspace(content, name, 'file', path),
+        recentFilesChanged: readRecentFiles,
+        // Closing waits for the page so unsaved work can be saved first.
+        windowClose: async () => {
+            if (dirty) {
+                const answer = await bridge.askToSaveChanges();
+                if (answer.status !== 'ok') return;
+                if (answer.value === 'save' && !(await handleSave())) return;
             }
+            bridge.exit();
+        },
+    };
+    useEffect(() => {
+        let active = true;
+        const handle = (type) => (payload) => bridgeHandlers.current[type](payload);
+        const unsubscribe = ['openFile', 'recentFilesChanged', 'windowClose'].map(type => bridge.on(type, handle(type)));
+        bridge.ready.then(() => { if (active) bridgeHandlers.current.start(); });
+        return () => {
+            active = false;
+            unsubscribe.forEach(off => off());
+        };
+    }, [bridge]);
 
-            const { xMin, xMax, yMin, yMax } = view;
-            const toScreenX = (x) => (x - xMin) / (xMax - xMin) * width;
-            const toScreenY = (y) => height - (y - yMin) / (yMax - yMin) * height;
+    useEffect(() => {
+        bridge.setDirty(dirty);
+    }, [bridge, dirty]);
+
+    // Unsaved work is copied aside every 30 seconds (to the app-data
+    // directory, or localStorage in a browser) and offered back at the next
+    // launch if the app closes without saving.
+    const autosaveState = useRef();
+    autosaveState.current = { dirty, currentParts, serialize: () => serializeWorkspace(session) };
+    useEffect(() => {
+        let lastParts = [];
+        const timer = setInterval(() => {
+            const { dirty, currentParts, serialize } = autosaveState.current;
+            if (!dirty || sameParts(currentParts, lastParts)) return;
+            bridge.autosave(serialize());
+            lastParts = currentParts;
+        }, AUTOSAVE_INTERVAL);
+        return () => clearInterval(timer);
+    }, [bridge]);
+    
+    // --- Image Export ---
+    // Panels keep their on-screen arrangement, scaled to the chosen size;
+    // the size starts out as the panels' size on screen.
+    const [exportOptions, setExportOptions] = useState(null);
+    const [exportOpen, setExportOpen] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const panelRects = () => panels.map(panel => {
+        const canvas = document.querySelector(`[data-panel-id="${panel.id}"] canvas`);
+        return canvas ? canvas.getBoundingClientRect() : { left: 0, top: 0, width: 800, height: 600 };
+    });
+    const screenSize = () => {
+        const rects = panelRects();
+        const left = Math.min(...rects.map(r => r.left));
+        const top = Math.min(...rects.map(r => r.top));
+        return {
+            width: Math.round(Math.max(...rects.map(r => r.left + r.width)) - left),
+            height: Math.round(Math.max(...rects.map(r => r.top + r.height)) - top),
+        };
+    };
+    const openExport = () => {
+        setExportOptions(prev => prev || { ...DEFAULT_EXPORT_OPTIONS, ...screenSize() });
+        setExportOpen(true);
+    };
 
-            let svgPaths = equations.map(eq => {
-                if (!eq.text || !eq.visible) return '';
-                try {
-                    const code = math.parse(eq.text).compile();
-                    let d = '';
-                    let lastY_world = NaN;
-
-                    for (let px = 0; px <= width; px++) {
-                        const x = (px / width) * (xMax - xMin) + xMin;
-                        const y = code.evaluate({ x: x });
-
-                        if (isFinite(y)) {
-                            const sy = toScreenY(y);
-                            if (isNaN(lastY_world)) {
-                                d += `M ${px.toFixed(2)},${sy.toFixed(2)} `;
-                            } else {
-                                const yChange = y - lastY_world;
-                                const crossedAsymptote = Math.sign(y) * Math.sign(lastY_world) === -1 && Math.abs(yChange) > (yMax - yMin) * 0.5;
-                                const isIntegerJump = Math.abs(yChange - Math.round(yChange)) < 1e-9 && Math.round(yChange) !== 0;
-
-                                if (crossedAsymptote && !isIntegerJump) {
-                                     d += `M ${px.toFixed(2)},${sy.toFixed(2)} `;
-                                } else if (isIntegerJump) {
-                                    const lastSy = toScreenY(lastY_world);
-                                    d += `L ${px.toFixed(2)},${lastSy.toFixed(2)} `;
-                                    d += `M ${px.toFixed(2)},${sy.toFixed(2)} `;
-                                } else {
-                                    d += `L ${px.toFixed(2)},${sy.toFixed(2)} `;
-                                }
-                            }
-                            lastY_world = y;
-                        } else {
-                            lastY_world = NaN;
-                        }
-                    }
-                    return `<path d="${d}" stroke="${eq.color}" stroke-width="2" fill="none" />`;
-                } catch (e) {
-                    console.error("SVG Export error for eq:", eq.text, e);
-                    return '';
-                }
-            }).join('\n');
-
-            const axisColor = darkMode ? '#9ca3af' : '#6b7281';
-            const axisX = `<line x1="0" y1="${toScreenY(0)}" x2="${width}" y2="${toScreenY(0)}" stroke="${axisColor}" stroke-width="1.5" />`;
-            const axisY = `<line x1="${toScreenX(0)}" y1="0" x2="${toScreenX(0)}" y2="${height}" stroke="${axisColor}" stroke-width="1.5" />`;
-            const bgColor = darkMode ? '#1f2937' : '#ffffff';
-
-            const svgContent = `
-                <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-                    <rect width="100%" height="100%" fill="${bgColor}" />
-                    ${axisX}
-                    ${axisY}
-                    ${svgPaths}
-                </svg>
-            `;
-            const fileName = "graph.svg";
-            window.javaBridge.saveFile(svgContent, fileName);
-        } else {
-            alert("Export Error: The Java bridge is not connected.");
+    const handleExport = async (options) => {
+        if (!math) {
+            alert("Math library not ready. Please wait a moment and try again.");
+            return;
+        }
+        const rects = panelRects();
+        const left = Math.min(...rects.map(r => r.left));
+        const top = Math.min(...rects.map(r => r.top));
+        const screen = screenSize();
+        const scaleX = options.width / screen.width;
+        const scaleY = options.height / screen.height;
+        const frames = panels.map((panel, i) => ({
+            panel,
+            analysis: panel.id === activePanel.id ? analysis : IDLE_ANALYSIS,
+            x: (rects[i].left - left) * scaleX,
+            y: (rects[i].top - top) * scaleY,
+            width: rects[i].width * scaleX,
+            height: rects[i].height * scaleY,
+        }));
+
+        setExporting(true);
+        try {
+            const { content, fileName } = await renderExport({ frames, width: options.width, height: options.height, equations, tables, settings, darkMode, parameterValues, options });
+            const result = await bridge.saveFile(content, fileName);
+            if (result.status === 'error') alert(`Export Error: ${result.message}`);
+            if (result.status === 'ok') setExportOpen(false);
+        } catch (e) {
+            if (!e.cancelled) alert(`Export Error: ${e.message}`);
+        } finally {
+            setExporting(false);
         }
     };
 
-    const resetView = () => setView({ xMin: -10, xMax: 10, yMin: -10, yMax: 10 });
+    // Shared with the menu and keyboard shortcuts, which live in App. Set
+    // after each commit rather than while rendering, which must stay pure.
+    useEffect(() => {
+        fileActions.current = { open: handleLoadClick, save: () => handleSave(), saveAs: () => handleSave(true), export: openExport };
+    });
+
+    const activeIndex = panels.indexOf(activePanel);
+    const updatePanel = (id, update) => setPanels(panels.map(p => p.id === id ? update(p) : p));
+    // Tracing starts in the middle of the active panel.
+    const toggleTrace = (eq) => {
+        if (trace?.equationId === eq.id) {
+            setTrace(null);
+            return;
+        }
+        const middle = createMapping(view, { width: 2, height: 2 }, settings).toWorldX(1);
+        setTrace({ equationId: eq.id, x: parseFloat(middle.toPrecision(6)) });
+    };
+    const addPanel = () => {
+        const panel = { ...createPanel(activePanel.view), linkX: activePanel.linkX };
+        setPanels([...panels, panel]);
+        setActivePanelId(panel.id);
+    };
+    // View limits are applied only while they make a valid range (see
+    // viewBoundError), so xMin < xMax always holds. Text being typed, or
+    // left invalid, is kept as a draft for the panel it was typed in.
+    const [viewDrafts, setViewDrafts] = useState({ panelId: null, fields: {} });
+    const boundDrafts = viewDrafts.panelId === activePanel.id ? viewDrafts.fields : {};
+    const boundError = Object.values(boundDrafts).map(d => d.error).find(Boolean);
+    const setViewBound = (key, input) => {
+        // Steppers and leaving the field give a number; typing gives text.
+        const value = input === '' ? NaN : Number(input);
+        const error = viewBoundError(view, key, value, settings);
+        if (!error) setView({ ...view, [key]: value });
+        const fields = { ...boundDrafts };
+        if (typeof input === 'number' && !error) delete fields[key];
+        else fields[key] = { text: String(input), error };
+        setViewDrafts({ panelId: activePanel.id, fields });
+    };
+
+    // A log axis needs positive limits, so switching to one refits the view
+    // of every panel.
+    const setAxisScale = (axis, scale) => {
+        const next = { ...settings, [`${axis}Scale`]: scale };
+        labelNextChange(`Use ${SCALE_LABELS[scale].toLowerCase()} ${axis}-axis`);
+        setSettings(next);
+        setPanels(panels.map(p => ({ ...p, view: fitViewToScales(p.view, next) })));
+    };
+
+    const removePanel = (id) => {
+        const remaining = panels.filter(p => p.id !== id);
+        setPanels(remaining);
+        if (id === activePanel.id) setActivePanelId(remaining[0].id);
+    };
+    const layoutIcons = { columns: Columns2, rows: Rows2, grid: LayoutGrid };
+
+    const renderTextInput = (eq, field, prefix, placeholder, relation = false) => (
+        <MathInput value={eq[field]} onChange={text => updateEquation(eq.id, field, text)} label={prefix ? prefix.replace(' =', '') : 'Relation'} prefix={prefix} placeholder={placeholder} relation={relation} math={math} names={completions} keypad={keypad} />
+    );
+
+    const renderRangeInputs = (eq, minField, maxField, symbol) => (
+        <div className="flex items-center space-x-1 text-sm">
+            <NumberInputWithSteppers name={`${symbol} minimum`} value={eq[minField]} onChange={v => updateEquation(eq.id, minField, v)} step={0.1} />
+            <span className="text-gray-400">≤ {symbol} ≤</span>
+            <NumberInputWithSteppers name={`${symbol} maximum`} value={eq[maxField]} onChange={v => updateEquation(eq.id, maxField, v)} step={0.1} />
+        </div>
+    );
+
+    const renderEquationInputs = (eq) => {
+        const kind = getEquationKind(eq);
+        if (kind === 'parametric') return <>
+            {renderTextInput(eq, 'xText', 'x(t) =', 'e.g., cos(t)')}
+            {renderTextInput(eq, 'yText', 'y(t) =', 'e.g., sin(t)')}
+            {renderRangeInputs(eq, 'tMin', 'tMax', 't')}
+        </>;
+        if (kind === 'polar') return <>
+            {renderTextInput(eq, 'text', 'r(θ) =', 'e.g., 1 + cos(theta)')}
+            {renderRangeInputs(eq, 'thetaMin', 'thetaMax', 'θ')}
+        </>;
+        if (kind === 'implicit') return renderTextInput(eq, 'text', null, 'e.g., x^2 + y^2 = 9 or y < x^2', true);
+        const isDefinition = !!parseDefinition(eq.text);
+        return <MathInput value={eq.text} onChange={text => updateEquation(eq.id, 'text', text)} label={isDefinition ? 'Definition' : 'y ='} prefix={isDefinition ? null : 'y ='} placeholder="e.g., x^2 or f(x) = x^2" math={math} names={completions} keypad={keypad} />;
+    };
     
     const renderResults = (results) => {
         if (!results || !results.length) return <p className="text-xs text-gray-500 italic">No points found in view.</p>
-        return <div className="max-h-28 overflow-y-auto space-y-1">{results.map((p, i) => <p key={i} className="text-sm font-mono p-1 bg-gray-200 dark:bg-gray-600 rounded">({p.x.toFixed(3)}, {p.y.toFixed(3)})</p>)}</div>;
+        return <div className="max-h-28 overflow-y-auto space-y-1">{results.map((p, i) => <p key={i} className="text-sm font-mono p-1 bg-gray-200 dark:bg-gray-600 rounded">({p.x.toFixed(3)}, {p.y.toFixed(3)}){p.touching && <span className="font-sans text-xs text-gray-500 dark:text-gray-400"> touches</span>}</p>)}</div>;
     };
     
     const isIntegralActive = analysis.mode === 'integral';
+    const isBetween = analysis.params.integralKind === 'between';
     const isIntersectionActive = analysis.mode === 'intersections';
     const isExtremaActive = analysis.mode === 'extrema';
+    const isZerosActive = analysis.mode === 'zeros';
     const isDerivativeActive = analysis.mode === 'derivative';
 
     return (
@@ -558,31 +1270,116 @@ const ControlsPanel = ({ equations, setEquations, view, setView, settings, setSe
             <div className="flex-grow">
                  <div className="flex justify-between items-center mb-4">
                      <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100">Graphing Calculator</h2>
-                     <button onClick={() => setDarkMode(!darkMode)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700">{darkMode ? <Sun size={20} /> : <Moon size={20} />}</button>
+                     <div className="flex items-center">
+                         <Tooltip text="Keyboard Shortcuts"><button onClick={openShortcuts} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700"><Keyboard size={20} /></button></Tooltip>
+                         <button onClick={() => setDarkMode(!darkMode)} aria-label="Dark mode" aria-pressed={darkMode} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700">{darkMode ? <Sun size={20} /> : <Moon size={20} />}</button>
+                     </div>
                 </div>
                 
                 <div className="mb-4">
-                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300">Equations</h3>
+                    <div className="flex items-center justify-between mb-2">
+                        <h3 className="font-semibold text-gray-700 dark:text-gray-300">Equations</h3>
+                        <Tooltip text={keypad ? 'Hide Keypad' : 'Show Keypad'}><button onClick={() => setKeypad(!keypad)} aria-pressed={keypad} className={`p-1 rounded ${keypad ? 'bg-blue-500 text-white' : 'text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700'}`}><Calculator size={18} /></button></Tooltip>
+                    </div>
                     <div className="space-y-2">{equations.map((eq) => (<div key={eq.id} className="flex items-center space-x-2 p-2 rounded-lg bg-white/70 dark:bg-gray-800/70 shadow-sm backdrop-blur-sm">
-                        <input type="color" value={eq.color} onChange={(e) => updateEquation(eq.id, 'color', e.target.value)} className="w-8 h-8 rounded border-none cursor-pointer"/>
-                        <div className="relative flex-grow"><span className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400">y =</span><input type="text" placeholder="e.g., x^2" value={eq.text} onChange={(e) => updateEquation(eq.id, 'text', e.target.value)} className="w-full pl-9 pr-2 py-1.5 rounded-md bg-gray-100 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500"/></div>
-                        <Tooltip text="Plot Derivative"><button onClick={() => addDerivative(eq)} disabled={!mathLoaded || !eq.text} className="p-1 rounded disabled:text-gray-400 disabled:cursor-not-allowed text-amber-500 hover:bg-amber-100"><Spline size={18} /></button></Tooltip>
-                        <Tooltip text="Toggle Visibility"><button onClick={() => updateEquation(eq.id, 'visible', !eq.visible)} className={`p-1 rounded ${eq.visible ? 'text-blue-500' : 'text-gray-400'}`}><Target size={18} /></button></Tooltip>
+                        <input type="color" aria-label={`Color of ${equationLabel(eq) || 'new equation'}`} value={eq.color} onChange={(e) => updateEquation(eq.id, 'color', e.target.value)} className="w-8 h-8 rounded border-none cursor-pointer"/>
+                        <div className="flex-grow space-y-1">{renderEquationInputs(eq)}{rowErrors[eq.id] && <p className="text-xs text-red-500">{rowErrors[eq.id]}</p>}</div>
+                        {getEquationKind(eq) === 'function' && <Tooltip text="Plot Derivative"><button onClick={() => addDerivative(eq)} disabled={!mathLoaded || !isEquationComplete(eq)} className="p-1 rounded disabled:text-gray-400 disabled:cursor-not-allowed text-amber-500 hover:bg-amber-100"><Spline size={18} /></button></Tooltip>}
+                        {getEquationKind(eq) === 'function' && <Tooltip text={trace?.equationId === eq.id ? 'Stop Tracing' : 'Trace'}><button onClick={() => toggleTrace(eq)} disabled={!eq.visible || !isEquationComplete(eq)} className={`p-1 rounded disabled:text-gray-300 disabled:cursor-not-allowed ${trace?.equationId === eq.id ? 'bg-blue-500 text-white' : 'text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700'}`}><Footprints size={18} /></button></Tooltip>}
+                        <Tooltip text="Zoom to Fit"><button onClick={() => zoomToFit({ equationIds: [eq.id] })} disabled={!eq.visible || !isEquationComplete(eq)} className="p-1 rounded text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:text-gray-300 disabled:cursor-not-allowed"><Maximize2 size={18} /></button></Tooltip>
+                        <Tooltip text="Toggle Visibility"><button onClick={() => updateEquation(eq.id, 'visible', !eq.visible)} aria-pressed={eq.visible} className={`p-1 rounded ${eq.visible ? 'text-blue-500' : 'text-gray-400'}`}><Target size={18} /></button></Tooltip>
                         <Tooltip text="Remove Equation"><button onClick={() => removeEquation(eq.id)} className="p-1 rounded text-gray-400 hover:text-red-500 hover:bg-red-100"><Minus size={18} /></button></Tooltip>
                     </div>))}</div>
-                    <button onClick={addEquation} className="mt-2 w-full flex items-center justify-center space-x-2 py-2 px-4 border-2 border-dashed rounded-lg text-gray-500 hover:bg-gray-100/80 hover:border-blue-500 transition"><Plus size={16} /><span>Add Equation</span></button>
+                    <button onClick={() => addEquation()} className="mt-2 w-full flex items-center justify-center space-x-2 py-2 px-4 border-2 border-dashed rounded-lg text-gray-500 hover:bg-gray-100/80 hover:border-blue-500 transition"><Plus size={16} /><span>Add Equation</span></button>
+                    <div className="mt-2 grid grid-cols-3 gap-2">
+                        <button onClick={() => addEquation('parametric')} className="flex items-center justify-center space-x-1 py-1.5 px-2 border-2 border-dashed rounded-lg text-sm text-gray-500 hover:bg-gray-100/80 hover:border-blue-500 transition"><Plus size={14} /><span>Parametric</span></button>
+                        <button onClick={() => addEquation('polar')} className="flex items-center justify-center space-x-1 py-1.5 px-2 border-2 border-dashed rounded-lg text-sm text-gray-500 hover:bg-gray-100/80 hover:border-blue-500 transition"><Plus size={14} /><span>Polar</span></button>
+                        <button onClick={() => addEquation('implicit')} className="flex items-center justify-center space-x-1 py-1.5 px-2 border-2 border-dashed rounded-lg text-sm text-gray-500 hover:bg-gray-100/80 hover:border-blue-500 transition"><Plus size={14} /><span>Relation</span></button>
+                    </div>
+                </div>
+
+                <div className="mb-4">
+                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300 flex items-center"><Table2 size={16} className="mr-2"/>Data Tables</h3>
+                    <div className="space-y-2">{tables.map(table => {
+                        const { columns, points, skipped } = readTable(table);
+                        return (
+                            <div key={table.id} className="p-2 rounded-lg bg-white/70 dark:bg-gray-800/70 shadow-sm backdrop-blur-sm space-y-2">
+                                <div className="flex items-center space-x-2">
+                                    <input type="color" aria-label={`Color of ${table.name}`} value={table.color} onChange={(e) => updateTable(table.id, 'color', e.target.value)} className="w-8 h-8 rounded border-none cursor-pointer"/>
+                                    <input type="text" aria-label="Table name" value={table.name} onChange={(e) => updateTable(table.id, 'name', e.target.value)} className="flex-grow px-2 py-1.5 rounded-md bg-gray-100 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500"/>
+                                    <Tooltip text="Toggle Visibility"><button onClick={() => updateTable(table.id, 'visible', !table.visible)} aria-pressed={table.visible} className={`p-1 rounded ${table.visible ? 'text-blue-500' : 'text-gray-400'}`}><Target size={18} /></button></Tooltip>
+                                    <Tooltip text="Remove Table"><button onClick={() => removeTable(table.id)} className="p-1 rounded text-gray-400 hover:text-red-500 hover:bg-red-100"><Minus size={18} /></button></Tooltip>
+                                </div>
+                                <textarea rows={4} aria-label={`${table.name} data`} placeholder={'Paste CSV or TSV, e.g.\nx, y\n1, 2.1\n2, 3.9'} value={table.text} onChange={(e) => updateTable(table.id, 'text', e.target.value)} className="w-full px-2 py-1.5 rounded-md bg-gray-100 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 font-mono text-sm"/>
+                                {columns.length > 2 && (
+                                    <div className="grid grid-cols-2 gap-2 text-sm">
+                                        <select aria-label="x column" value={table.xColumn} onChange={e => updateTable(table.id, 'xColumn', Number(e.target.value))} className="p-1.5 rounded-md bg-gray-100 dark:bg-gray-700">{columns.map((c, i) => <option key={i} value={i}>x: {c}</option>)}</select>
+                                        <select aria-label="y column" value={table.yColumn} onChange={e => updateTable(table.id, 'yColumn', Number(e.target.value))} className="p-1.5 rounded-md bg-gray-100 dark:bg-gray-700">{columns.map((c, i) => <option key={i} value={i}>y: {c}</option>)}</select>
+                                    </div>
+                                )}
+                                <p className="text-xs text-gray-500">{points.length} point{points.length === 1 ? '' : 's'}{skipped > 0 && `, ${skipped} row${skipped === 1 ? '' : 's'} skipped`}</p>
+                                <div className="flex items-center space-x-2">
+                                    <select aria-label="Regression model" value={table.model} onChange={e => updateTable(table.id, 'model', e.target.value)} className="flex-grow p-1.5 rounded-md bg-gray-100 dark:bg-gray-700 text-sm">{REGRESSION_MODELS.map(m => <option key={m.id} value={m.id}>{m.label}: {m.form}</option>)}</select>
+                                    {table.model === 'polynomial' && <div className="w-20"><NumberInputWithSteppers name="Polynomial degree" value={table.degree} onChange={v => updateTable(table.id, 'degree', v)} step={1} /></div>}
+                                </div>
+                                {table.model === 'custom' && <input type="text" placeholder="e.g., a*sin(b*x) + c" value={table.template} onChange={(e) => updateTable(table.id, 'template', e.target.value)} className="w-full px-2 py-1.5 rounded-md bg-gray-100 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500"/>}
+                                <button onClick={() => fitTable(table)} disabled={!mathLoaded || points.length < 2} className="w-full py-1.5 px-4 rounded-lg text-white font-semibold transition disabled:bg-gray-400 bg-blue-500 hover:bg-blue-600">Fit</button>
+                                {fitErrors[table.id] && <p className="text-xs text-red-500">{fitErrors[table.id]}</p>}
+                                {table.fits.map(fit => (
+                                    <div key={fit.id} className="text-sm font-mono p-1 bg-gray-200 dark:bg-gray-600 rounded flex items-start">
+                                        <div className="flex-grow">
+                                            <div className="font-sans font-semibold text-xs">{regressionLabel(fit.model)}{fit.model === 'polynomial' && `, degree ${fit.degree}`}</div>
+                                            {Object.entries(fit.coefficients).map(([name, value]) => <div key={name}>{name} = {Number(value.toPrecision(6))}</div>)}
+                                            <div>R² = {fit.r2 === null ? '—' : fit.r2.toFixed(4)}</div>
+                                        </div>
+                                        <Tooltip text="Remove Fit"><button onClick={() => removeFit(table, fit)} className="p-1 rounded text-gray-400 hover:text-red-500"><X size={14} /></button></Tooltip>
+                                    </div>
+                                ))}
+                            </div>
+                        );
+                    })}</div>
+                    <div className="mt-2 grid grid-cols-2 gap-2">
+                        <button onClick={() => addTable()} className="flex items-center justify-center space-x-1 py-1.5 px-2 border-2 border-dashed rounded-lg text-sm text-gray-500 hover:bg-gray-100/80 hover:border-blue-500 transition"><Plus size={14} /><span>Table</span></button>
+                        <button onClick={() => tableInputRef.current.click()} className="flex items-center justify-center space-x-1 py-1.5 px-2 border-2 border-dashed rounded-lg text-sm text-gray-500 hover:bg-gray-100/80 hover:border-blue-500 transition"><Upload size={14} /><span>Load CSV</span></button>
+                        <input type="file" ref={tableInputRef} onChange={handleTableFileChange} accept=".csv,.tsv,.txt" className="hidden"/>
+                    </div>
                 </div>
 
+                {parameterNames.length > 0 && (
+                    <div className="mb-4">
+                        <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300 flex items-center"><SlidersHorizontal size={16} className="mr-2"/>Parameters</h3>
+                        <div className="space-y-2">{parameterNames.map(name => {
+                            const param = resolveParameter(parameters, name);
+                            const isPlaying = playing.includes(name);
+                            return (
+                                <div key={name} className="p-2 rounded-lg bg-white/70 dark:bg-gray-800/70 shadow-sm backdrop-blur-sm">
+                                    <div className="flex items-center space-x-2">
+                                        <span className="font-mono font-semibold w-8 text-gray-700 dark:text-gray-200">{name}</span>
+                                        <input type="range" aria-label={`Value of ${name}`} min={param.min} max={param.max} step={param.step} value={param.value} onChange={e => updateParameter(name, 'value', parseFloat(e.target.value))} className="flex-grow"/>
+                                        <span className="font-mono text-sm w-14 text-right">{Number(param.value).toFixed(2)}</span>
+                                        <Tooltip text={isPlaying ? 'Pause' : 'Animate'}><button onClick={() => togglePlaying(name)} className="p-1 rounded text-blue-500 hover:bg-blue-100">{isPlaying ? <Pause size={16} /> : <Play size={16} />}</button></Tooltip>
+                                    </div>
+                                    <div className="grid grid-cols-3 gap-2 mt-3">
+                                        <NumberInputWithSteppers label="Min" value={param.min} onChange={v => updateParameter(name, 'min', v)} step={1} />
+                                        <NumberInputWithSteppers label="Max" value={param.max} onChange={v => updateParameter(name, 'max', v)} step={1} />
+                                        <NumberInputWithSteppers label="Step" value={param.step} onChange={v => updateParameter(name, 'step', v)} step={0.01} />
+                                    </div>
+                                </div>
+                            );
+                        })}</div>
+                    </div>
+                )}
+
                 <div className="mb-4">
-                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300">Analysis Tools</h3>
+                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300">Analysis Tools{analysisBusy && <span className="ml-2 text-xs font-normal text-gray-500">Calculating…</span>}</h3>
                     <div className="p-3 rounded-lg bg-white/70 dark:bg-gray-800/70 shadow-sm space-y-4 backdrop-blur-sm">
                         {/* Derivative at Point */}
                         <div className={`p-2 rounded-lg transition ${isDerivativeActive ? 'bg-amber-100 dark:bg-amber-900/50' : ''}`}>
                             <h4 className="font-semibold text-gray-800 dark:text-gray-200 mb-2 flex items-center"><TrendingUp size={16} className="mr-2 text-amber-500"/>Derivative at Point</h4>
-                            <select value={analysis.params.derivativeId || ''} onChange={e => setAnalysisParams({ ...analysis.params, derivativeId: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select an equation</option>{equations.map(eq => <option key={eq.id} value={eq.id}>y = {eq.text}</option>)}</select>
+                            <select aria-label="Equation to differentiate" value={analysis.params.derivativeId || ''} onChange={e => setAnalysisParams({ ...analysis.params, derivativeId: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select an equation</option>{functionEquations.map(eq => <option key={eq.id} value={eq.id}>{equationLabel(eq)}</option>)}</select>
                             <div className="flex items-center space-x-2 mt-2">
                                 <span className="text-sm">at x =</span>
-                                <NumberInputWithSteppers value={analysis.params.derivativeX} onChange={v => setAnalysisParams({...analysis.params, derivativeX: v})} step={0.1} />
+                                <NumberInputWithSteppers name="Derivative at x" value={analysis.params.derivativeX} onChange={v => setAnalysisParams({...analysis.params, derivativeX: v})} step={0.1} />
                             </div>
                             <button onClick={() => runAnalysis('derivative')} disabled={!analysis.params.derivativeId} className={`mt-2 w-full py-2 px-4 rounded-lg text-white font-semibold transition disabled:bg-gray-400 flex justify-center items-center space-x-2 ${isDerivativeActive ? 'bg-red-500 hover:bg-red-600' : 'bg-amber-500 hover:bg-amber-600'}`}>{isDerivativeActive ? <XCircle size={18}/> : <TrendingUp size={18}/>}<span>{isDerivativeActive ? 'Clear' : 'Calculate'}</span></button>
                             {isDerivativeActive && analysis.results.derivative && (
@@ -595,82 +1392,378 @@ const ControlsPanel = ({ equations, setEquations, view, setView, settings, setSe
                         {/* Definite Integral */}
                         <div className={`p-2 rounded-lg transition ${isIntegralActive ? 'bg-green-100 dark:bg-green-900/50' : ''}`}>
                             <h4 className="font-semibold text-gray-800 dark:text-gray-200 mb-2 flex items-center"><Sigma size={16} className="mr-2 text-green-500"/>Definite Integral</h4>
-                            <select value={analysis.params.integralId || ''} onChange={e => setAnalysisParams({ ...analysis.params, integralId: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select Eq for ∫f(x)dx</option>{equations.map(eq => <option key={eq.id} value={eq.id}>y = {eq.text}</option>)}</select>
+                            <div className="grid grid-cols-2 gap-1 mb-2 text-sm">{[['single', 'Under curve'], ['between', 'Between curves']].map(([kind, label]) => (
+                                <button key={kind} onClick={() => setAnalysisParams({ ...analysis.params, integralKind: kind })} className={`py-1 rounded-md transition ${analysis.params.integralKind === kind ? 'bg-green-500 text-white' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'}`}>{label}</button>
+                            ))}</div>
+                            <select aria-label={isBetween ? 'Upper curve f' : 'Equation to integrate'} value={analysis.params.integralId || ''} onChange={e => setAnalysisParams({ ...analysis.params, integralId: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">{isBetween ? 'Select upper curve f' : 'Select Eq for ∫f(x)dx'}</option>{functionEquations.map(eq => <option key={eq.id} value={eq.id}>{equationLabel(eq)}</option>)}</select>
+                            {isBetween && <select aria-label="Second curve g" value={analysis.params.integralId2 || ''} onChange={e => setAnalysisParams({ ...analysis.params, integralId2: Number(e.target.value)})} className="mt-2 w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select second curve g</option>{functionEquations.filter(eq => eq.id !== analysis.params.integralId).map(eq => <option key={eq.id} value={eq.id}>{equationLabel(eq)}</option>)}</select>}
                             <div className="flex items-center space-x-2 mt-2">
                                 <span className="text-sm">From</span>
-                                <NumberInputWithSteppers value={analysis.params.a} onChange={v => setAnalysisParams({...analysis.params, a: v})} step={0.1} />
+                                <NumberInputWithSteppers name="Lower bound a" value={analysis.params.a} onChange={v => setAnalysisParams({...analysis.params, a: v})} step={0.1} allowInfinity />
                                 <span className="text-sm">to</span>
-                                <NumberInputWithSteppers value={analysis.params.b} onChange={v => setAnalysisParams({...analysis.params, b: v})} step={0.1} />
+                                <NumberInputWithSteppers name="Upper bound b" value={analysis.params.b} onChange={v => setAnalysisParams({...analysis.params, b: v})} step={0.1} allowInfinity />
                             </div>
-                            <button onClick={() => runAnalysis('integral')} disabled={!analysis.params.integralId} className={`mt-2 w-full py-2 px-4 rounded-lg text-white font-semibold transition disabled:bg-gray-400 flex justify-center items-center space-x-2 ${isIntegralActive ? 'bg-red-500 hover:bg-red-600' : 'bg-green-500 hover:bg-green-600'}`}>{isIntegralActive ? <XCircle size={18}/> : <Sigma size={18}/>}<span>{isIntegralActive ? 'Clear' : 'Calculate'}</span></button>
-                            {isIntegralActive && analysis.results.integral && <div className="mt-2 text-center font-mono p-2 bg-gray-200 dark:bg-gray-600 rounded">∫ ≈ {analysis.results.integral.toFixed(4)}</div>}
+                            <button onClick={() => runAnalysis('integral')} disabled={!analysis.params.integralId || (isBetween && !analysis.params.integralId2)} className={`mt-2 w-full py-2 px-4 rounded-lg text-white font-semibold transition disabled:bg-gray-400 flex justify-center items-center space-x-2 ${isIntegralActive ? 'bg-red-500 hover:bg-red-600' : 'bg-green-500 hover:bg-green-600'}`}>{isIntegralActive ? <XCircle size={18}/> : <Sigma size={18}/>}<span>{isIntegralActive ? 'Clear' : 'Calculate'}</span></button>
+                            {isIntegralActive && analysis.results.integral && (
+                                <div className="mt-2 text-center font-mono p-2 bg-gray-200 dark:bg-gray-600 rounded">
+                                    {isNaN(analysis.results.integral.value) ? 'No value' : <>{isBetween ? 'Area' : '∫'} ≈ {analysis.results.integral.value.toFixed(6)}{!isNaN(analysis.results.integral.error) && <span className="text-xs text-gray-500 dark:text-gray-400"> ± {analysis.results.integral.error.toExponential(1)}</span>}</>}
+                                    {analysis.results.integral.warning && <p className="mt-1 font-sans text-xs text-amber-600 dark:text-amber-400">{analysis.results.integral.warning}</p>}
+                                </div>
+                            )}
                         </div>
 
                         {/* Intersections */}
                         <div className={`p-2 rounded-lg transition ${isIntersectionActive ? 'bg-pink-100 dark:bg-pink-900/50' : ''}`}>
                             <h4 className="font-semibold text-gray-800 dark:text-gray-200 mb-2 flex items-center"><GitCommit size={16} className="mr-2 text-pink-500"/>Intersections</h4>
-                            <div className="space-y-2"><select value={analysis.params.eq1Id || ''} onChange={e => setAnalysisParams({...analysis.params, eq1Id: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select Eq 1</option>{equations.map(eq => <option key={eq.id} value={eq.id}>y = {eq.text}</option>)}</select><select value={analysis.params.eq2Id || ''} onChange={e => setAnalysisParams({...analysis.params, eq2Id: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select Eq 2</option>{equations.filter(eq => eq.id !== analysis.params.eq1Id).map(eq => <option key={eq.id} value={eq.id}>y = {eq.text}</option>)}</select></div>
+                            <div className="space-y-2"><select aria-label="First equation" value={analysis.params.eq1Id || ''} onChange={e => setAnalysisParams({...analysis.params, eq1Id: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select Eq 1</option>{functionEquations.map(eq => <option key={eq.id} value={eq.id}>{equationLabel(eq)}</option>)}</select><select aria-label="Second equation" value={analysis.params.eq2Id || ''} onChange={e => setAnalysisParams({...analysis.params, eq2Id: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select Eq 2</option>{functionEquations.filter(eq => eq.id !== analysis.params.eq1Id).map(eq => <option key={eq.id} value={eq.id}>{equationLabel(eq)}</option>)}</select></div>
                             <button onClick={() => runAnalysis('intersections')} disabled={!analysis.params.eq1Id || !analysis.params.eq2Id} className={`mt-2 w-full py-2 px-4 rounded-lg text-white font-semibold transition disabled:bg-gray-400 flex justify-center items-center space-x-2 ${isIntersectionActive ? 'bg-red-500 hover:bg-red-600' : 'bg-pink-500 hover:bg-pink-600'}`}>{isIntersectionActive ? <XCircle size={18}/> : <GitCommit size={18}/>}<span>{isIntersectionActive ? 'Clear' : 'Find'}</span></button>
                             {isIntersectionActive && <div className="mt-2">{renderResults(analysis.results.intersections)}</div>}
                         </div>
 
+                        {/* Zeros and Intercepts */}
+                        <div className={`p-2 rounded-lg transition ${isZerosActive ? 'bg-sky-100 dark:bg-sky-900/50' : ''}`}>
+                            <h4 className="font-semibold text-gray-800 dark:text-gray-200 mb-2 flex items-center"><Crosshair size={16} className="mr-2 text-sky-500"/>Zeros &amp; Intercepts</h4>
+                            <select aria-label="Equation to find zeros of" value={analysis.params.zerosId || ''} onChange={e => setAnalysisParams({...analysis.params, zerosId: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select an equation</option>{functionEquations.map(eq => <option key={eq.id} value={eq.id}>{equationLabel(eq)}</option>)}</select>
+                            <button onClick={() => runAnalysis('zeros')} disabled={!analysis.params.zerosId} className={`mt-2 w-full py-2 px-4 rounded-lg text-white font-semibold transition disabled:bg-gray-400 flex justify-center items-center space-x-2 ${isZerosActive ? 'bg-red-500 hover:bg-red-600' : 'bg-sky-500 hover:bg-sky-600'}`}>{isZerosActive ? <XCircle size={18}/> : <Crosshair size={18}/>}<span>{isZerosActive ? 'Clear' : 'Find'}</span></button>
+                            {isZerosActive && <>
+                                <div className="mt-2"><h5 className="text-xs font-bold text-sky-500">x-Intercepts</h5>{renderResults(analysis.results.zeros.roots)}</div>
+                                <div className="mt-2"><h5 className="text-xs font-bold text-violet-500">y-Intercept</h5>{analysis.results.zeros.yIntercept ? renderResults([analysis.results.zeros.yIntercept]) : <p className="text-xs text-gray-500 italic">Not defined at x = 0.</p>}</div>
+                            </>}
+                        </div>
+
                         {/* Extrema */}
                         <div className={`p-2 rounded-lg transition ${isExtremaActive ? 'bg-indigo-100 dark:bg-indigo-900/50' : ''}`}>
                             <h4 className="font-semibold text-gray-800 dark:text-gray-200 mb-2 flex items-center"><UnfoldVertical size={16} className="mr-2 text-indigo-500"/>Extrema</h4>
-                            <select value={analysis.params.extremaId || ''} onChange={e => setAnalysisParams({...analysis.params, extremaId: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select an equation</option>{equations.map(eq => <option key={eq.id} value={eq.id}>y = {eq.text}</option>)}</select>
+                            <select aria-label="Equation to find extrema of" value={analysis.params.extremaId || ''} onChange={e => setAnalysisParams({...analysis.params, extremaId: Number(e.target.value)})} className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Select an equation</option>{functionEquations.map(eq => <option key={eq.id} value={eq.id}>{equationLabel(eq)}</option>)}</select>
                             <button onClick={() => runAnalysis('extrema')} disabled={!analysis.params.extremaId} className={`mt-2 w-full py-2 px-4 rounded-lg text-white font-semibold transition disabled:bg-gray-400 flex justify-center items-center space-x-2 ${isExtremaActive ? 'bg-red-500 hover:bg-red-600' : 'bg-indigo-500 hover:bg-indigo-600'}`}>{isExtremaActive ? <XCircle size={18}/> : <UnfoldVertical size={18}/>}<span>{isExtremaActive ? 'Clear' : 'Find'}</span></button>
                             {isExtremaActive && <>{analysis.results.extrema.min.length > 0 && <div className="mt-2"><h5 className="text-xs font-bold text-red-500 flex items-center"><ArrowDown size={14}/> Local Minima</h5>{renderResults(analysis.results.extrema.min)}</div>}{analysis.results.extrema.max.length > 0 && <div className="mt-2"><h5 className="text-xs font-bold text-green-500 flex items-center"><ArrowUp size={14}/> Local Maxima</h5>{renderResults(analysis.results.extrema.max)}</div>}{analysis.results.extrema.inflection.length > 0 && <div className="mt-2"><h5 className="text-xs font-bold text-amber-500">Inflection Points</h5>{renderResults(analysis.results.extrema.inflection)}</div>}</>}
                         </div>
                     </div>
                 </div>
 
+                <div className="mb-4">
+                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300 flex items-center"><SquareFunction size={16} className="mr-2"/>Symbolic Algebra</h3>
+                    <div className="p-3 rounded-lg bg-white/70 dark:bg-gray-800/70 shadow-sm backdrop-blur-sm space-y-3 text-sm text-gray-800 dark:text-gray-200">
+                        <select value={casEquation?.id || ''} onChange={e => setCas({ ...cas, equationId: Number(e.target.value) })} aria-label="Equation to rewrite" className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Add a function to rewrite</option>{functionEquations.map(eq => <option key={eq.id} value={eq.id}>{equationLabel(eq)}</option>)}</select>
+                        <div className="grid grid-cols-2 gap-1">{[
+                            ['Simplify', 'simplify', 'Simplified'],
+                            ['Expand', 'expand', 'Expanded'],
+                            ['Factor', 'factor', 'Factored'],
+                            ['Rationalize', 'rationalize', 'Rationalized'],
+                        ].map(([action, operation, label]) => (
+                            <button key={action} onClick={() => runCas(operation, label)} disabled={!mathLoaded || !casEquation} className="py-1.5 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed transition">{action}</button>
+                        ))}</div>
+                        <div className="flex items-center space-x-2">
+                            <span className="w-16 text-gray-500">Order</span>
+                            <NumberInputWithSteppers name="Derivative order" value={cas.order} onChange={v => setCas({ ...cas, order: wholeNumber(v, 1, MAX_ORDER) })} />
+                            <button onClick={() => runCas('derivative', `Derivative of order ${cas.order}`)} disabled={!mathLoaded || !casEquation} className="py-2 px-3 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed transition whitespace-nowrap">Differentiate</button>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                            <span className="w-16 text-gray-500">About</span>
+                            <input type="text" aria-label="Taylor polynomial center" value={cas.center} onChange={e => setCas({ ...cas, center: e.target.value })} className="w-full min-w-0 p-2 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-center font-mono"/>
+                            <NumberInputWithSteppers name="Taylor polynomial degree" value={cas.degree} onChange={v => setCas({ ...cas, degree: wholeNumber(v, 0, MAX_ORDER) })} />
+                            <button onClick={() => runCas('taylor', 'Taylor polynomial')} disabled={!mathLoaded || !casEquation} className="py-2 px-3 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed transition">Taylor</button>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                            <span className="w-16 text-gray-500">x →</span>
+                            <input type="text" aria-label="Limit point" value={cas.point} onChange={e => setCas({ ...cas, point: e.target.value })} className="w-full min-w-0 p-2 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-center font-mono"/>
+                            <button onClick={() => runCas('limit', 'Limit')} disabled={!mathLoaded || !casEquation} className="py-2 px-3 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed transition">Limit</button>
+                        </div>
+                        {casResult && (
+                            <div role="status" className="p-2 rounded-md bg-gray-100 dark:bg-gray-700 space-y-1">
+                                <h4 className="text-xs font-bold text-gray-500 dark:text-gray-400">{casResult.label}</h4>
+                                {casResult.working ? <p className="text-xs text-gray-500">Working…</p> : casResult.error ? <p className="text-xs text-red-500">{casResult.error}</p> : <>
+                                    {casResult.rows.map(row => <MathView key={row.tex} mathml={row.mathml} />)}
+                                    <div className="flex space-x-2">
+                                        <button onClick={() => navigator.clipboard.writeText(casResult.rows.map(row => row.tex).join('\n'))} className="flex items-center space-x-1 py-1 px-2 rounded-md text-xs bg-white dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-600"><Copy size={14}/><span>Copy LaTeX</span></button>
+                                        {casResult.text && <button onClick={() => addCasEquation(casResult.text, `Add ${casResult.label.toLowerCase()} equation`)} className="flex items-center space-x-1 py-1 px-2 rounded-md text-xs bg-white dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-600"><Plus size={14}/><span>Add as Equation</span></button>}
+                                    </div>
+                                </>}
+                                {casResult.note && <p className="text-xs text-gray-500">{casResult.note}</p>}
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="mb-4">
+                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300 flex items-center"><AudioLines size={16} className="mr-2"/>Audio Graph</h3>
+                    <div className="p-3 rounded-lg bg-white/70 dark:bg-gray-800/70 shadow-sm backdrop-blur-sm space-y-2 text-sm text-gray-800 dark:text-gray-200">
+                        <select value={sonifyEquation?.id || ''} onChange={e => setSonify({ ...sonify, equationId: Number(e.target.value) })} aria-label="Equation to play" className="w-full p-2 rounded-md bg-gray-100 dark:bg-gray-700"><option disabled value="">Add a function to play</option>{functionEquations.map(eq => <option key={eq.id} value={eq.id}>{equationLabel(eq)}</option>)}</select>
+                        <label className="flex items-center space-x-2">
+                            <span className="w-16 text-gray-500">Length</span>
+                            <input type="range" min="1" max="20" step="0.5" value={sonify.duration} onChange={e => setSonify({ ...sonify, duration: parseFloat(e.target.value) })} className="flex-grow"/>
+                            <span className="font-mono w-10 text-right">{sonify.duration}s</span>
+                        </label>
+                        <label className="flex items-center space-x-2">
+                            <span className="w-16 text-gray-500">Pitch</span>
+                            <select value={sonify.range} onChange={e => setSonify({ ...sonify, range: e.target.value })} className="flex-grow p-1 rounded-md bg-gray-100 dark:bg-gray-700">
+                                {PITCH_RANGES.map(range => <option key={range.id} value={range.id}>{range.label}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex items-center space-x-2">
+                            <span className="w-16 text-gray-500">Stereo</span>
+                            <input type="range" min="0" max="1" step="0.1" value={sonify.stereo} onChange={e => setSonify({ ...sonify, stereo: parseFloat(e.target.value) })} className="flex-grow"/>
+                            <span className="font-mono w-10 text-right">{Math.round(sonify.stereo * 100)}%</span>
+                        </label>
+                        <button onClick={playAudioGraph} disabled={!sonifyEquation} className={`w-full py-2 px-4 rounded-lg text-white font-semibold transition disabled:bg-gray-400 flex justify-center items-center space-x-2 ${sonifying ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-500 hover:bg-blue-600'}`}>{sonifying ? <Square size={18}/> : <Play size={18}/>}<span>{sonifying ? 'Stop' : 'Play'}</span></button>
+                        <p className="text-xs text-gray-500">Pitch follows y from left to right. A thump marks an x-axis crossing, a hiss a break in the curve, and chimes the zeros, extrema and intersections found above.</p>
+                    </div>
+                </div>
+
+                <div className="mb-4">
+                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300 flex items-center"><LayoutGrid size={16} className="mr-2"/>Panels</h3>
+                    <div className="space-y-2">{panels.map((panel, i) => (
+                        <div key={panel.id} className={`flex items-center space-x-2 p-2 rounded-lg shadow-sm backdrop-blur-sm ${panel.id === activePanel.id ? 'bg-blue-100 dark:bg-blue-900/50' : 'bg-white/70 dark:bg-gray-800/70'}`}>
+                            <button onClick={() => setActivePanelId(panel.id)} className="flex-grow text-left text-sm text-gray-800 dark:text-gray-200">Panel {i + 1}</button>
+                            <Tooltip text={panel.linkX ? 'Unlink x-axis' : 'Link x-axis'}><button onClick={() => setPanels(setPanelLinked(panels, panel.id, !panel.linkX))} className={`p-1 rounded ${panel.linkX ? 'text-blue-500' : 'text-gray-400'}`}>{panel.linkX ? <Link size={18} /> : <Unlink size={18} />}</button></Tooltip>
+                            {panels.length > 1 && <Tooltip text="Remove Panel"><button onClick={() => removePanel(panel.id)} className="p-1 rounded text-gray-400 hover:text-red-500 hover:bg-red-100"><Minus size={18} /></button></Tooltip>}
+                        </div>
+                    ))}</div>
+                    <div className="mt-2 flex space-x-2">
+                        <button onClick={addPanel} className="flex-grow flex items-center justify-center space-x-2 py-2 px-4 rounded-lg text-blue-600 dark:text-blue-400 bg-blue-100 dark:bg-blue-900 hover:bg-blue-200 dark:hover:bg-blue-800 transition"><Plus size={16} /><span>Add Panel</span></button>
+                        {PANEL_LAYOUTS.map(({ id, label }) => {
+                            const Icon = layoutIcons[id];
+                            return <Tooltip key={id} text={label}><button onClick={() => setLayout(id)} className={`p-2 rounded-lg transition ${layout === id ? 'bg-blue-500 text-white' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'}`}><Icon size={18} /></button></Tooltip>;
+                        })}
+                    </div>
+                    {panels.length > 1 && (equations.length > 0 || tables.length > 0) && (
+                        <div className="mt-2 p-2 rounded-lg bg-white/70 dark:bg-gray-800/70 shadow-sm">
+                            <h4 className="text-xs font-bold text-gray-500 dark:text-gray-400 mb-1">Shown in Panel {activeIndex + 1}</h4>
+                            {[...equations.map(eq => ({ id: eq.id, color: eq.color, label: equationLabel(eq) })), ...tables.map(t => ({ id: t.id, color: t.color, label: t.name }))].map(item => (
+                                <label key={item.id} className="flex items-center space-x-2 text-sm text-gray-800 dark:text-gray-200">
+                                    <input type="checkbox" checked={isShownInPanel(activePanel, item.id)} onChange={() => updatePanel(activePanel.id, p => togglePanelItem(p, item.id))} />
+                                    <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: item.color }} />
+                                    <span className="truncate font-mono">{item.label || '(empty)'}</span>
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
                  <div className="mb-4">
-                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300">View Controls</h3>
+                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300">View Controls{panels.length > 1 && <span className="ml-2 text-xs font-normal text-gray-500">Panel {activeIndex + 1}</span>}</h3>
                     <div className="grid grid-cols-2 gap-2">
-                        <NumberInputWithSteppers label="X Min" value={view.xMin} onChange={v => setView({...view, xMin: v})} step={1} />
-                        <NumberInputWithSteppers label="X Max" value={view.xMax} onChange={v => setView({...view, xMax: v})} step={1} />
-                        <NumberInputWithSteppers label="Y Min" value={view.yMin} onChange={v => setView({...view, yMin: v})} step={1} />
-                        <NumberInputWithSteppers label="Y Max" value={view.yMax} onChange={v => setView({...view, yMax: v})} step={1} />
+                        {VIEW_BOUNDS.map(([key, label]) => (
+                            <NumberInputWithSteppers key={key} label={label} value={boundDrafts[key]?.text ?? view[key]} onChange={v => setViewBound(key, v)} invalid={!!boundDrafts[key]?.error} step={1} />
+                        ))}
+                    </div>
+                    {boundError && <p className="mt-1 text-xs text-red-500">{boundError}</p>}
+                    <div className="mt-2 flex space-x-2">
+                        <Tooltip text="Previous View"><button onClick={() => stepActiveView(-1)} disabled={!viewNav.back.length} className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"><ChevronLeft size={18} /></button></Tooltip>
+                        <Tooltip text="Next View"><button onClick={() => stepActiveView(1)} disabled={!viewNav.forward.length} className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"><ChevronRight size={18} /></button></Tooltip>
+                        <Tooltip text="Zoom to fit the graph"><button onClick={() => zoomToFit()} className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"><Maximize2 size={18} /></button></Tooltip>
+                        {analysis.mode && <Tooltip text="Zoom to fit the analysis results"><button onClick={() => zoomToFit({ results: true })} className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"><Scan size={18} /></button></Tooltip>}
+                        <Tooltip text={settings.lockAspect ? 'Unlock 1:1 aspect' : 'Lock 1:1 aspect'}><button onClick={() => setSettings({ ...settings, lockAspect: !settings.lockAspect })} disabled={!isLinear(settings)} className={`p-2 rounded-lg transition disabled:opacity-50 ${settings.lockAspect ? 'bg-blue-500 text-white' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'}`}><Ratio size={18} /></button></Tooltip>
                     </div>
+                    <p className="mt-1 text-xs text-gray-500">Drag an axis to stretch it, Shift+drag to zoom into a box; Shift or Alt with the wheel zooms one axis. Click a curve to pin a point.</p>
+                    {activePanel.pins.length > 0 && (
+                        <button onClick={() => updatePanel(activePanel.id, p => ({ ...p, pins: [] }))} className="mt-2 w-full flex items-center justify-center space-x-2 py-1.5 px-4 rounded-lg text-sm bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition">
+                            <MapPinOff size={16} />
+                            <span>Clear {activePanel.pins.length} Pinned Point{activePanel.pins.length > 1 ? 's' : ''}</span>
+                        </button>
+                    )}
                      <button onClick={resetView} className="mt-2 w-full flex items-center justify-center space-x-2 py-2 px-4 rounded-lg text-blue-600 dark:text-blue-400 bg-blue-100 dark:bg-blue-900 hover:bg-blue-200 dark:hover:bg-blue-800 transition">
                         <Move size={16} />
                         <span>Reset View</span>
                     </button>
                 </div>
 
+                <div className="mb-4">
+                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300">Axes &amp; Grid</h3>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-800 dark:text-gray-200">
+                        {[['showGrid', 'Grid'], ['showMinorGrid', 'Minor gridlines'], ['showTickLabels', 'Tick labels']].map(([key, label]) => (
+                            <label key={key} className="flex items-center space-x-2">
+                                <input type="checkbox" checked={settings[key]} disabled={key === 'showMinorGrid' && !settings.showGrid} onChange={() => setSettings({ ...settings, [key]: !settings[key] })} />
+                                <span>{label}</span>
+                            </label>
+                        ))}
+                    </div>
+                    {['x', 'y'].map(axis => (
+                        <div key={axis} className="mt-2 space-y-1">
+                            <div className="flex items-center space-x-2 text-sm">
+                                <span className="w-4 font-mono text-gray-500">{axis}</span>
+                                <select value={settings[`${axis}Scale`]} onChange={e => setAxisScale(axis, e.target.value)} aria-label={`${axis}-axis scale`} className="flex-1 min-w-0 p-1 rounded-md bg-gray-100 dark:bg-gray-700">
+                                    {AXIS_SCALES.map(scale => <option key={scale} value={scale}>{SCALE_LABELS[scale]}</option>)}
+                                </select>
+                                <select value={settings[`${axis}Ticks`]} onChange={e => setSettings({ ...settings, [`${axis}Ticks`]: e.target.value })} disabled={settings[`${axis}Scale`] === 'log'} aria-label={`${axis}-axis ticks`} className="flex-1 min-w-0 p-1 rounded-md bg-gray-100 dark:bg-gray-700 disabled:opacity-50">
+                                    {TICK_MODES.map(mode => <option key={mode} value={mode}>{TICK_LABELS[mode]}</option>)}
+                                </select>
+                            </div>
+                            <input type="text" value={settings[`${axis}Title`]} onChange={e => setSettings({ ...settings, [`${axis}Title`]: e.target.value })} placeholder={`${axis}-axis title`} className="w-full p-1 pl-7 text-sm rounded-md bg-gray-100 dark:bg-gray-700" />
+                        </div>
+                    ))}
+                </div>
+
+                <div className="mb-4">
+                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300">Colors</h3>
+                    <div className="flex items-center space-x-2 text-sm">
+                        <select value={settings.palette} onChange={e => setSettings({ ...settings, palette: e.target.value })} aria-label="Color palette for new rows" className="flex-1 min-w-0 p-1 rounded-md bg-gray-100 dark:bg-gray-700">
+                            {PALETTES.map(palette => <option key={palette.id} value={palette.id}>{palette.label}</option>)}
+                        </select>
+                        <button onClick={applyPaletteToAll} disabled={!equations.length && !tables.length} className="py-1 px-3 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50">Apply to all</button>
+                    </div>
+                    <div className="mt-2 flex space-x-1" aria-hidden="true">
+                        {PALETTES.find(p => p.id === settings.palette)?.colors.map(color => <span key={color} className="w-5 h-5 rounded" style={{ backgroundColor: color }} />)}
+                    </div>
+                </div>
+
+                <details className="mb-4" onToggle={e => setDescribing(e.currentTarget.open)}>
+                    <summary className="font-semibold mb-2 text-gray-700 dark:text-gray-300 cursor-pointer">Graph Description</summary>
+                    <p className="text-xs text-gray-500 mb-2">{graphSummary(equations, view)}</p>
+                    <div className="space-y-2">{equations.filter(eq => eq.visible && isEquationComplete(eq) && isShownInPanel(activePanel, eq.id)).map(eq => (
+                        <table key={eq.id} className="w-full text-sm text-left bg-white/70 dark:bg-gray-800/70 rounded-lg shadow-sm">
+                            <caption className="text-left font-mono px-2 pt-1 text-gray-800 dark:text-gray-200" style={{ borderLeft: `4px solid ${eq.color}` }}>{equationLabel(eq)}</caption>
+                            <tbody>{descriptionRows(eq, descriptions.get(eq.id)).map(([label, value]) => (
+                                <tr key={label}><th scope="row" className="px-2 py-0.5 font-normal text-gray-500 align-top w-24">{label}</th><td className="px-2 py-0.5 text-gray-800 dark:text-gray-200">{value}</td></tr>
+                            ))}</tbody>
+                        </table>
+                    ))}</div>
+                </details>
+
+                <div className="mb-4">
+                    <h3 className="font-semibold mb-2 text-gray-700 dark:text-gray-300 flex items-center"><History size={16} className="mr-2"/>History</h3>
+                    <div className="grid grid-cols-2 gap-2">
+                        <Tooltip text="Undo (Ctrl+Z)"><button onClick={undo} disabled={!canUndo(history)} className="w-full flex items-center justify-center space-x-2 py-2 px-4 rounded-lg text-blue-600 dark:text-blue-400 bg-blue-100 dark:bg-blue-900 hover:bg-blue-200 dark:hover:bg-blue-800 transition disabled:opacity-50"><Undo2 size={16} /><span>Undo</span></button></Tooltip>
+                        <Tooltip text="Redo (Ctrl+Shift+Z)"><button onClick={redo} disabled={!canRedo(history)} className="w-full flex items-center justify-center space-x-2 py-2 px-4 rounded-lg text-blue-600 dark:text-blue-400 bg-blue-100 dark:bg-blue-900 hover:bg-blue-200 dark:hover:bg-blue-800 transition disabled:opacity-50"><Redo2 size={16} /><span>Redo</span></button></Tooltip>
+                    </div>
+                    <ol className="mt-2 max-h-40 overflow-y-auto rounded-lg bg-white/70 dark:bg-gray-800/70 shadow-sm text-sm">
+                        {history.entries.map((entry, i) => (
+                            <li key={i}>
+                                <button onClick={() => goToHistory(i)} className={`w-full text-left px-2 py-1 truncate transition ${i === history.index ? 'bg-blue-500 text-white' : i > history.index ? 'text-gray-400 dark:text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700' : 'text-gray-800 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>{entry.label}</button>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
             </div>
             <div className="flex-shrink-0 pt-4 border-t border-gray-200/80 dark:border-gray-700/80">
-                <div className="grid grid-cols-3 gap-2">
-                    <Tooltip text="Save Workspace (.json)"><button onClick={handleSave} className="flex flex-col items-center p-2 rounded-lg bg-gray-200/50 hover:bg-gray-200"><Save size={20} /><span className="text-xs mt-1">Save</span></button></Tooltip>
+                <div className="grid grid-cols-4 gap-2">
+                    <Tooltip text={dirty ? 'Save Workspace (unsaved changes)' : 'Save Workspace (.json)'}><button onClick={() => handleSave()} className="relative flex flex-col items-center p-2 rounded-lg bg-gray-200/50 hover:bg-gray-200"><Save size={20} /><span className="text-xs mt-1">Save</span>{dirty && <span className="absolute top-1 right-1 w-2 h-2 rounded-full bg-amber-500" />}</button></Tooltip>
+                    <Tooltip text="Save Workspace As…"><button onClick={() => handleSave(true)} className="flex flex-col items-center p-2 rounded-lg bg-gray-200/50 hover:bg-gray-200"><SaveAll size={20} /><span className="text-xs mt-1">Save As</span></button></Tooltip>
                     <Tooltip text="Load Workspace (.json)"><button onClick={handleLoadClick} className="flex flex-col items-center p-2 rounded-lg bg-gray-200/50 hover:bg-gray-200"><FolderOpen size={20} /><span className="text-xs mt-1">Load</span></button></Tooltip>
-                    <input type="file" ref={fileInputRef} onChange={handleFileChange} accept=".json" className="hidden"/>
-                    <Tooltip text="Export as SVG"><button onClick={handleExportSVG} className="flex flex-col items-center p-2 rounded-lg bg-gray-200/50 hover:bg-gray-200"><Download size={20}/><span className="text-xs mt-1">Export</span></button></Tooltip>
+                    <Tooltip text="Export as SVG, PNG or PDF"><button onClick={openExport} className="flex flex-col items-center p-2 rounded-lg bg-gray-200/50 hover:bg-gray-200"><Download size={20}/><span className="text-xs mt-1">Export</span></button></Tooltip>
                 </div>
+                {recentFiles.length > 0 && (
+                    <div className="mt-2">
+                        <h4 className="text-xs font-bold text-gray-500 dark:text-gray-400 mb-1">Recent</h4>
+                        <ul className="max-h-24 overflow-y-auto text-sm">
+                            {recentFiles.map(path => (
+                                <li key={path}><button onClick={() => openFile(bridge.openRecentWorkspace(path))} title={path} className="w-full text-left px-2 py-0.5 rounded truncate text-gray-800 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700">{path.split(/[\\/]/).pop()}</button></li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
             </div>
+            {pendingLoad && <WorkspacePreview load={pendingLoad} onCancel={cancelLoad} onConfirm={confirmLoad} />}
+            {exportOpen && <ExportDialog options={exportOptions} setOptions={setExportOptions} screenSize={screenSize} busy={exporting} onCancel={() => setExportOpen(false)} onExport={handleExport} />}
         </div>
     );
 };
 
 export default function App() {
     const [equations, setEquations] = useState([{ id: 1, text: 'sin(x)', color: '#3b82f6', visible: true },{ id: 2, text: 'x^2 / 10', color: '#ef4444', visible: true },]);
-    const [view, setView] = useState({ xMin: -10, xMax: 10, yMin: -5, yMax: 5 });
-    const [settings, setSettings] = useState({ showGrid: true });
+    const [panels, setPanels] = useState(() => [createPanel(DEFAULT_VIEW)]);
+    const [activePanelId, setActivePanelId] = useState(null);
+    const [layout, setLayout] = useState('columns');
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
     const [darkMode, setDarkMode] = useState(false);
     const [math, setMath] = useState(null);
+    const [parameters, setParameters] = useState({});
+    const [tables, setTables] = useState([]);
+    const [playing, setPlaying] = useState([]);
     const [analysis, setAnalysis] = useState({
         mode: null,
-        params: { eq1Id: null, eq2Id: null, extremaId: null, integralId: null, a: -2, b: 2, derivativeId: null, derivativeX: 0 },
-        results: { intersections: [], extrema: { min: [], max: [], inflection: [] }, integral: null, derivative: null }
+        params: DEFAULT_ANALYSIS_PARAMS,
+        results: EMPTY_RESULTS
     });
 
     useEffect(() => {
         setMath(mathjs);
     }, []);
 
+    // The view controls and analysis work on the active panel.
+    const activePanel = panels.find(p => p.id === activePanelId) || panels[0];
+    const view = activePanel.view;
+    const setPanelView = (id) => (update) => setPanels(prev => applyView(prev, id, update));
+    const setView = setPanelView(activePanel.id);
+    const setPanelPins = (id) => (update) => setPanels(prev => prev.map(p => p.id === id ? { ...p, pins: update(p.pins) } : p));
+    // The function being traced in the active panel: { equationId, x }.
+    const [trace, setTrace] = useState(null);
+
+    const definitions = useMemo(() => collectDefinitions(math, equations), [math, equations]);
+    const parameterNames = useMemo(() => detectParameters(math, equations, definitions.names), [math, equations, definitions]);
+    const parameterValues = useMemo(() => parameterScope(parameters, parameterNames), [parameters, parameterNames]);
+    // Sampling and analysis build their own scope in the graph worker; this
+    // one only surfaces constants that fail to evaluate as row errors.
+    const scopeErrors = useMemo(() => buildScope(math, definitions, parameterValues).errors, [math, definitions, parameterValues]);
+    const rowErrors = useMemo(() => ({ ...definitions.errors, ...scopeErrors }), [definitions, scopeErrors]);
+
+    // Animate every playing parameter, sweeping min -> max and wrapping.
+    useEffect(() => {
+        if (!playing.length) return;
+        let frame;
+        let last = performance.now();
+        const tick = (now) => {
+            setParameters(prev => advanceParameters(prev, playing, (now - last) / 1000));
+            last = now;
+            frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [playing]);
+
+    // Analysis runs in its own worker channel. Each request takes a ticket;
+    // a result is applied only if no newer request (or a Clear) came after it.
+    const analysisTicket = useRef(0);
+    const [analysisBusy, setAnalysisBusy] = useState(false);
+    const requestAnalysis = (mode, inputs) => {
+        const ticket = ++analysisTicket.current;
+        setAnalysisBusy(true);
+        return getGraphWorker('analysis').run('analysis', {
+            mode,
+            params: inputs.analysis.params,
+            equations: inputs.equations,
+            view: inputs.view,
+            parameterValues: inputs.parameterValues,
+            previousResults: inputs.analysis.results,
+        }).then(
+            results => ({ current: ticket === analysisTicket.current, results }),
+            error => ({ current: ticket === analysisTicket.current, error }),
+        ).finally(() => { if (ticket === analysisTicket.current) setAnalysisBusy(false); });
+    };
+
+    // Rerun the active analysis whenever a parameter moves. The other inputs
+    // are read through a ref so panning does not recompute on every frame.
+    const analysisInputs = useRef();
+    analysisInputs.current = { equations, view, analysis, parameterValues };
+    useEffect(() => {
+        const inputs = analysisInputs.current;
+        const { mode } = inputs.analysis;
+        if (!math || !mode) return;
+        requestAnalysis(mode, inputs).then(({ current, results, error }) => {
+            if (!current) return;
+            if (error) { if (!error.cancelled) console.error(`Analysis Error (${mode}):`, error); return; }
+            setAnalysis(prev => prev.mode === mode ? { ...prev, results } : prev);
+        });
+    }, [math, parameterValues]);
+
+    // Dragging the derivative point or an integral bound on the graph sets
+    // that parameter and recomputes the analysis as it moves.
+    const moveAnalysisHandle = (key, value) => {
+        const next = { ...analysis, params: { ...analysis.params, [key]: value } };
+        setAnalysis(prev => ({ ...prev, params: { ...prev.params, [key]: value } }));
+        requestAnalysis(next.mode, { equations, view, analysis: next, parameterValues }).then(({ current, results, error }) => {
+            if (!current || (error && error.cancelled)) return;
+            if (error) { console.error(`Analysis Error (${next.mode}):`, error); return; }
+            setAnalysis(prev => prev.mode === next.mode ? { ...prev, results } : prev);
+        });
+    };
+
     const runAnalysis = (mode) => {
         if (!math) return;
 
         if (analysis.mode === mode) {
+            analysisTicket.current++;
+            setAnalysisBusy(false);
             setAnalysis(prev => ({
                 ...prev,
                 mode: null,
@@ -678,71 +1771,206 @@ export default function App() {
                     ...prev.results,
                     ...(mode === 'intersections' && { intersections: [] }),
                     ...(mode === 'extrema' && { extrema: { min: [], max: [], inflection: [] } }),
-                    ...(mode === 'integral' && { integral: null }),
+                    ...(mode === 'zeros' && { zeros: { roots: [], yIntercept: null } }),
+                    ...(mode === 'integral' && { integral: null, integralCurve: null, integralBase: null }),
                     ...(mode === 'derivative' && { derivative: null }),
                 }
             }));
             return;
         }
 
-        const { params } = analysis;
-        let newResults = { ...analysis.results };
-
-        try {
-            if (mode === 'integral') {
-                const eq = equations.find(e => e.id === params.integralId);
-                const result = calculateIntegral(x => math.evaluate(eq.text, {x}), params.a, params.b);
-                newResults.integral = !isNaN(result) ? result : null;
-            }
-            if (mode === 'intersections') {
-                const eq1 = equations.find(e => e.id === params.eq1Id);
-                const eq2 = equations.find(e => e.id === params.eq2Id);
-                const diffFunc = x => math.evaluate(`(${eq1.text}) - (${eq2.text})`, {x});
-                const intersectionX = scanForRoots(diffFunc, view.xMin, view.xMax);
-                newResults.intersections = intersectionX.map(x => ({ x, y: math.evaluate(eq1.text, { x }) }));
+        requestAnalysis(mode, { equations, view, analysis, parameterValues }).then(({ current, results, error }) => {
+            if (!current || (error && error.cancelled)) return;
+            if (error) {
+                console.error(`Analysis Error (${mode}):`, error);
+                alert(`Could not perform analysis. The function may be too complex, discontinuous, or not differentiable.`);
             }
-            if (mode === 'extrema') {
-                const eq = equations.find(e => e.id === params.extremaId);
-                const fPrime = math.derivative(eq.text, 'x');
-                const fDoublePrime = math.derivative(fPrime, 'x');
-                
-                const criticalPointsX = scanForRoots(x => fPrime.evaluate({x}), view.xMin, view.xMax);
-                const inflectionPointsX = scanForRoots(x => fDoublePrime.evaluate({x}), view.xMin, view.xMax);
-                
-                newResults.extrema = { min: [], max: [], inflection: [] };
-                criticalPointsX.forEach(x => {
-                    const d2y = fDoublePrime.evaluate({x});
-                    if (d2y > 0) newResults.extrema.min.push({x, y: math.evaluate(eq.text, {x})});
-                    else if (d2y < 0) newResults.extrema.max.push({x, y: math.evaluate(eq.text, {x})});
-                });
-                newResults.extrema.inflection = inflectionPointsX.map(x => ({x, y: math.evaluate(eq.text, {x})}));
-            }
-            if (mode === 'derivative') {
-                const eq = equations.find(e => e.id === params.derivativeId);
-                const x0 = params.derivativeX;
-                const y0 = math.evaluate(eq.text, {x: x0});
-
-                if (!isFinite(y0)) {
-                     newResults.derivative = { value: NaN, x: x0, y: y0, tangent: null };
-                } else {
-                    const compiledFunc = x => math.evaluate(eq.text, {x});
-                    const derivResult = calculateDerivative(compiledFunc, x0);
-
-                    newResults.derivative = {
-                        value: derivResult.value,
-                        x: x0,
-                        y: y0,
-                        tangent: !isNaN(derivResult.value) ? { slope: derivResult.value, x0, y0 } : null
-                    };
+            setAnalysis(prev => ({ ...prev, mode, results: results || prev.results }));
+        });
+    };
+
+    // --- Undo History ---
+    // Every change to the tracked state is recorded after the fact by
+    // comparing it with the entry on screen, so edits need no special
+    // handling. A change made by moving through the history matches the
+    // entry it restored and records nothing.
+    const snapshot = useMemo(() => ({ equations, tables, panels, layout, settings, parameters, analysis }), [equations, tables, panels, layout, settings, parameters, analysis]);
+    const [history, setHistory] = useState(() => createHistory(snapshot));
+    const pendingLabel = useRef(null);
+    useEffect(() => {
+        const label = pendingLabel.current;
+        const time = Date.now();
+        pendingLabel.current = null;
+        setHistory(prev => {
+            const present = presentSnapshot(prev);
+            if (sameSnapshot(present, snapshot)) return prev;
+            const change = label ? { label, group: null } : describeChange(present, snapshot);
+            return change ? recordChange(prev, snapshot, change, time) : replacePresent(prev, snapshot);
+        });
+    }, [snapshot]);
+
+    // Names the next recorded change when the state alone would mislabel it.
+    const labelNextChange = (label) => { pendingLabel.current = label; };
+
+    const goToHistory = (index) => {
+        const entry = history.entries[index];
+        if (!entry || index === history.index) return;
+        // A result still on its way belongs to the state being left.
+        analysisTicket.current++;
+        setAnalysisBusy(false);
+        setHistory({ ...history, index });
+        setEquations(entry.snapshot.equations);
+        setTables(entry.snapshot.tables);
+        setPanels(entry.snapshot.panels);
+        setLayout(entry.snapshot.layout);
+        setSettings(entry.snapshot.settings);
+        setParameters(entry.snapshot.parameters);
+        setAnalysis(entry.snapshot.analysis);
+    };
+    // Loading counts as one undoable step, so a load over unsaved work can
+    // be taken back.
+    const applyWorkspace = (workspace) => {
+        analysisTicket.current++;
+        setAnalysisBusy(false);
+        labelNextChange('Load workspace');
+        setEquations(workspace.equations);
+        setTables(workspace.tables);
+        setPanels(workspace.panels);
+        setActivePanelId(workspace.panels[0].id);
+        setLayout(workspace.layout);
+        setSettings(workspace.settings);
+        setDarkMode(workspace.darkMode);
+        setParameters(workspace.parameters);
+        setPlaying([]);
+        setAnalysis(workspace.analysis);
+    };
+    const undo = () => { if (canUndo(history)) goToHistory(history.index - 1); };
+    const redo = () => { if (canRedo(history)) goToHistory(history.index + 1); };
+
+    // --- View Navigation ---
+    // Back and forward through each panel's views (see panels.js). Like the
+    // history above, views are recorded by comparing with the last ones
+    // seen; the view a step lands on is not recorded again.
+    const [viewNav, setViewNav] = useState({});
+    const seenViews = useRef(null);
+    const steppedView = useRef(null);
+    useEffect(() => {
+        const seen = seenViews.current;
+        seenViews.current = new Map(panels.map(p => [p.id, p.view]));
+        if (!seen) return;
+        const moved = panels.filter(p => seen.has(p.id) && seen.get(p.id) !== p.view && p.view !== steppedView.current);
+        if (!moved.length) return;
+        const time = Date.now();
+        setViewNav(prev => moved.reduce((nav, p) => ({ ...nav, [p.id]: recordView(nav[p.id] || EMPTY_VIEW_NAV, seen.get(p.id), time) }), prev));
+    }, [panels]);
+    const stepActiveView = (direction) => {
+        const step = stepView(viewNav[activePanel.id] || EMPTY_VIEW_NAV, activePanel.view, direction);
+        if (!step) return;
+        steppedView.current = step.view;
+        setViewNav({ ...viewNav, [activePanel.id]: step.nav });
+        setView(step.view);
+    };
+
+    // Fits the active panel around the rows in `equationIds` (by default
+    // every row and data table it shows) or, with `results`, around the
+    // points the analysis marked.
+    const zoomToFit = async ({ equationIds = null, results = false } = {}) => {
+        const panel = activePanel;
+        const boxes = [];
+        if (results) {
+            boxes.push(boundsOf(resultPoints(analysis.results)));
+        } else {
+            const ids = equations.filter(eq => eq.visible && isShownInPanel(panel, eq.id) && (!equationIds || equationIds.includes(eq.id))).map(eq => eq.id);
+            if (!equationIds) tables.filter(t => t.visible && isShownInPanel(panel, t.id)).forEach(t => boxes.push(boundsOf(readTable(t).points)));
+            if (ids.length) {
+                try {
+                    const scales = { xScale: settings.xScale, yScale: settings.yScale };
+                    const bounds = await getGraphWorker('geometry').run('bounds', { equations, ids, view: panel.view, parameterValues, scales }, `bounds-${panel.id}`);
+                    bounds.forEach(([, bound]) => boxes.push(bound));
+                } catch (e) {
+                    if (!e.cancelled) console.error('Zoom to fit error:', e);
+                    return;
                 }
             }
-        } catch (e) {
-            console.error(`Analysis Error (${mode}):`, e);
-            alert(`Could not perform analysis. The function may be too complex, discontinuous, or not differentiable.`);
         }
-        setAnalysis({ ...analysis, mode, results: newResults });
+        const fitted = viewAround(boxes, settings);
+        if (fitted) setPanelView(panel.id)(fitted);
     };
 
+    // --- Commands ---
+    // Menu items and keyboard shortcuts (see commands.js). The actions are
+    // read through a ref since the listeners are installed once; the file
+    // actions belong to ControlsPanel, which fills in `fileActions`.
+    const [shortcutsOpen, setShortcutsOpen] = useState(false);
+    const fileActions = useRef({});
+    const resetView = () => setView(fitViewToScales(DEFAULT_VIEW, settings));
+    const analysisReady = {
+        intersections: analysis.params.eq1Id && analysis.params.eq2Id,
+        zeros: analysis.params.zerosId,
+        extrema: analysis.params.extremaId,
+        integral: analysis.params.integralId && (analysis.params.integralKind !== 'between' || analysis.params.integralId2),
+        derivative: analysis.params.derivativeId,
+    };
+    const startAnalysis = (mode) => {
+        if (analysis.mode === mode) return;
+        if (!analysisReady[mode]) {
+            alert('Choose the equations for this analysis in the Analysis section first.');
+            return;
+        }
+        runAnalysis(mode);
+    };
+    const commandActions = useRef();
+    commandActions.current = {
+        undo,
+        redo,
+        zoomIn: () => setView(prev => zoomView(prev, 0.8, settings)),
+        zoomOut: () => setView(prev => zoomView(prev, 1.25, settings)),
+        resetView,
+        zoomToFit: () => zoomToFit(),
+        viewBack: () => stepActiveView(-1),
+        viewForward: () => stepActiveView(1),
+        toggleAspect: () => { if (isLinear(settings)) setSettings({ ...settings, lockAspect: !settings.lockAspect }); },
+        toggleGrid: () => setSettings({ ...settings, showGrid: !settings.showGrid }),
+        toggleDarkMode: () => setDarkMode(!darkMode),
+        intersections: () => startAnalysis('intersections'),
+        zeros: () => startAnalysis('zeros'),
+        extrema: () => startAnalysis('extrema'),
+        integral: () => startAnalysis('integral'),
+        derivative: () => startAnalysis('derivative'),
+        clearAnalysis: () => { if (analysis.mode) runAnalysis(analysis.mode); },
+        shortcuts: () => setShortcutsOpen(true),
+    };
+    useEffect(() => {
+        const bridge = getBridge();
+        // Undo and redo in a text field are the field's own, as anywhere
+        // else; from the desktop menu they are passed on to it.
+        const fieldEdit = (id) => (id === 'undo' || id === 'redo') && isEditable(document.activeElement);
+        const run = (id) => {
+            if (fieldEdit(id)) {
+                document.execCommand(id);
+                return;
+            }
+            const action = commandActions.current[id] || fileActions.current[id];
+            if (action) action();
+        };
+        const onKeyDown = (e) => {
+            const match = matchShortcut(e);
+            if (!match) return;
+            if (fieldEdit(match.command.id) && !(bridge.isDesktop && match.main)) return;
+            e.preventDefault();
+            if (bridge.isDesktop && match.main) return;
+            run(match.command.id);
+        };
+        window.addEventListener('keydown', onKeyDown);
+        const offMenu = bridge.on('menu', ({ command }) => run(command));
+        return () => {
+            window.removeEventListener('keydown', onKeyDown);
+            offMenu();
+        };
+    }, []);
+
+    const grid = layoutGrid(layout, panels.length);
+
     const backgroundStyle = {
         backgroundColor: darkMode ? '#030712' : '#f9fafb', // gray-950 or gray-50
         backgroundImage: `
@@ -754,12 +1982,24 @@ export default function App() {
 
     return (
         <div style={backgroundStyle} className={'font-sans w-full h-screen flex flex-col md:flex-row transition-colors duration-300'}>
-            <div className="flex-grow p-4">
-                 <GraphCanvas math={math} equations={equations} view={view} setView={setView} settings={settings} darkMode={darkMode} analysis={analysis} />
-            </div>
-            <div className="w-full md:w-96 flex-shrink-0 h-1/2 md:h-full shadow-2xl z-10">
-                <ControlsPanel {...{ equations, setEquations, view, setView, settings, setSettings, darkMode, setDarkMode, runAnalysis, math, mathLoaded: !!math, analysis, setAnalysisParams: p => setAnalysis({...analysis, params: p}) }} />
-            </div>
+            <div role="status" aria-live="polite" className="sr-only">{analysisAnnouncement(analysis)}</div>
+            <main aria-label="Graphs" data-panel-grid className="flex-grow min-h-0 p-4 grid gap-4" style={{ gridTemplateColumns: `repeat(${grid.columns}, minmax(0, 1fr))`, gridTemplateRows: `repeat(${grid.rows}, minmax(0, 1fr))` }}>
+                {panels.map((panel, i) => (
+                    <div key={panel.id} data-panel-id={panel.id} onMouseDownCapture={() => setActivePanelId(panel.id)} onFocusCapture={() => setActivePanelId(panel.id)} className={`relative min-h-0 rounded-lg ${panels.length > 1 && panel.id === activePanel.id ? 'ring-2 ring-blue-500' : ''}`}>
+                        <GraphCanvas panelId={panel.id} math={math} equations={equations} tables={tables} hidden={panel.hidden} pins={panel.pins} setPins={setPanelPins(panel.id)} view={panel.view} setView={setPanelView(panel.id)} settings={settings} darkMode={darkMode} parameterValues={parameterValues}
+                            {...(panel.id === activePanel.id ? { analysis, moveAnalysisHandle, trace, setTrace } : { analysis: IDLE_ANALYSIS })} />
+                        {panels.length > 1 && (
+                            <div className="absolute top-2 left-2 px-2 py-0.5 rounded text-xs flex items-center bg-white/80 dark:bg-gray-900/80 text-gray-600 dark:text-gray-300 pointer-events-none">
+                                Panel {i + 1}{panel.linkX && <Link size={12} className="ml-1" />}
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </main>
+            <aside aria-label="Controls" className="w-full md:w-96 flex-shrink-0 h-1/2 md:h-full shadow-2xl z-10">
+                {shortcutsOpen && <ShortcutsDialog onClose={() => setShortcutsOpen(false)} />}
+                <ControlsPanel {...{ fileActions, resetView, zoomToFit, viewNav: viewNav[activePanel.id] || EMPTY_VIEW_NAV, stepActiveView, trace, setTrace, openShortcuts: () => setShortcutsOpen(true), history, goToHistory, undo, redo, labelNextChange, applyWorkspace, equations, setEquations, tables, setTables, panels, setPanels, activePanel, setActivePanelId, layout, setLayout, view, setView, settings, setSettings, darkMode, setDarkMode, runAnalysis, math, mathLoaded: !!math, analysis, setAnalysisParams: p => setAnalysis({...analysis, params: p}), parameters, setParameters, parameterNames, parameterValues, playing, setPlaying, definitions, rowErrors, analysisBusy }} />
+            </aside>
         </div>
     );
 }
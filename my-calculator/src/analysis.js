@@ -0,0 +1,220 @@
+import { compileDerivatives, compileExpression, parseExpression } from './compileCache.js';
+import { getPlotText } from './curves.js';
+import { expandDefinitions } from './definitions.js';
+import { integrate } from './quadrature.js';
+import { classifyCriticalPoint, findRoots, numericDerivative } from './roots.js';
+
+// --- Numerical Analysis Helpers ---
+
+const calculateDerivative = (func, x, h = 1e-7) => {
+    const f_x = func(x);
+    if (!isFinite(f_x)) return { value: NaN, left: NaN, right: NaN };
+
+    const f_xh_plus = func(x + h);
+    const f_xh_minus = func(x - h);
+
+    if (!isFinite(f_xh_plus) || !isFinite(f_xh_minus)) {
+         return { value: NaN, left: NaN, right: NaN };
+    }
+
+    const rightDerivative = (f_xh_plus - f_x) / h;
+    const leftDerivative = (f_x - f_xh_minus) / h;
+
+    // Check for non-differentiability (e.g., sharp corners in abs(x))
+    if (Math.abs(rightDerivative - leftDerivative) > 1e-3) {
+        return { value: NaN, left: leftDerivative, right: rightDerivative };
+    }
+
+    // Use a more accurate central difference formula when differentiable
+    const centralDerivative = (f_xh_plus - f_xh_minus) / (2 * h);
+    return { value: centralDerivative, left: leftDerivative, right: rightDerivative };
+};
+
+
+// Points along y = f(x) over [lo, hi], for shading an integral.
+const sampleInterval = (func, lo, hi, steps = 400) => {
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const x = lo + (i / steps) * (hi - lo);
+        const y = func(x);
+        if (isFinite(y)) points.push({ x, y });
+    }
+    return points;
+};
+
+// Evaluation of plot expressions at x in a copy of the scope, with f' and
+// f'' symbolic where math.derivative can handle them and numeric otherwise,
+// so analyses never depend on symbolic differentiation succeeding.
+const createCalculus = (math, scope, definitions) => {
+    const local = { ...scope };
+    const evaluateAt = (text, x) => {
+        local.x = x;
+        return compileExpression(math, text).evaluate(local);
+    };
+    const differentiate = (text) => {
+        const f = x => evaluateAt(text, x);
+        let first = null, second = null;
+        try {
+            ({ first, second } = compileDerivatives(math, expandDefinitions(math, definitions, parseExpression(math, text))));
+        } catch {/* rows that do not parse fail in f as well */}
+        const d1 = first ? x => { local.x = x; return first.evaluate(local); } : numericDerivative(f);
+        const d2 = second ? x => { local.x = x; return second.evaluate(local); } : numericDerivative(d1);
+        return { f, d1, d2 };
+    };
+    return { evaluateAt, differentiate };
+};
+
+// --- Analysis ---
+// Computes the results for one analysis mode. Throws when the selected
+// equation cannot be evaluated; callers decide whether to report it.
+
+export const computeAnalysis = (math, mode, params, equations, view, scope, definitions, previousResults) => {
+    const { evaluateAt, differentiate } = createCalculus(math, scope, definitions);
+    const newResults = { ...previousResults };
+    const span = view.xMax - view.xMin;
+
+    if (mode === 'integral') {
+        const eq = equations.find(e => e.id === params.integralId);
+        const f = x => evaluateAt(getPlotText(eq), x);
+        const { a, b } = params;
+        const other = params.integralKind === 'between' && equations.find(e => e.id === params.integralId2);
+        const g = other && (x => evaluateAt(getPlotText(other), x));
+        if (!other) {
+            newResults.integral = integrate(f, a, b);
+        } else {
+            // The area between two curves is the integral of |f - g|. With
+            // finite bounds it is split where the curves cross, so the kinks
+            // of |f - g| fall on panel ends instead of inside them.
+            const gap = x => Math.abs(f(x) - g(x));
+            const lo = Math.min(a, b), hi = Math.max(a, b);
+            const crossings = isFinite(lo) && isFinite(hi) ? findRoots(x => f(x) - g(x), lo, hi, { samples: 400 }) : [];
+            const cuts = [lo, ...crossings.map(root => root.x).filter(x => x > lo && x < hi), hi];
+            const pieces = cuts.slice(1).map((end, i) => integrate(gap, cuts[i], end));
+            newResults.integral = {
+                value: pieces.reduce((sum, p) => sum + p.value, 0),
+                error: pieces.reduce((sum, p) => sum + p.error, 0),
+                warning: (pieces.find(p => p.warning) || {}).warning || null,
+            };
+        }
+
+        // Shading is clipped to a few view widths around the view, so
+        // infinite bounds still produce a finite polygon.
+        const lo = Math.max(Math.min(a, b), view.xMin - 2 * span);
+        const hi = Math.min(Math.max(a, b), view.xMax + 2 * span);
+        newResults.integralCurve = lo < hi ? sampleInterval(f, lo, hi) : [];
+        newResults.integralBase = g && lo < hi ? sampleInterval(g, lo, hi) : null;
+    }
+    if (mode === 'intersections') {
+        const eq1 = equations.find(e => e.id === params.eq1Id);
+        const eq2 = equations.find(e => e.id === params.eq2Id);
+        const diff = differentiate(`(${getPlotText(eq1)}) - (${getPlotText(eq2)})`);
+        newResults.intersections = findRoots(diff.f, view.xMin, view.xMax, { derivative: diff.d1 })
+            .map(root => ({ x: root.x, y: evaluateAt(getPlotText(eq1), root.x), touching: root.multiplicity === 'even' }));
+    }
+    if (mode === 'extrema') {
+        const eq = equations.find(e => e.id === params.extremaId);
+        const { f, d1, d2 } = differentiate(getPlotText(eq));
+
+        // Critical points include roots where f' only touches zero (x^3 at 0)
+        // and corners where f' jumps over zero (abs(x) at 0). Each is
+        // classified from f itself, so f'' = 0 is no obstacle, and only sign
+        // changes of f'' count as inflection points.
+        newResults.extrema = { min: [], max: [], inflection: [] };
+        findRoots(d1, view.xMin, view.xMax, { derivative: d2, jumps: true }).forEach(({ x }) => {
+            const kind = classifyCriticalPoint(f, x, span);
+            if (kind === 'min' || kind === 'max') newResults.extrema[kind].push({ x, y: f(x) });
+        });
+        newResults.extrema.inflection = findRoots(d2, view.xMin, view.xMax)
+            .filter(root => root.multiplicity === 'odd')
+            .map(({ x }) => ({ x, y: f(x) }));
+    }
+    if (mode === 'zeros') {
+        const eq = equations.find(e => e.id === params.zerosId);
+        const { f, d1 } = differentiate(getPlotText(eq));
+        const y0 = f(0);
+        newResults.zeros = {
+            roots: findRoots(f, view.xMin, view.xMax, { derivative: d1 }).map(root => ({ x: root.x, y: 0, touching: root.multiplicity === 'even' })),
+            yIntercept: typeof y0 === 'number' && isFinite(y0) ? { x: 0, y: y0 } : null,
+        };
+    }
+    if (mode === 'derivative') {
+        const eq = equations.find(e => e.id === params.derivativeId);
+        const x0 = params.derivativeX;
+        const y0 = evaluateAt(getPlotText(eq), x0);
+
+        if (!isFinite(y0)) {
+             newResults.derivative = { value: NaN, x: x0, y: y0, tangent: null };
+        } else {
+            const compiledFunc = x => evaluateAt(getPlotText(eq), x);
+            const derivResult = calculateDerivative(compiledFunc, x0);
+
+            newResults.derivative = {
+                value: derivResult.value,
+                x: x0,
+                y: y0,
+                tangent: !isNaN(derivResult.value) ? { slope: derivResult.value, x0, y0 } : null
+            };
+        }
+    }
+    return newResults;
+};
+
+// A function of x that gives NaN wherever `g` throws or is not a number.
+const safely = (g) => (x) => {
+    try {
+        const value = g(x);
+        return typeof value === 'number' ? value : NaN;
+    } catch {
+        return NaN;
+    }
+};
+
+// --- Trace ---
+// f(x), f'(x) and f''(x) for a function row; NaN where one is undefined.
+export const traceFunction = (math, eq, x, scope, definitions) => {
+    const { f, d1, d2 } = createCalculus(math, scope, definitions).differentiate(getPlotText(eq));
+    return { x, y: safely(f)(x), d1: safely(d1)(x), d2: safely(d2)(x) };
+};
+
+// --- Description ---
+// A text alternative to the drawn curve of a function row across the view's
+// x range: { domain: [[from, to]], xIntercepts: [x], yIntercept, maxima,
+// minima } with the turning points as { x, y }. The domain is read from a
+// sample, so its ends are accurate to a sample spacing.
+
+const DOMAIN_SAMPLES = 400;
+
+export const describeFunction = (math, eq, view, scope, definitions) => {
+    const calculus = createCalculus(math, scope, definitions).differentiate(getPlotText(eq));
+    const f = safely(calculus.f), d1 = safely(calculus.d1), d2 = safely(calculus.d2);
+    const span = view.xMax - view.xMin;
+
+    const domain = [];
+    let run = null;
+    for (let i = 0; i <= DOMAIN_SAMPLES; i++) {
+        const x = view.xMin + span * i / DOMAIN_SAMPLES;
+        if (isFinite(f(x))) {
+            if (run) run[1] = x;
+            else run = [x, x];
+        } else if (run) {
+            domain.push(run);
+            run = null;
+        }
+    }
+    if (run) domain.push(run);
+
+    const maxima = [], minima = [];
+    findRoots(d1, view.xMin, view.xMax, { derivative: d2, jumps: true }).forEach(({ x }) => {
+        const kind = classifyCriticalPoint(f, x, span);
+        if (kind === 'max') maxima.push({ x, y: f(x) });
+        if (kind === 'min') minima.push({ x, y: f(x) });
+    });
+    const y0 = view.xMin <= 0 && view.xMax >= 0 ? f(0) : NaN;
+    return {
+        domain,
+        xIntercepts: findRoots(f, view.xMin, view.xMax, { derivative: d1 }).map(root => root.x),
+        yIntercept: isFinite(y0) ? y0 : null,
+        maxima,
+        minima,
+    };
+};
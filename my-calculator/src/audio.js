@@ -0,0 +1,78 @@
+// --- Audio Playback ---
+// Plays an audio graph score (see sonify.js) through Tone.js, which is only
+// loaded the first time something plays. One score plays at a time:
+// starting another, or stopping, ends the one playing.
+
+// The sound of each cue: a thump at x-axis crossings, a burst of noise at
+// breaks, and chimes for analysis points, rising for a maximum and falling
+// for a minimum.
+const CHIMES = {
+    root: ['E5'],
+    max: ['C5', 'G5', 'C6'],
+    min: ['C5', 'G4', 'C4'],
+    inflection: ['D5', 'A5'],
+    intersection: ['E5', 'B5', 'E5'],
+};
+const CHIME_SPACING = 0.06;
+const VOLUME = 0.3;
+
+let playing = null;
+// Counts calls, so a play that is still loading Tone knows it was replaced.
+let generation = 0;
+
+export const stopSonification = () => {
+    generation++;
+    if (playing) playing();
+};
+
+// Resolves when the score has played to the end or been stopped.
+export const playSonification = async (score) => {
+    stopSonification();
+    const ticket = generation;
+    const Tone = await import('tone');
+    await Tone.start();
+    if (ticket !== generation) return;
+
+    const start = Tone.now() + 0.1;
+    const end = start + score.duration;
+    const output = new Tone.Panner(score.tones[0]?.pan ?? 0).toDestination();
+    const gain = new Tone.Gain(0).connect(output);
+    const tone = new Tone.Oscillator({ type: 'triangle', frequency: 440 }).connect(gain);
+    const thump = new Tone.MembraneSynth({ volume: -6 }).connect(output);
+    const noise = new Tone.NoiseSynth({ volume: -12, envelope: { attack: 0.001, decay: 0.08, sustain: 0 } }).connect(output);
+    const chime = new Tone.PolySynth(Tone.Synth, { volume: -8, oscillator: { type: 'sine' }, envelope: { attack: 0.005, decay: 0.2, sustain: 0, release: 0.1 } }).connect(output);
+
+    // Pitch glides between steps but jumps after a gap, and the level
+    // follows each step with a short fade so nothing clicks.
+    score.tones.forEach((step, i) => {
+        const time = start + step.time;
+        if (step.frequency) {
+            if (i > 0 && score.tones[i - 1].frequency) tone.frequency.linearRampToValueAtTime(step.frequency, time);
+            else tone.frequency.setValueAtTime(step.frequency, time);
+        }
+        gain.gain.setTargetAtTime(step.frequency ? step.gain * VOLUME : 0, time, 0.01);
+    });
+    gain.gain.setTargetAtTime(0, end, 0.02);
+    output.pan.setValueAtTime(output.pan.value, start);
+    if (score.tones.length) output.pan.linearRampToValueAtTime(score.tones[score.tones.length - 1].pan, end);
+
+    score.cues.forEach(cue => {
+        const time = start + cue.time;
+        if (cue.kind === 'crossing') thump.triggerAttackRelease('C2', 0.1, time);
+        else if (cue.kind === 'break') noise.triggerAttackRelease(0.08, time);
+        else (CHIMES[cue.kind] || CHIMES.root).forEach((note, i) => chime.triggerAttackRelease(note, 0.15, time + i * CHIME_SPACING));
+    });
+
+    tone.start(start).stop(end + 0.2);
+
+    return new Promise(resolve => {
+        const finish = () => {
+            clearTimeout(timer);
+            if (playing === finish) playing = null;
+            [tone, gain, thump, noise, chime, output].forEach(node => node.dispose());
+            resolve();
+        };
+        const timer = setTimeout(finish, (end - Tone.now() + 0.5) * 1000);
+        playing = finish;
+    });
+};
@@ -0,0 +1,275 @@
+// --- Axes ---
+// How world coordinates map to the screen and where ticks go. Each axis is
+// linear or logarithmic; a log axis is linear in log10 of the value, so
+// drawing, panning, zooming and sampling all work in that "axis space" and
+// convert at the edges. Ticks follow a 1-2-5 ladder, multiples of π, or
+// decades on a log axis, spaced to keep labels apart at any range.
+
+export const DEFAULT_SETTINGS = {
+    showGrid: true,
+    showMinorGrid: true,
+    showTickLabels: true,
+    xScale: 'linear',
+    yScale: 'linear',
+    xTicks: 'decimal',
+    yTicks: 'decimal',
+    xTitle: '',
+    yTitle: '',
+    lockAspect: false,
+    // Colours for new rows; see palettes.js.
+    palette: 'standard',
+};
+
+export const AXIS_SCALES = ['linear', 'log'];
+export const TICK_MODES = ['decimal', 'pi'];
+
+const SCALES = {
+    linear: { forward: v => v, inverse: v => v },
+    log: { forward: v => Math.log10(v), inverse: v => Math.pow(10, v) },
+};
+
+export const axisScale = (settings, axis) => SCALES[settings[`${axis}Scale`]] || SCALES.linear;
+
+export const isLinear = (settings) => settings.xScale !== 'log' && settings.yScale !== 'log';
+
+// The view's corners in axis space.
+const axisView = (view, settings) => {
+    const sx = axisScale(settings, 'x'), sy = axisScale(settings, 'y');
+    return { x0: sx.forward(view.xMin), x1: sx.forward(view.xMax), y0: sy.forward(view.yMin), y1: sy.forward(view.yMax) };
+};
+
+// World <-> pixel conversions for a view drawn at `size`.
+export const createMapping = (view, size, settings) => {
+    const sx = axisScale(settings, 'x'), sy = axisScale(settings, 'y');
+    const { x0, x1, y0, y1 } = axisView(view, settings);
+    const { width, height } = size;
+    return {
+        toScreenX: (x) => (sx.forward(x) - x0) / (x1 - x0) * width,
+        toScreenY: (y) => height - (sy.forward(y) - y0) / (y1 - y0) * height,
+        toWorldX: (px) => sx.inverse(x0 + px / width * (x1 - x0)),
+        toWorldY: (py) => sy.inverse(y0 + (height - py) / height * (y1 - y0)),
+    };
+};
+
+const fromAxisView = ({ x0, x1, y0, y1 }, settings) => {
+    const sx = axisScale(settings, 'x'), sy = axisScale(settings, 'y');
+    return { xMin: sx.inverse(x0), xMax: sx.inverse(x1), yMin: sy.inverse(y0), yMax: sy.inverse(y1) };
+};
+
+// Moves the view by a fraction of its width and height.
+export const panView = (view, fx, fy, settings) => {
+    const { x0, x1, y0, y1 } = axisView(view, settings);
+    const dx = (x1 - x0) * fx, dy = (y1 - y0) * fy;
+    return fromAxisView({ x0: x0 + dx, x1: x1 + dx, y0: y0 + dy, y1: y1 + dy }, settings);
+};
+
+// Zooms about a point given as a fraction of the view from its lower-left
+// corner (the centre by default); a factor below 1 zooms in. `factor` may
+// be { x, y } to zoom the axes by different amounts, 1 leaving one alone.
+export const zoomView = (view, factor, settings, fx = 0.5, fy = 0.5) => {
+    const { x0, x1, y0, y1 } = axisView(view, settings);
+    const { x: kx, y: ky } = typeof factor === 'number' ? { x: factor, y: factor } : factor;
+    const cx = x0 + (x1 - x0) * fx, cy = y0 + (y1 - y0) * fy;
+    return fromAxisView({
+        x0: cx + (x0 - cx) * kx,
+        x1: cx + (x1 - cx) * kx,
+        y0: cy + (y0 - cy) * ky,
+        y1: cy + (y1 - cy) * ky,
+    }, settings);
+};
+
+// With the aspect locked a unit is as long on screen along y as along x.
+// The x range is kept and the y range fitted about its centre; log axes
+// have no common unit and are left alone. Returns `view` itself when it
+// already fits.
+export const withAspect = (view, size, settings) => {
+    if (!isLinear(settings) || !size.width || !size.height) return view;
+    const yRange = (view.xMax - view.xMin) * size.height / size.width;
+    if (Math.abs(yRange - (view.yMax - view.yMin)) <= yRange * 1e-9) return view;
+    const cy = (view.yMin + view.yMax) / 2;
+    return { ...view, yMin: cy - yRange / 2, yMax: cy + yRange / 2 };
+};
+
+// Why `value` cannot become the view's `key` limit ('xMin', 'yMax'...), or
+// null when it can.
+export const viewBoundError = (view, key, value, settings) => {
+    const axis = key[0];
+    if (!isFinite(value)) return 'Enter a number';
+    const min = key.endsWith('Min') ? value : view[`${axis}Min`];
+    const max = key.endsWith('Max') ? value : view[`${axis}Max`];
+    if (!(min < max)) return `${axis} min must be less than ${axis} max`;
+    if (settings[`${axis}Scale`] === 'log' && !(min > 0)) return `${axis} min must be above 0 on a log scale`;
+    return null;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// The axis whose line (or pinned labels, see scene.js) runs within `reach`
+// pixels of (px, py): 'x', 'y', or null when neither or both do.
+export const axisAt = (view, size, settings, px, py, reach = 10) => {
+    const { toScreenX, toScreenY } = createMapping(view, size, settings);
+    const xAxisY = settings.yScale === 'log' ? size.height : clamp(toScreenY(0), 0, size.height);
+    const yAxisX = settings.xScale === 'log' ? 0 : clamp(toScreenX(0), 0, size.width);
+    const nearX = Math.abs(py - xAxisY) <= reach;
+    const nearY = Math.abs(px - yAxisX) <= reach;
+    if (nearX === nearY) return null;
+    return nearX ? 'x' : 'y';
+};
+
+// A log axis needs a positive range. One that reaches zero or below keeps
+// its upper end (or 10) and spans three decades.
+export const fitViewToScales = (view, settings) => {
+    const fit = (min, max, scale) => {
+        if (scale !== 'log' || min > 0) return [min, max];
+        const top = max > 0 ? max : 10;
+        return [top / 1000, top];
+    };
+    const [xMin, xMax] = fit(view.xMin, view.xMax, settings.xScale);
+    const [yMin, yMax] = fit(view.yMin, view.yMax, settings.yScale);
+    return { xMin, xMax, yMin, yMax };
+};
+
+// --- Zoom to Fit ---
+// Boxes are { xMin, xMax, yMin, yMax } in world coordinates.
+
+export const boundsOf = (points) => {
+    const finite = points.filter(p => p && isFinite(p.x) && isFinite(p.y));
+    if (!finite.length) return null;
+    const xs = finite.map(p => p.x), ys = finite.map(p => p.y);
+    return { xMin: Math.min(...xs), xMax: Math.max(...xs), yMin: Math.min(...ys), yMax: Math.max(...ys) };
+};
+
+// The view showing every box with a margin of `margin` of its size on each
+// side. A box with no width or height (a single point, a flat line) gets
+// one unit either way, which is a decade on a log axis.
+export const viewAround = (boxes, settings, margin = 0.1) => {
+    const sx = axisScale(settings, 'x'), sy = axisScale(settings, 'y');
+    const usable = boxes.filter(Boolean).map(b => ({ x0: sx.forward(b.xMin), x1: sx.forward(b.xMax), y0: sy.forward(b.yMin), y1: sy.forward(b.yMax) }))
+        .filter(b => [b.x0, b.x1, b.y0, b.y1].every(isFinite));
+    if (!usable.length) return null;
+    const span = (lo, hi) => {
+        if (hi - lo <= Math.max(1, Math.abs(lo)) * 1e-9) return [lo - 1, hi + 1];
+        const pad = (hi - lo) * margin;
+        return [lo - pad, hi + pad];
+    };
+    const [x0, x1] = span(Math.min(...usable.map(b => b.x0)), Math.max(...usable.map(b => b.x1)));
+    const [y0, y1] = span(Math.min(...usable.map(b => b.y0)), Math.max(...usable.map(b => b.y1)));
+    return fromAxisView({ x0, x1, y0, y1 }, settings);
+};
+
+// --- Ticks ---
+
+const SUPERSCRIPTS = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+const superscript = (n) => String(n).split('').map(c => SUPERSCRIPTS[c]).join('');
+
+// Plain decimals at everyday magnitudes, scientific notation beyond. The
+// choice is made once per axis, from its largest label, so one axis never
+// mixes -500000 with -1e6, and a deep zoom near 0.5 reads 0.499998 rather
+// than 4.99998e-1.
+const isScientific = (largest) => largest >= 1e6 || (largest > 0 && largest < 1e-3);
+
+const formatDecimal = (value, step, scientific) => {
+    if (value === 0) return '0';
+    if (scientific) {
+        const digits = Math.max(0, Math.floor(Math.log10(Math.abs(value))) - Math.floor(Math.log10(step)));
+        return value.toExponential(Math.min(digits, 10)).replace(/\.?0+e/, 'e').replace('e+', 'e');
+    }
+    return value.toFixed(Math.max(0, -Math.floor(Math.log10(step) + 1e-9)));
+};
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// `numerator`π/`denominator` as text: π/2, 3π/4, -π, 2π.
+const formatPi = (numerator, denominator) => {
+    if (numerator === 0) return '0';
+    const d = gcd(Math.abs(numerator), denominator);
+    const n = numerator / d, q = denominator / d;
+    const coefficient = n === 1 ? '' : n === -1 ? '-' : String(n);
+    return q === 1 ? `${coefficient}π` : `${coefficient}π/${q}`;
+};
+
+// Multiples of the step, counted by integer so long ranges do not drift.
+// A range too narrow for floating point to step through gets none.
+const stepsBetween = (min, max, step) => {
+    const values = [];
+    const first = Math.ceil(min / step), last = Math.floor(max / step);
+    if (!(Math.abs(first) < 1e15 && Math.abs(last) < 1e15 && last - first < 10000)) return values;
+    for (let i = first; i <= last; i++) values.push(i);
+    return values;
+};
+
+// The smallest 1, 2 or 5 times a power of ten that is at least `raw`, with
+// the minor step that divides it: fifths of 1 and 5, quarters of 2.
+const linearStep = (raw) => {
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const mantissa = [1, 2, 5, 10].find(m => m * power >= raw * (1 - 1e-9));
+    const step = mantissa * power;
+    return { step, minor: step / (mantissa === 2 ? 4 : 5) };
+};
+
+const linearTicks = (min, max, pixels, minSpacing, mode) => {
+    const raw = (max - min) * minSpacing / pixels;
+    if (mode === 'pi') {
+        // Steps of π/12, π/6, π/4, π/2, π, then 2π, 5π, 10π and so on.
+        const fractions = [12, 6, 4, 2, 1];
+        const denominator = fractions.find(q => Math.PI / q >= raw);
+        if (denominator) {
+            const step = Math.PI / denominator;
+            // Minor ticks halve the step.
+            const minorDenominator = denominator * 2;
+            return {
+                major: stepsBetween(min, max, step).map(i => ({ value: i * step, label: formatPi(i, denominator) })),
+                minor: stepsBetween(min, max, Math.PI / minorDenominator).map(i => i * Math.PI / minorDenominator),
+            };
+        }
+        const multiple = linearStep(raw / Math.PI);
+        return {
+            major: stepsBetween(min, max, multiple.step * Math.PI).map(i => ({ value: i * multiple.step * Math.PI, label: formatPi(i * multiple.step, 1) })),
+            minor: stepsBetween(min, max, multiple.minor * Math.PI).map(i => i * multiple.minor * Math.PI),
+        };
+    }
+    const { step, minor } = linearStep(raw);
+    const steps = stepsBetween(min, max, step);
+    const scientific = isScientific(Math.max(...steps.map(i => Math.abs(i * step)), 0));
+    return {
+        major: steps.map(i => ({ value: i * step, label: formatDecimal(i * step, step, scientific) })),
+        minor: stepsBetween(min, max, minor).map(i => i * minor),
+    };
+};
+
+const logTicks = (min, max, pixels, minSpacing) => {
+    const lo = Math.log10(min), hi = Math.log10(max);
+    const decadePixels = pixels / (hi - lo);
+    // Every decade is labelled when there is room, else every 2nd, 5th...
+    const every = decadePixels >= minSpacing ? 1 : linearStep(minSpacing / decadePixels).step;
+    const steps = stepsBetween(lo, hi, every);
+    // Decimals while every label is within 0.001..1000, else powers of ten.
+    const powers = steps.some(i => Math.abs(i * every) > 3);
+    const major = steps.map(i => {
+        const exponent = i * every;
+        const label = powers ? `10${superscript(exponent)}` : formatDecimal(Math.pow(10, exponent), Math.pow(10, Math.min(exponent, 0)), false);
+        return { value: Math.pow(10, exponent), label };
+    });
+    // 2 to 9 times each power of ten, once a decade is wide enough to show
+    // them apart.
+    const minor = [];
+    if (every === 1 && decadePixels >= 60) {
+        for (let e = Math.floor(lo); e <= Math.ceil(hi); e++) {
+            for (let m = 2; m <= 9; m++) {
+                const value = m * Math.pow(10, e);
+                if (value >= min && value <= max) minor.push(value);
+            }
+        }
+    } else if (every > 1) {
+        minor.push(...stepsBetween(lo, hi, 1).map(e => Math.pow(10, e)));
+    }
+    return { major, minor };
+};
+
+// Major ticks as { value, label } and minor ticks as values, for an axis
+// showing min..max across `pixels`, with labels at least `minSpacing` apart.
+export const axisTicks = (min, max, pixels, minSpacing, scale = 'linear', mode = 'decimal') => {
+    if (!(max > min) || !isFinite(min) || !isFinite(max) || !(pixels > 0)) return { major: [], minor: [] };
+    if (scale === 'log') return min > 0 ? logTicks(min, max, pixels, minSpacing) : { major: [], minor: [] };
+    return linearTicks(min, max, pixels, minSpacing, mode);
+};
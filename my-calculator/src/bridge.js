@@ -0,0 +1,207 @@
+// --- Desktop Bridge Client ---
+// Promise-based front end for the Java host's `window.javaBridge`. The
+// desktop app marks its WebView's user agent, so the page knows from the
+// start whether to wait for Java to inject the bridge (which happens only
+// once the page has loaded) or to use the browser fallback at once.
+//
+// Every request resolves with one of
+//   { status: 'ok', value }
+//   { status: 'cancelled' }            the user dismissed a dialog
+//   { status: 'error', message }
+// and never rejects. Requests that show a dialog are answered later by a
+// `result` event carrying the request id; the rest return directly.
+//
+// Java pushes events with window.onJavaBridgeEvent(type, json):
+//   ready                 the bridge has been injected
+//   recentFilesChanged
+//   openFile              { path, name, content }: a file opened from the OS
+//   windowClose           the user asked to close the window; the page
+//                         decides whether to save and then calls exit()
+//   menu                  { command }: a native menu item was chosen
+
+const DESKTOP_USER_AGENT = 'GraphingCalculatorDesktop';
+const AUTOSAVE_KEY = 'graphing-calculator:autosave';
+
+// Content is text, or bytes (a Uint8Array) for images and PDFs.
+const MIME_TYPES = { svg: 'image/svg+xml', png: 'image/png', pdf: 'application/pdf', json: 'application/json' };
+const mimeType = (fileName) => MIME_TYPES[fileName.split('.').pop().toLowerCase()] || 'application/octet-stream';
+
+// Bytes cross into Java as base64; a chunk at a time keeps
+// String.fromCharCode within its argument limit.
+const toBase64 = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+const ok = (value) => ({ status: 'ok', value });
+const cancelled = () => ({ status: 'cancelled' });
+const failed = (message) => ({ status: 'error', message });
+
+const createListeners = () => {
+    const listeners = new Map();
+    const on = (type, handler) => {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(handler);
+        return () => listeners.get(type).delete(handler);
+    };
+    const emit = (type, payload) => (listeners.get(type) || []).forEach(handler => handler(payload));
+    return { on, emit };
+};
+
+// --- Java ---
+
+const createDesktopBridge = () => {
+    const { on, emit } = createListeners();
+    const pending = new Map();
+    let nextId = 0;
+    let java = window.javaBridge || null;
+    let markReady;
+    const ready = new Promise(resolve => { markReady = resolve; });
+    if (java) markReady();
+
+    window.onJavaBridgeEvent = (type, json) => {
+        // Java only sends JSON it built itself; anything else is dropped.
+        let payload;
+        try {
+            payload = json ? JSON.parse(json) : {};
+        } catch {
+            return;
+        }
+        if (type === 'result') {
+            const resolve = pending.get(payload.requestId);
+            pending.delete(payload.requestId);
+            if (resolve) resolve(payload.status === 'ok' ? ok(payload.value) : payload.status === 'cancelled' ? cancelled() : failed(payload.message));
+            return;
+        }
+        if (type === 'ready') {
+            java = window.javaBridge;
+            markReady();
+        }
+        emit(type, payload);
+    };
+
+    // A method answered through a `result` event; its first argument is the
+    // request id.
+    const request = (method, ...args) => ready.then(() => new Promise(resolve => {
+        const id = String(++nextId);
+        pending.set(id, resolve);
+        try {
+            java[method](id, ...args);
+        } catch (e) {
+            pending.delete(id);
+            resolve(failed(e.message));
+        }
+    }));
+
+    // A method that returns its answer directly.
+    const call = (method, ...args) => ready.then(() => {
+        try {
+            return ok(java[method](...args));
+        } catch (e) {
+            return failed(e.message);
+        }
+    });
+
+    const parseList = (result) => (result.status === 'ok' ? ok(JSON.parse(result.value || '[]')) : result);
+
+    return {
+        isDesktop: true,
+        ready,
+        on,
+        saveFile: (content, fileName) => (typeof content === 'string'
+            ? request('saveFile', content, fileName)
+            : request('saveBinaryFile', toBase64(content), fileName)),
+        openWorkspace: () => request('openWorkspace'),
+        openRecentWorkspace: (path) => request('openRecentWorkspace', path),
+        saveWorkspace: (content) => request('saveWorkspace', content),
+        saveWorkspaceAs: (content) => request('saveWorkspaceAs', content),
+        askToSaveChanges: () => request('askToSaveChanges'),
+        getRecentFiles: () => call('getRecentFiles').then(parseList),
+        setCurrentFile: (path) => call('setCurrentFile', path),
+        setDirty: (dirty) => call('setDirty', dirty),
+        autosave: (content) => call('autosave', content),
+        getAutosave: () => call('getAutosave'),
+        discardAutosave: () => call('discardAutosave'),
+        exit: () => call('exit'),
+    };
+};
+
+// --- Browser Fallback ---
+// Saving downloads the file and opening uses a file picker. The autosave
+// goes to localStorage, and unsaved work makes the browser ask before the
+// tab is closed.
+
+const download = (content, fileName) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType(fileName) }));
+    const link = Object.assign(document.createElement('a'), { href: url, download: fileName });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return Promise.resolve(ok({ path: fileName, name: fileName }));
+};
+
+const pickFile = (accept) => new Promise(resolve => {
+    const input = Object.assign(document.createElement('input'), { type: 'file', accept });
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) { resolve(cancelled()); return; }
+        file.text().then(
+            // A browser file's only "path" is its name.
+            content => resolve(ok({ path: file.name, name: file.name, content })),
+            e => resolve(failed(e.message)),
+        );
+    });
+    input.addEventListener('cancel', () => resolve(cancelled()));
+    input.click();
+});
+
+const createBrowserBridge = () => {
+    const { on } = createListeners();
+    let fileName = 'graph-workspace.json';
+    const warnBeforeUnload = (e) => { e.preventDefault(); e.returnValue = ''; };
+    const storage = (action) => {
+        try {
+            return ok(action(window.localStorage));
+        } catch (e) {
+            return failed(e.message);
+        }
+    };
+
+    return {
+        isDesktop: false,
+        ready: Promise.resolve(),
+        on,
+        saveFile: (content, name) => download(content, name),
+        openWorkspace: () => pickFile('.json,application/json'),
+        openRecentWorkspace: () => Promise.resolve(failed('Recent files are only available in the desktop app')),
+        saveWorkspace: (content) => download(content, fileName),
+        saveWorkspaceAs: (content) => download(content, fileName),
+        askToSaveChanges: () => Promise.resolve(cancelled()),
+        getRecentFiles: () => Promise.resolve(ok([])),
+        // Downloads reuse the name of the file last opened.
+        setCurrentFile: (name) => { fileName = name; return Promise.resolve(ok()); },
+        setDirty: (dirty) => {
+            if (dirty) window.addEventListener('beforeunload', warnBeforeUnload);
+            else window.removeEventListener('beforeunload', warnBeforeUnload);
+            return Promise.resolve(ok());
+        },
+        autosave: (content) => Promise.resolve(storage(s => s.setItem(AUTOSAVE_KEY, content))),
+        getAutosave: () => Promise.resolve(storage(s => s.getItem(AUTOSAVE_KEY))),
+        discardAutosave: () => Promise.resolve(storage(s => s.removeItem(AUTOSAVE_KEY))),
+        exit: () => Promise.resolve(ok()),
+    };
+};
+
+let bridge = null;
+
+export const getBridge = () => {
+    if (!bridge) {
+        const desktop = window.javaBridge || navigator.userAgent.includes(DESKTOP_USER_AGENT);
+        bridge = desktop ? createDesktopBridge() : createBrowserBridge();
+    }
+    return bridge;
+};
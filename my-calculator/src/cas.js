@@ -0,0 +1,520 @@
+import { parseExpression } from './compileCache.js';
+import { getPlotText } from './curves.js';
+import { expandDefinitions } from './definitions.js';
+import { limitMathML, toMathML } from './mathml.js';
+
+// --- Symbolic Algebra ---
+// Rewrites of a function row's expression for the algebra panel. Defined
+// functions are expanded first, as for Plot Derivative, so the results only
+// mention x, parameters and constants. mathjs simplifies and
+// differentiates; the polynomial steps (expand, rationalize, factor) are
+// done here in exact rational arithmetic, and limits are numerical since
+// mathjs has no symbolic limits.
+
+// The expression graphed by function row `eq`, with definitions expanded.
+export const casExpression = (math, eq, definitions) => expandDefinitions(math, definitions, parseExpression(math, getPlotText(eq)));
+
+// The value of an expression with no variables in it, or NaN.
+const constantValue = (node) => {
+    try {
+        const value = node.evaluate();
+        return typeof value === 'number' ? value : NaN;
+    } catch {
+        return NaN;
+    }
+};
+
+// --- Polynomials ---
+// A polynomial is a Map from a monomial's key to { powers, coefficient },
+// with `powers` sorted [name, power] pairs and `coefficient` a nonzero
+// math.fraction, so like terms are collected as they are made and
+// coefficients stay exact. A rational expression is { num, den }.
+
+const abs = (n) => (n < 0n ? -n : n);
+const gcd = (a, b) => (b === 0n ? abs(a) : gcd(b, a % b));
+
+// Past these, expanding runs out of time or memory long before it is done.
+const MAX_TERMS = 500;
+const MAX_POWER = 100;
+
+const monomialKey = (powers) => powers.map(([name, power]) => `${name}^${power}`).join('*');
+
+const addTerm = (poly, powers, coefficient) => {
+    const key = monomialKey(powers);
+    const existing = poly.get(key);
+    const sum = existing ? existing.coefficient.add(coefficient) : coefficient;
+    if (sum.n === 0n) poly.delete(key);
+    else poly.set(key, { powers, coefficient: sum });
+    if (poly.size > MAX_TERMS) throw new Error(`The result has more than ${MAX_TERMS} terms`);
+};
+
+const constantPoly = (math, value) => {
+    const poly = new Map();
+    const coefficient = math.fraction(value);
+    if (coefficient.n !== 0n) poly.set('', { powers: [], coefficient });
+    return poly;
+};
+
+const symbolPoly = (math, name) => new Map([[`${name}^1`, { powers: [[name, 1]], coefficient: math.fraction(1) }]]);
+
+// The coefficient of a polynomial with no variables, or null.
+const constantOf = (math, poly) => {
+    if (!poly.size) return math.fraction(0);
+    return poly.size === 1 && poly.has('') ? poly.get('').coefficient : null;
+};
+
+const addPoly = (a, b) => {
+    const sum = new Map(a);
+    b.forEach(({ powers, coefficient }) => addTerm(sum, powers, coefficient));
+    return sum;
+};
+
+const scalePoly = (poly, factor) => {
+    const scaled = new Map();
+    if (factor.n !== 0n) poly.forEach(({ powers, coefficient }, key) => scaled.set(key, { powers, coefficient: coefficient.mul(factor) }));
+    return scaled;
+};
+
+const multiplyPowers = (a, b) => {
+    const powers = new Map(a);
+    b.forEach(([name, power]) => powers.set(name, (powers.get(name) || 0) + power));
+    return [...powers].sort(([m], [n]) => (m < n ? -1 : m > n ? 1 : 0));
+};
+
+const multiplyPoly = (a, b) => {
+    const product = new Map();
+    a.forEach(s => b.forEach(t => addTerm(product, multiplyPowers(s.powers, t.powers), s.coefficient.mul(t.coefficient))));
+    return product;
+};
+
+const powerPoly = (math, poly, power) => {
+    let result = constantPoly(math, 1), base = poly;
+    for (let n = power; n > 0; n >>= 1) {
+        if (n & 1) result = multiplyPoly(result, base);
+        if (n > 1) base = multiplyPoly(base, base);
+    }
+    return result;
+};
+
+// `node` as a rational expression. Everything that is not a sum, product,
+// whole power or (with `keepDivision` false, only by a constant) quotient is
+// passed to `hide`, which names a symbol to stand in for it.
+const toRational = (math, node, hide, keepDivision) => {
+    const one = constantPoly(math, 1);
+    const walk = (n) => {
+        if (n.isParenthesisNode) return walk(n.content);
+        if (n.isConstantNode && typeof n.value === 'number' && isFinite(n.value)) return { num: constantPoly(math, n.value), den: one };
+        if (n.isSymbolNode) return { num: symbolPoly(math, n.name), den: one };
+        if (!n.isOperatorNode) return { num: symbolPoly(math, hide(n)), den: one };
+        const args = () => n.args.map(walk);
+        if (n.fn === 'unaryPlus') return walk(n.args[0]);
+        if (n.fn === 'unaryMinus') {
+            const { num, den } = walk(n.args[0]);
+            return { num: scalePoly(num, math.fraction(-1)), den };
+        }
+        if (n.op === '+' || n.op === '-') {
+            return args().reduce((a, b) => {
+                const num = n.op === '-' ? scalePoly(b.num, math.fraction(-1)) : b.num;
+                if (a.den === b.den) return { num: addPoly(a.num, num), den: a.den };
+                return { num: addPoly(multiplyPoly(a.num, b.den), multiplyPoly(num, a.den)), den: multiplyPoly(a.den, b.den) };
+            });
+        }
+        if (n.op === '*') return args().reduce((a, b) => ({ num: multiplyPoly(a.num, b.num), den: a.den === one ? b.den : b.den === one ? a.den : multiplyPoly(a.den, b.den) }));
+        if (n.op === '/') {
+            const [a, b] = args();
+            const divisor = b.den === one && constantOf(math, b.num);
+            if (divisor && divisor.n !== 0n) return { num: scalePoly(a.num, divisor.inverse()), den: a.den };
+            if (keepDivision && b.num.size) return { num: multiplyPoly(a.num, b.den), den: a.den === one ? b.num : multiplyPoly(a.den, b.num) };
+        }
+        if (n.op === '^') {
+            const power = constantValue(n.args[1]);
+            if (Number.isInteger(power) && Math.abs(power) <= MAX_POWER && (power >= 0 || keepDivision)) {
+                const { num, den } = walk(n.args[0]);
+                const raised = { num: powerPoly(math, num, Math.abs(power)), den: den === one ? one : powerPoly(math, den, Math.abs(power)) };
+                if (power >= 0) return raised;
+                if (raised.num.size) return { num: raised.den, den: raised.num };
+            }
+        }
+        return { num: symbolPoly(math, hide(n)), den: one };
+    };
+    return walk(node);
+};
+
+const HIDDEN = /^cas__\d+$/;
+
+// Terms highest power of x first, then highest degree (not counting the
+// stand-in symbols), then as in a dictionary: x^2 + 2 x y + y^2.
+const powerOf = (powers, name) => (powers.find(([n]) => n === name) || [name, 0])[1];
+const degreeOf = (powers) => powers.reduce((sum, [name, power]) => sum + (HIDDEN.test(name) ? 0 : power), 0);
+const compareTerms = (s, t) => {
+    const order = powerOf(t.powers, 'x') - powerOf(s.powers, 'x') || degreeOf(t.powers) - degreeOf(s.powers);
+    if (order) return order;
+    const names = [...new Set([...s.powers, ...t.powers].map(([name]) => name))].sort();
+    for (const name of names) {
+        const difference = powerOf(t.powers, name) - powerOf(s.powers, name);
+        if (difference) return difference;
+    }
+    return 0;
+};
+
+const fractionNode = (math, fraction) => (fraction.d === 1n
+    ? new math.ConstantNode(Number(fraction.n))
+    : new math.OperatorNode('/', 'divide', [new math.ConstantNode(Number(fraction.n)), new math.ConstantNode(Number(fraction.d))]));
+
+// The polynomial as an expression, with the stand-in symbols put back from
+// `restore`. Products are implicit, so they typeset as 2 x sin(x).
+const polyToNode = (math, poly, restore) => {
+    const factor = ([name, power]) => {
+        const base = restore.get(name) || new math.SymbolNode(name);
+        return power === 1 ? base : new math.OperatorNode('^', 'pow', [base, new math.ConstantNode(power)]);
+    };
+    const terms = [...poly.values()]
+        .sort(compareTerms)
+        .map(({ powers, coefficient }) => {
+            const size = coefficient.abs();
+            const ordered = [...powers].sort(([m], [n]) => HIDDEN.test(m) - HIDDEN.test(n));
+            const factors = [...(size.equals(1) && ordered.length ? [] : [fractionNode(math, size)]), ...ordered.map(factor)];
+            return { negative: coefficient.s < 0n, node: factors.reduce((product, f) => new math.OperatorNode('*', 'multiply', [product, f], true)) };
+        });
+    if (!terms.length) return new math.ConstantNode(0);
+    const first = terms[0].negative ? new math.OperatorNode('-', 'unaryMinus', [terms[0].node]) : terms[0].node;
+    return terms.slice(1).reduce((sum, { negative, node }) => new math.OperatorNode(negative ? '-' : '+', negative ? 'subtract' : 'add', [sum, node]), first);
+};
+
+// Runs a polynomial step on `node`, hiding what it cannot handle behind
+// stand-in symbols, each with its own arguments rewritten by `inner`.
+const polynomialStep = (math, node, inner, keepDivision) => {
+    const hidden = new Map();
+    const hide = (n) => {
+        const key = n.toString();
+        if (!hidden.has(key)) hidden.set(key, { name: `cas__${hidden.size}`, node: inner(n) });
+        return hidden.get(key).name;
+    };
+    let { num, den } = toRational(math, node, hide, keepDivision);
+    const restore = new Map([...hidden.values()].map(h => [h.name, h.node]));
+    const constant = constantOf(math, den);
+    if (constant) return polyToNode(math, scalePoly(num, constant.inverse()), restore);
+
+    // Whole coefficients with no common factor, and a denominator that
+    // starts with a positive term.
+    const all = [...num.values(), ...den.values()].map(t => t.coefficient);
+    const scale = all.reduce((l, c) => l / gcd(l, c.d) * c.d, 1n);
+    const content = all.reduce((g, c) => gcd(g, c.n * (scale / c.d)), 0n);
+    const leading = [...den.values()].sort(compareTerms)[0].coefficient;
+    const factor = math.fraction(scale * leading.s, content);
+    num = scalePoly(num, factor);
+    den = scalePoly(den, factor);
+    return new math.OperatorNode('/', 'divide', [polyToNode(math, num, restore), polyToNode(math, den, restore)]);
+};
+
+// Multiplies out products and whole powers. Quotients by anything but a
+// constant are expanded above and below the line separately rather than
+// brought over one denominator.
+export const expandExpression = (math, node) => {
+    const inner = (n) => {
+        if (n.isOperatorNode && n.op === '/') return new math.OperatorNode('/', 'divide', n.args.map(arg => expandExpression(math, arg)));
+        return n.map(arg => expandExpression(math, arg));
+    };
+    return polynomialStep(math, node, inner, false);
+};
+
+// Brings the expression over a single denominator, both sides expanded.
+export const rationalizeExpression = (math, node) => polynomialStep(math, node, n => n.map(arg => rationalizeExpression(math, arg)), true);
+
+export const simplifyExpression = (math, node) => math.simplify(node);
+
+// Repeated derivatives and Taylor coefficients grow quickly; past this
+// order simplifying them takes minutes.
+export const MAX_ORDER = 10;
+
+export const nthDerivative = (math, node, order) => {
+    let result = node;
+    for (let i = 0; i < order; i++) result = math.derivative(result, 'x');
+    return math.simplify(result);
+};
+
+// --- Factoring ---
+// Polynomials in x with rational coefficients are factored over the
+// rationals: the common factor, powers of x, and each rational root p/q
+// (by the rational root theorem) as a factor (q x - p), with whatever is
+// left as one more factor. All arithmetic is on BigInts, so roots are found
+// exactly. Anything else is returned as null.
+
+// Searching for roots means listing divisors; past this, it would hang.
+const MAX_SEARCH = 10n ** 12n;
+
+const divisors = (n) => {
+    const found = [];
+    for (let d = 1n; d * d <= n; d++) {
+        if (n % d === 0n) found.push(d, n / d);
+    }
+    return [...new Set(found)];
+};
+
+// Coefficients are lowest power first: q^n P(p/q), as an integer.
+const scaledValue = (coefficients, p, q) => {
+    const n = coefficients.length - 1;
+    return coefficients.reduce((sum, c, i) => sum + c * p ** BigInt(i) * q ** BigInt(n - i), 0n);
+};
+
+// P / (q x - p), for a root p/q of P.
+const divideOut = (coefficients, p, q) => {
+    const n = coefficients.length - 1;
+    const quotient = new Array(n).fill(0n);
+    let next = 0n;
+    for (let i = n; i >= 1; i--) {
+        next = (coefficients[i] + p * next) / q;
+        quotient[i - 1] = next;
+    }
+    return quotient;
+};
+
+const findRoot = (coefficients) => {
+    const constant = abs(coefficients[0]), leading = abs(coefficients[coefficients.length - 1]);
+    if (constant > MAX_SEARCH || leading > MAX_SEARCH) return null;
+    const ps = divisors(constant), qs = divisors(leading);
+    for (const q of qs) {
+        for (const p of ps) {
+            if (gcd(p, q) !== 1n) continue;
+            for (const signed of [p, -p]) {
+                if (scaledValue(coefficients, signed, q) === 0n) return { p: signed, q };
+            }
+        }
+    }
+    return null;
+};
+
+const polynomialText = (coefficients) => coefficients
+    .map((c, i) => ({ c, i }))
+    .filter(({ c }) => c !== 0n)
+    .reverse()
+    .map(({ c, i }, index) => {
+        const power = i === 0 ? '' : i === 1 ? 'x' : `x^${i}`;
+        const size = abs(c) === 1n && power ? '' : String(abs(c));
+        const sign = c < 0n ? (index ? ' - ' : '-') : (index ? ' + ' : '');
+        return `${sign}${size}${size && power ? ' ' : ''}${power}`;
+    })
+    .join('');
+
+export const factorExpression = (math, node) => {
+    let polynomial;
+    try {
+        polynomial = toRational(math, node, () => { throw new Error('Not a polynomial'); }, false).num;
+    } catch {
+        return null;
+    }
+    const terms = [...polynomial.values()];
+    if (terms.some(({ powers }) => powers.some(([name]) => name !== 'x'))) return null;
+    const degree = Math.max(0, ...terms.map(({ powers }) => (powers.length ? powers[0][1] : 0)));
+    if (degree < 1) return null;
+
+    const fractions = Array.from({ length: degree + 1 }, () => math.fraction(0));
+    terms.forEach(({ powers, coefficient }) => { fractions[powers.length ? powers[0][1] : 0] = coefficient; });
+    const scale = fractions.reduce((l, f) => l / gcd(l, f.d) * f.d, 1n);
+    let coefficients = fractions.map(f => f.s * f.n * (scale / f.d));
+
+    let xPower = 0;
+    while (coefficients.length > 1 && coefficients[0] === 0n) {
+        coefficients = coefficients.slice(1);
+        xPower++;
+    }
+    const sign = coefficients[coefficients.length - 1] < 0n ? -1n : 1n;
+    const content = coefficients.reduce((g, c) => gcd(g, c), 0n) * sign;
+    coefficients = coefficients.map(c => c / content);
+
+    const roots = [];
+    let root;
+    while (coefficients.length > 1 && (root = findRoot(coefficients))) {
+        const same = roots.find(r => r.p === root.p && r.q === root.q);
+        if (same) same.times++;
+        else roots.push({ ...root, times: 1 });
+        coefficients = divideOut(coefficients, root.p, root.q);
+    }
+
+    const factors = [];
+    if (xPower) factors.push(xPower === 1 ? 'x' : `x^${xPower}`);
+    roots.forEach(({ p, q, times }) => {
+        const linear = `(${q === 1n ? '' : `${q} `}x ${p < 0n ? '+' : '-'} ${abs(p)})`;
+        factors.push(times === 1 ? linear : `${linear}^${times}`);
+    });
+    if (coefficients.length > 1) factors.push(`(${polynomialText(coefficients)})`);
+
+    const divisor = gcd(content, scale);
+    const top = content / divisor, bottom = scale / divisor;
+    const count = xPower + roots.reduce((sum, r) => sum + r.times, 0) + (coefficients.length > 1 ? 1 : 0);
+    if (count < 2 && top === 1n && bottom === 1n) return null;
+    const parts = [...(abs(top) === 1n ? [] : [String(top)]), ...factors].map(text => math.parse(text));
+    const product = parts.reduce((left, right) => new math.OperatorNode('*', 'multiply', [left, right], true));
+    const signed = top === -1n ? new math.OperatorNode('-', 'unaryMinus', [product]) : product;
+    return bottom === 1n ? signed : new math.OperatorNode('/', 'divide', [signed, new math.ConstantNode(Number(bottom))]);
+};
+
+// --- Taylor Polynomials ---
+
+const isNegative = (node) => (node.isConstantNode && node.value < 0)
+    || (node.isOperatorNode && node.fn === 'unaryMinus')
+    || (node.isOperatorNode && ['*', '/'].includes(node.op) && isNegative(node.args[0]));
+
+const negate = (math, node) => {
+    if (node.isConstantNode) return new math.ConstantNode(-node.value);
+    if (node.fn === 'unaryMinus') return node.args[0];
+    return new math.OperatorNode(node.op, node.fn, [negate(math, node.args[0]), ...node.args.slice(1)], node.implicit);
+};
+
+// A coefficient that works out to a number is shown as one, as a fraction
+// where a small denominator gives it exactly; cos(pi) is -1, not cos(pi).
+const tidyCoefficient = (math, node) => {
+    const value = constantValue(node);
+    if (!isFinite(value)) return node;
+    if (Math.abs(value) < 1e-12) return new math.ConstantNode(0);
+    const fraction = math.fraction(value);
+    const exact = fraction.d <= 1000n && Math.abs(Number(fraction.s * fraction.n) / Number(fraction.d) - value) < 1e-12;
+    if (!exact) return new math.ConstantNode(parseFloat(value.toPrecision(10)));
+    const size = fraction.d === 1n ? new math.ConstantNode(Number(fraction.n))
+        : new math.OperatorNode('/', 'divide', [new math.ConstantNode(Number(fraction.n)), new math.ConstantNode(Number(fraction.d))]);
+    return fraction.s < 0n ? new math.OperatorNode('-', 'unaryMinus', [size]) : size;
+};
+
+// The Taylor polynomial of `node` of degree `degree` about x = `center`
+// (a parsed expression, so it may be pi or a parameter). Coefficients stay
+// symbolic; `scope` is only used to check that they are defined there.
+export const taylorPolynomial = (math, node, center, degree, scope) => {
+    const atCenter = (n) => n.transform(m => (m.isSymbolNode && m.name === 'x' ? new math.ParenthesisNode(center) : m));
+    const offset = constantValue(center) === 0 ? 'x' : `(x - ${center.toString({ parenthesis: 'auto' })})`;
+    const terms = [];
+    let derivative = node, factorial = 1;
+    for (let k = 0; k <= degree; k++) {
+        if (k > 0) {
+            derivative = math.derivative(derivative, 'x');
+            factorial *= k;
+        }
+        const coefficient = tidyCoefficient(math, math.simplify(new math.OperatorNode('/', 'divide', [atCenter(derivative), new math.ConstantNode(factorial)])));
+        let value;
+        try { value = coefficient.evaluate({ ...scope }); } catch { value = 1; }
+        if (typeof value === 'number' && !isFinite(value)) throw new Error(`The ${k === 0 ? 'function' : `derivative of order ${k}`} is not defined at x = ${center}`);
+        if (coefficient.isConstantNode && coefficient.value === 0) continue;
+        if (k === 0) {
+            terms.push(coefficient);
+            continue;
+        }
+        const power = math.parse(k === 1 ? offset : `${offset}^${k}`);
+        const unit = Math.abs(constantValue(coefficient)) === 1;
+        const term = unit ? power : new math.OperatorNode('*', 'multiply', [coefficient, power]);
+        terms.push(unit && constantValue(coefficient) < 0 ? new math.OperatorNode('-', 'unaryMinus', [power]) : term);
+    }
+    if (!terms.length) return new math.ConstantNode(0);
+    return terms.slice(1).reduce((sum, term) => (isNegative(term)
+        ? new math.OperatorNode('-', 'subtract', [sum, negate(math, term)])
+        : new math.OperatorNode('+', 'add', [sum, term])), terms[0]);
+};
+
+// --- Limits ---
+// f is evaluated ever closer to the point from each side, at distances
+// 10^-1 ... 10^-STEPS (scaled up for large points), or ever further out for
+// ±∞. A side's limit is infinite when the values keep growing without
+// settling. Otherwise it is the estimate at the smallest change before the
+// changes start to grow again, which is where rounding error starts to take
+// over. That change is a tenth of the error at best, so the estimate is
+// only good to the power of ten above ten times it. A side that never
+// settles has none.
+
+const STEPS = 10;
+const AGREEMENT = 1e-6;
+
+const roundTo = (value, unit) => parseFloat((unit ? Math.round(value / unit) * unit : value).toPrecision(12));
+
+// { value, unit }: the side's limit, and the power of ten it is good to
+// (0 where it is exact, infinite or missing).
+const approach = (f, xs) => {
+    const values = xs.map(f);
+    const usable = values.filter(isFinite);
+    if (usable.length < 3) return { value: NaN, unit: 0 };
+
+    const growing = usable.every((v, i) => i === 0 || (Math.abs(v) > Math.abs(usable[i - 1]) && Math.sign(v) === Math.sign(usable[0])));
+    const steps = usable.slice(1).map((v, i) => Math.abs(v - usable[i]));
+    if (growing && steps[steps.length - 1] >= steps[0] / 2) return { value: usable[0] > 0 ? Infinity : -Infinity, unit: 0 };
+
+    let settled = 0;
+    while (settled < steps.length - 1 && steps[settled + 1] < steps[settled]) settled++;
+    const estimate = usable[settled + 1], step = steps[settled];
+    if (step > 1e-3 * Math.max(1, Math.abs(estimate))) return { value: NaN, unit: 0 };
+    const unit = step ? 10 ** Math.ceil(Math.log10(10 * step)) : 0;
+    return { value: roundTo(estimate, unit), unit };
+};
+
+// { left, right, value } for the limit of `node` as x approaches `point`
+// (a number, or ±Infinity). Each is a number, ±Infinity, or NaN where the
+// limit does not exist; `value` is the two-sided limit, and at ±∞ only one
+// side is meaningful, so the other is NaN. Both sides are given to the
+// precision of the rougher one, so where they agree they are the same.
+export const limitAt = (math, node, point, scope) => {
+    const code = node.compile();
+    const local = { ...scope };
+    const f = (x) => {
+        local.x = x;
+        try {
+            const y = code.evaluate(local);
+            return typeof y === 'number' ? y : NaN;
+        } catch {
+            return NaN;
+        }
+    };
+    const distances = Array.from({ length: STEPS }, (_, i) => 10 ** -(i + 1));
+    if (!isFinite(point)) {
+        const { value } = approach(f, distances.map(d => Math.sign(point) / d));
+        return point > 0 ? { left: value, right: NaN, value } : { left: NaN, right: value, value };
+    }
+    const scale = Math.max(1, Math.abs(point));
+    const fromLeft = approach(f, distances.map(d => point - d * scale));
+    const fromRight = approach(f, distances.map(d => point + d * scale));
+    const unit = Math.max(fromLeft.unit, fromRight.unit);
+    const left = isFinite(fromLeft.value) ? roundTo(fromLeft.value, unit) : fromLeft.value;
+    const right = isFinite(fromRight.value) ? roundTo(fromRight.value, unit) : fromRight.value;
+    if (left === right) return { left, right, value: left };
+    const agree = isFinite(left) && isFinite(right) && Math.abs(left - right) <= AGREEMENT * Math.max(1, Math.abs(left), Math.abs(right));
+    return { left, right, value: agree ? roundTo((left + right) / 2, unit) : NaN };
+};
+
+// --- Algebra Panel ---
+// One action of the algebra panel on function row `id`, as plain data so it
+// can come back from the graph worker: { rows, text, note }, where each row
+// is { mathml, tex } and `text` is a result to add as an equation. `options`
+// is { order, center, degree, point } as entered, with `point` a number only
+// for ±∞.
+
+const REWRITES = {
+    simplify: simplifyExpression,
+    expand: expandExpression,
+    factor: factorExpression,
+    rationalize: rationalizeExpression,
+};
+
+const typeset = (node) => ({ rows: [{ mathml: toMathML(node), tex: node.toTex() }], text: node.toString({ implicit: 'show' }) });
+
+const texValue = (v) => (isNaN(v) ? null : v === Infinity ? '\\infty' : v === -Infinity ? '-\\infty' : String(v));
+
+export const runAlgebra = (math, operation, expression, options, scope) => {
+    const order = Math.min(Math.max(Math.round(options.order) || 1, 1), MAX_ORDER);
+    if (REWRITES[operation]) {
+        const node = REWRITES[operation](math, expression);
+        if (!node) throw new Error('Only polynomials in x with rational coefficients can be factored, and this one has no rational factors');
+        return typeset(node);
+    }
+    if (operation === 'derivative') return typeset(nthDerivative(math, expression, order));
+    if (operation === 'taylor') {
+        const degree = Math.min(Math.max(Math.round(options.degree) || 0, 0), MAX_ORDER);
+        return typeset(taylorPolynomial(math, expression, math.parse(options.center || '0'), degree, scope));
+    }
+
+    // The limit point is a number, an expression such as pi/2, or ±∞.
+    const point = typeof options.point === 'number' ? options.point : math.parse(options.point);
+    const at = typeof point === 'number' ? point : Number(point.evaluate({ ...scope }));
+    if (isNaN(at)) throw new Error('The limit point must be a number or ∞');
+    const { left, right, value } = limitAt(math, expression, at, scope);
+    const pointTex = typeof point === 'number' ? texValue(point) : point.toTex();
+    const row = (side, v) => ({
+        mathml: limitMathML({ expression, point, side, value: v }),
+        tex: `\\lim_{x \\to ${pointTex}${side ? `^{${side}}` : ''}} ${expression.toTex()}${isNaN(v) ? '\\text{ does not exist}' : ` = ${texValue(v)}`}`,
+    });
+    return { rows: isFinite(at) ? [row('', value), row('-', left), row('+', right)] : [row('', value)], text: null, note: 'Found numerically, by evaluating ever closer to the point.' };
+};
@@ -0,0 +1,75 @@
+// --- Commands ---
+// Every action reachable from the desktop menu bar or a keyboard shortcut.
+// `keys` lists shortcuts with the main one first; `Mod` is Ctrl, or Cmd on
+// macOS. The Java menu (SwingBrowser.createMenuBar) binds the main shortcut
+// of each command under the same id, so keep the two in step. In the
+// desktop app the page leaves main shortcuts to the menu and handles only
+// the alternatives.
+
+export const MENUS = ['File', 'Edit', 'View', 'Analysis', 'Help'];
+
+export const COMMANDS = [
+    { id: 'open', menu: 'File', label: 'Open Workspace…', keys: ['Mod+O'] },
+    { id: 'save', menu: 'File', label: 'Save Workspace', keys: ['Mod+S'] },
+    { id: 'saveAs', menu: 'File', label: 'Save Workspace As…', keys: ['Mod+Shift+S'] },
+    { id: 'export', menu: 'File', label: 'Export Image…', keys: ['Mod+E'] },
+    { id: 'undo', menu: 'Edit', label: 'Undo', keys: ['Mod+Z'] },
+    { id: 'redo', menu: 'Edit', label: 'Redo', keys: ['Mod+Shift+Z', 'Mod+Y'] },
+    { id: 'zoomIn', menu: 'View', label: 'Zoom In', keys: ['Mod+=', 'Mod+Shift+='] },
+    { id: 'zoomOut', menu: 'View', label: 'Zoom Out', keys: ['Mod+-'] },
+    { id: 'resetView', menu: 'View', label: 'Reset View', keys: ['Mod+0'] },
+    { id: 'zoomToFit', menu: 'View', label: 'Zoom to Fit', keys: ['Mod+Shift+F'] },
+    { id: 'viewBack', menu: 'View', label: 'Previous View', keys: ['Mod+['] },
+    { id: 'viewForward', menu: 'View', label: 'Next View', keys: ['Mod+]'] },
+    { id: 'toggleAspect', menu: 'View', label: 'Lock 1:1 Aspect', keys: ['Mod+Alt+A'] },
+    { id: 'toggleGrid', menu: 'View', label: 'Show Grid', keys: ['Mod+G'] },
+    { id: 'toggleDarkMode', menu: 'View', label: 'Dark Mode', keys: ['Mod+Shift+D'] },
+    { id: 'intersections', menu: 'Analysis', label: 'Find Intersections', keys: ['Mod+Alt+1'] },
+    { id: 'zeros', menu: 'Analysis', label: 'Find Zeros', keys: ['Mod+Alt+2'] },
+    { id: 'extrema', menu: 'Analysis', label: 'Find Extrema', keys: ['Mod+Alt+3'] },
+    { id: 'integral', menu: 'Analysis', label: 'Calculate Integral', keys: ['Mod+Alt+4'] },
+    { id: 'derivative', menu: 'Analysis', label: 'Calculate Derivative', keys: ['Mod+Alt+5'] },
+    { id: 'clearAnalysis', menu: 'Analysis', label: 'Clear Analysis', keys: ['Mod+Alt+0'] },
+    { id: 'shortcuts', menu: 'Help', label: 'Keyboard Shortcuts', keys: ['Mod+/', 'F1'] },
+];
+
+export const isMac = () => /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+// Names keys by their position where possible, so Alt and Shift (which
+// change e.key, especially on macOS) do not hide the key pressed.
+const CODE_KEYS = { Equal: '=', Minus: '-', Slash: '/', BracketLeft: '[', BracketRight: ']', NumpadAdd: '=', NumpadSubtract: '-', Numpad0: '0' };
+const keyName = (e) => {
+    if (/^Key[A-Z]$/.test(e.code)) return e.code.slice(3);
+    if (/^Digit\d$/.test(e.code)) return e.code.slice(5);
+    return CODE_KEYS[e.code] || (e.key.length === 1 ? e.key.toUpperCase() : e.key);
+};
+
+const eventShortcut = (e) => {
+    const mod = isMac() ? e.metaKey : e.ctrlKey;
+    return [mod && 'Mod', e.altKey && 'Alt', e.shiftKey && 'Shift', keyName(e)].filter(Boolean).join('+');
+};
+
+// Whether key presses on `target` type text.
+export const isEditable = (target) => !!target && (target.isContentEditable || target.tagName === 'TEXTAREA'
+    || (target.tagName === 'INPUT' && /^(text|search|number|email|url|tel|password)$/.test(target.type)));
+
+// The command a key press triggers, with whether it was the main shortcut.
+// On Windows AltGr arrives as Ctrl+Alt, so Mod+Alt shortcuts are left alone
+// while it is held or while typing, where they would take characters such
+// as { or @ on many layouts.
+export const matchShortcut = (e) => {
+    const shortcut = eventShortcut(e);
+    if (/^Mod\+Alt\+/.test(shortcut) && (e.getModifierState?.('AltGraph') || isEditable(e.target))) return null;
+    for (const command of COMMANDS) {
+        const index = command.keys.indexOf(shortcut);
+        if (index !== -1) return { command, main: index === 0 };
+    }
+    return null;
+};
+
+const MAC_SYMBOLS = { Mod: '⌘', Alt: '⌥', Shift: '⇧' };
+
+export const formatShortcut = (shortcut) => {
+    if (!isMac()) return shortcut.replace('Mod', 'Ctrl');
+    return shortcut.split('+').map(part => MAC_SYMBOLS[part] || part).join('');
+};
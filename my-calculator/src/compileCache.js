@@ -0,0 +1,42 @@
+// --- Compiled Expression Cache ---
+// Parsing and compiling dominate the cost of redrawing while panning, and the
+// same equation text is compiled again for every view. Compiled expressions
+// are independent of the scope they run against, so they are cached by text.
+// The cache is least-recently-used and bounded so typing does not grow it
+// without limit.
+
+const MAX_ENTRIES = 500;
+const parsed = new Map();
+const compiled = new Map();
+const derivatives = new Map();
+
+const remember = (cache, key, create) => {
+    if (cache.has(key)) {
+        const value = cache.get(key);
+        cache.delete(key);
+        cache.set(key, value);
+        return value;
+    }
+    const value = create();
+    cache.set(key, value);
+    if (cache.size > MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    return value;
+};
+
+export const parseExpression = (math, text) => remember(parsed, text, () => math.parse(text));
+
+export const compileExpression = (math, text) => remember(compiled, text, () => parseExpression(math, text).compile());
+
+// The first and second derivatives in x of `node`, compiled, by the node's
+// text; `node` has its definitions expanded, so the text covers them. A
+// trace moving along one curve differentiates it once. Either is null
+// where math.js cannot differentiate, and the failure is cached too.
+export const compileDerivatives = (math, node) => remember(derivatives, node.toString(), () => {
+    let first = null, second = null;
+    try {
+        const derivative = math.derivative(node, 'x');
+        first = derivative.compile();
+        second = math.derivative(derivative, 'x').compile();
+    } catch {/* left to numeric differentiation */}
+    return { first, second };
+});
@@ -0,0 +1,256 @@
+import { DEFAULT_SETTINGS, axisScale, createMapping, isLinear, zoomView } from './axes.js';
+import { compileExpression } from './compileCache.js';
+import { parseDefinition, rewritePrimes, stripPlotPrefix } from './expressions.js';
+import { compileRelation, parseRelation, shadeRegion, traceContour } from './implicit.js';
+import { sampleCurve } from './sampler.js';
+
+// --- Equation Kinds ---
+// Every row in the `equations` state is one of these kinds. Rows saved before
+// kinds existed have no `kind` field and are treated as explicit functions.
+
+const TWO_PI = parseFloat((2 * Math.PI).toFixed(4));
+
+export const EQUATION_KINDS = ['function', 'parametric', 'polar', 'implicit'];
+
+export const getEquationKind = (eq) => eq.kind || 'function';
+
+export const createEquation = (kind, color) => {
+    const base = { id: Date.now(), kind, color, visible: true };
+    if (kind === 'parametric') return { ...base, xText: '', yText: '', tMin: 0, tMax: TWO_PI };
+    if (kind === 'polar') return { ...base, text: '', thetaMin: 0, thetaMax: TWO_PI };
+    return { ...base, text: '' };
+};
+
+// Text that is graphed as y = f(x) for an explicit-function row. A one-variable
+// definition `f(t) = ...` is graphed as `f(x)`; constants and functions of
+// several variables define names without drawing anything.
+export const getPlotText = (eq) => {
+    if (!eq.text) return null;
+    const definition = parseDefinition(eq.text);
+    if (!definition) return rewritePrimes(stripPlotPrefix(eq.text)) || null;
+    return definition.params && definition.params.length === 1 ? `${definition.name}(x)` : null;
+};
+
+export const isEquationComplete = (eq) => {
+    const kind = getEquationKind(eq);
+    if (kind === 'parametric') return !!(eq.xText && eq.yText);
+    if (kind === 'function') return !!getPlotText(eq);
+    return !!eq.text;
+};
+
+// Every math.js expression a row contains, after prime rewriting. Definition
+// rows contribute their body.
+export const getEquationExpressions = (eq) => {
+    const kind = getEquationKind(eq);
+    if (kind === 'parametric') return [eq.xText, eq.yText].filter(Boolean).map(rewritePrimes);
+    if (!eq.text) return [];
+    if (kind === 'implicit') {
+        const { lhs, rhs } = parseRelation(eq.text);
+        return [lhs, rhs].filter(Boolean).map(rewritePrimes);
+    }
+    if (kind === 'function') {
+        const definition = parseDefinition(eq.text);
+        if (definition) return [definition.body];
+        return [rewritePrimes(stripPlotPrefix(eq.text))];
+    }
+    return [rewritePrimes(eq.text)];
+};
+
+export const equationLabel = (eq) => {
+    const kind = getEquationKind(eq);
+    if (kind === 'parametric') return `(${eq.xText}, ${eq.yText})`;
+    if (kind === 'polar') return `r = ${eq.text}`;
+    if (kind === 'implicit') return eq.text;
+    if (parseDefinition(eq.text)) return eq.text;
+    return `y = ${stripPlotPrefix(eq.text || '')}`;
+};
+
+// Numeric range of the curve parameter; explicit functions have none.
+export const getParameterRange = (eq) => {
+    const kind = getEquationKind(eq);
+    if (kind === 'parametric') return { min: Number(eq.tMin), max: Number(eq.tMax), symbol: 't' };
+    if (kind === 'polar') return { min: Number(eq.thetaMin), max: Number(eq.thetaMax), symbol: 'θ' };
+    return null;
+};
+
+// --- Compilation ---
+// Returns a function mapping the curve parameter to a world point { x, y },
+// or null when the row is incomplete. Parse errors propagate to the caller.
+// `scope` supplies parameter values; the curve variable is written into a
+// private copy so a compiled curve never allocates per evaluation.
+// Implicit relations have no parameterisation; see `compileRelation`.
+
+export const compileEquation = (math, eq, scope = {}) => {
+    if (!isEquationComplete(eq)) return null;
+    const kind = getEquationKind(eq);
+    if (kind === 'implicit') return null;
+
+    if (kind === 'parametric') {
+        const xCode = compileExpression(math, rewritePrimes(eq.xText));
+        const yCode = compileExpression(math, rewritePrimes(eq.yText));
+        const s = { ...scope };
+        return (t) => {
+            s.t = t;
+            return { x: xCode.evaluate(s), y: yCode.evaluate(s) };
+        };
+    }
+    if (kind === 'polar') {
+        const rCode = compileExpression(math, rewritePrimes(eq.text));
+        const s = { ...scope };
+        return (theta) => {
+            s.theta = s.θ = s.t = theta;
+            const r = rCode.evaluate(s);
+            return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+        };
+    }
+    const code = compileExpression(math, getPlotText(eq));
+    const s = { ...scope };
+    return (x) => {
+        s.x = x;
+        return { x, y: code.evaluate(s) };
+    };
+};
+
+// --- Sampling ---
+// Produces polylines in world coordinates through the shared adaptive
+// sampler. Canvas drawing, SVG export and hover snapping all consume the same
+// segments so they agree on the geometry. With a log axis the sampling runs
+// in axis space (see axes.js), so the sampler's pixel tolerances still hold:
+// the curve and view are transformed going in and the points coming out.
+
+const PARAMETRIC_INTERVALS = 256;
+
+const axisSpace = (view, settings) => {
+    const sx = axisScale(settings, 'x'), sy = axisScale(settings, 'y');
+    return {
+        linear: isLinear(settings),
+        sx,
+        sy,
+        view: { xMin: sx.forward(view.xMin), xMax: sx.forward(view.xMax), yMin: sy.forward(view.yMin), yMax: sy.forward(view.yMax) },
+        toWorld: (p) => ({ ...p, x: sx.inverse(p.x), y: sy.inverse(p.y) }),
+    };
+};
+
+export const sampleEquation = (math, eq, view, size, scope, settings = DEFAULT_SETTINGS) => {
+    if (!isEquationComplete(eq)) return [];
+    const space = axisSpace(view, settings);
+    const { sx, sy } = space;
+    const toWorld = (segments) => (space.linear ? segments : segments.map(segment => segment.map(space.toWorld)));
+
+    if (getEquationKind(eq) === 'implicit') {
+        const { F } = compileRelation(math, eq.text, scope);
+        const G = space.linear ? F : (x, y) => F(sx.inverse(x), sy.inverse(y));
+        return toWorld(traceContour(G, space.view, size));
+    }
+
+    const curve = compileEquation(math, eq, scope);
+    const range = getParameterRange(eq);
+    if (!range) {
+        // Explicit functions are sampled along the x axis in axis space.
+        const fn = space.linear ? curve : (x) => ({ x, y: sy.forward(curve(sx.inverse(x)).y) });
+        return toWorld(sampleCurve(fn, space.view.xMin, space.view.xMax, space.view, size));
+    }
+
+    const fn = space.linear ? curve : (u) => {
+        const p = curve(u);
+        return { x: sx.forward(p.x), y: sy.forward(p.y) };
+    };
+    return toWorld(sampleCurve(fn, range.min, range.max, space.view, size, { intervals: PARAMETRIC_INTERVALS }))
+        .map(segment => segment.map(p => ({ x: p.x, y: p.y, t: p.u })));
+};
+
+// Shaded cells for inequality relations; empty for every other row.
+export const sampleRegion = (math, eq, view, size, scope, settings = DEFAULT_SETTINGS) => {
+    if (getEquationKind(eq) !== 'implicit' || !isEquationComplete(eq)) return [];
+    const { F, op, holds } = compileRelation(math, eq.text, scope);
+    if (op === '=') return [];
+    const space = axisSpace(view, settings);
+    if (space.linear) return shadeRegion(F, holds, view, size);
+    const { sx, sy } = space;
+    return shadeRegion((x, y) => F(sx.inverse(x), sy.inverse(y)), holds, space.view, size).map(r => {
+        const x = sx.inverse(r.x), y = sy.inverse(r.y);
+        return { x, y, w: sx.inverse(r.x + r.w) - x, h: sy.inverse(r.y + r.h) - y };
+    });
+};
+
+// --- Bounds ---
+// The region worth showing for an equation, for zoom to fit: the whole
+// trace of a parametric or polar curve, the values a function takes across
+// the visible x range, or the extent of an implicit curve found in the view
+// or one up to 1000 times wider. Values are trimmed to the 2nd..98th
+// percentile so an asymptote does not swamp the rest of the curve. Returns
+// { xMin, xMax, yMin, yMax } or null.
+
+const BOUNDS_SAMPLES = 512;
+
+const trimmedRange = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = (q) => sorted[Math.round(q * (sorted.length - 1))];
+    return [at(0.02), at(0.98)];
+};
+
+export const equationBounds = (math, eq, view, scope, settings = DEFAULT_SETTINGS) => {
+    if (!isEquationComplete(eq)) return null;
+    const sx = axisScale(settings, 'x'), sy = axisScale(settings, 'y');
+    const usable = (p) => p && typeof p.x === 'number' && typeof p.y === 'number' && isFinite(sx.forward(p.x)) && isFinite(sy.forward(p.y));
+    const boxOf = (points) => {
+        if (!points.length) return null;
+        const [xMin, xMax] = trimmedRange(points.map(p => p.x));
+        const [yMin, yMax] = trimmedRange(points.map(p => p.y));
+        return { xMin, xMax, yMin, yMax };
+    };
+
+    if (getEquationKind(eq) === 'implicit') {
+        for (let factor = 1; factor <= 1000; factor *= 10) {
+            const points = sampleEquation(math, eq, zoomView(view, factor, settings), { width: 200, height: 200 }, scope, settings).flat().filter(usable);
+            if (points.length) return boxOf(points);
+        }
+        return null;
+    }
+
+    const curve = compileEquation(math, eq, scope);
+    const range = getParameterRange(eq);
+    // Evenly spaced along the parameter, or along x in axis space.
+    const [from, to] = range ? [range.min, range.max] : [sx.forward(view.xMin), sx.forward(view.xMax)];
+    const points = [];
+    for (let i = 0; i <= BOUNDS_SAMPLES; i++) {
+        const u = from + (to - from) * i / BOUNDS_SAMPLES;
+        try {
+            const p = curve(range ? u : sx.inverse(u));
+            if (usable(p)) points.push(p);
+        } catch {/* undefined here */}
+    }
+    const box = boxOf(points);
+    return box && !range ? { ...box, xMin: view.xMin, xMax: view.xMax } : box;
+};
+
+// --- Hover Snapping ---
+// Finds the point on the sampled geometry closest to the cursor, in screen
+// pixels. Explicit functions snap vertically at the cursor's x, interpolated
+// along the segment under it; every other kind snaps to the nearest sample.
+// `segments` is the output of `sampleEquation` for the same view and size.
+
+export const snapToSegments = (eq, segments, view, size, cursor, settings = DEFAULT_SETTINGS) => {
+    const { toScreenX, toScreenY } = createMapping(view, size, settings);
+
+    if (getEquationKind(eq) === 'function') {
+        for (const segment of segments) {
+            for (let i = 1; i < segment.length; i++) {
+                const a = segment[i - 1], b = segment[i];
+                if (cursor.x < a.x || cursor.x > b.x) continue;
+                const y = b.x === a.x ? a.y : a.y + (b.y - a.y) * (cursor.x - a.x) / (b.x - a.x);
+                return { x: cursor.x, y, distance: Math.abs(toScreenY(y) - toScreenY(cursor.y)) };
+            }
+        }
+        return null;
+    }
+
+    const cx = toScreenX(cursor.x);
+    const cy = toScreenY(cursor.y);
+    let best = null;
+    segments.forEach(segment => segment.forEach(p => {
+        const distance = Math.hypot(toScreenX(p.x) - cx, toScreenY(p.y) - cy);
+        if (!best || distance < best.distance) best = { ...p, distance };
+    }));
+    return best;
+};
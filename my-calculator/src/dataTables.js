@@ -0,0 +1,77 @@
+// --- Data Tables ---
+// A table holds pasted or loaded CSV/TSV text and which two columns are
+// plotted as x and y. The raw text is the source of truth, so a table saved in
+// a workspace reloads exactly as it was typed; parsing is cheap and happens
+// wherever the points are needed.
+
+const numberPattern = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// Cells lose surrounding quotes, and where commas do not separate cells
+// they may be decimal commas, as in `1,5;2,3`.
+const unquote = (cell) => cell.trim().replace(/^(["'])(.*)\1$/, '$2').trim();
+const cellValue = (cell, decimalComma) => {
+    const text = decimalComma ? cell.replace(/^([+-]?\d*),(\d+)/, '$1.$2') : cell;
+    return numberPattern.test(text) ? Number(text) : NaN;
+};
+
+const splitLine = (line, delimiter) => line.split(delimiter).map(unquote);
+
+// The delimiter that splits every line into the same number of cells
+// (ignoring a header), with the fewest cells that are not numbers. Ties go
+// to tabs, then commas, then semicolons, and plain whitespace is the
+// fallback, so `1 2` and `1,2` both read as two columns.
+const detectDelimiter = (lines) => {
+    const candidates = [...['\t', ',', ';'].filter(d => lines.some(line => line.includes(d))), /\s+/];
+    const data = lines.length > 1 ? lines.slice(1) : lines;
+    const scored = candidates.map(delimiter => {
+        const cells = data.map(line => splitLine(line, delimiter));
+        const width = cells[0].length;
+        const consistent = width > 1 && cells.every(row => row.length === width);
+        const text = cells.flat().filter(cell => isNaN(cellValue(cell, delimiter !== ','))).length;
+        return { delimiter, consistent, text };
+    });
+    const best = scored.filter(s => s.consistent).sort((a, b) => a.text - b.text)[0];
+    return (best || scored[0]).delimiter;
+};
+
+// `model`, `degree` and `template` hold the regression last chosen for the
+// table; `fits` records every fit made from it.
+export const createTable = (color, name) => ({
+    id: Date.now(), name, color, visible: true, text: '', xColumn: 0, yColumn: 1,
+    model: 'linear', degree: 2, template: '', fits: [],
+});
+
+export const parseTable = (text) => {
+    const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (!lines.length) return { columns: [], rows: [] };
+
+    const delimiter = detectDelimiter(lines);
+    const decimalComma = delimiter !== ',';
+    let cells = lines.map(line => splitLine(line, delimiter));
+
+    // A first row with any non-numeric cell is a header.
+    const width = Math.max(...cells.map(row => row.length));
+    const hasHeader = cells[0].some(cell => cell && isNaN(cellValue(cell, decimalComma)));
+    const header = hasHeader ? cells[0] : [];
+    if (hasHeader) cells = cells.slice(1);
+
+    const columns = Array.from({ length: width }, (_, i) => header[i] || (i === 0 ? 'x' : i === 1 ? 'y' : `Column ${i + 1}`));
+    const rows = cells.map(row => columns.map((_, i) => (row[i] !== undefined ? cellValue(row[i], decimalComma) : NaN)));
+    return { columns, rows };
+};
+
+// Points for the selected columns. Rows where either value is missing or not
+// a number are skipped and counted so the table can say so.
+export const readTable = (table) => {
+    const { columns, rows } = parseTable(table.text);
+    const xColumn = Number(table.xColumn) || 0;
+    const yColumn = table.yColumn === undefined ? 1 : Number(table.yColumn);
+    const points = [];
+    let skipped = 0;
+    rows.forEach(row => {
+        const x = row[xColumn], y = row[yColumn];
+        if (isFinite(x) && isFinite(y)) points.push({ x, y });
+        else skipped++;
+    });
+    return { columns, points, skipped };
+};
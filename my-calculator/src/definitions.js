@@ -0,0 +1,193 @@
+import { compileExpression, parseExpression } from './compileCache.js';
+import { getEquationExpressions, getEquationKind } from './curves.js';
+import { formatName, parseDefinition, parseDerivativeName } from './expressions.js';
+import { numericDerivative } from './roots.js';
+
+// --- Shared Definitions ---
+// Explicit-function rows written as `f(x) = ...` or `k = ...` define names that
+// every row can use. Definitions are ordered by dependency; rows that are
+// circular, duplicated or call unknown functions get a per-row error instead
+// of silently disappearing.
+
+const RESERVED_NAMES = ['x', 'y', 't', 'theta', 'θ'];
+
+const referencedNames = (node) => {
+    const names = new Set();
+    node.traverse((n, path) => {
+        if (n.isSymbolNode) {
+            const derivative = path === 'fn' && parseDerivativeName(n.name);
+            names.add(derivative ? derivative.base : n.name);
+        }
+    });
+    return names;
+};
+
+export const collectDefinitions = (math, equations) => {
+    const entries = new Map();
+    const errors = {};
+    const broken = new Map();
+    const ordered = [];
+    const derivatives = new Set();
+    if (!math) return { entries, errors, broken, ordered, derivatives, names: new Set() };
+
+    equations.forEach(eq => {
+        if (getEquationKind(eq) !== 'function') return;
+        const definition = parseDefinition(eq.text);
+        if (!definition) return;
+        const { name } = definition;
+
+        if (RESERVED_NAMES.includes(name)) errors[eq.id] = `"${name}" is a graphing variable and cannot be defined`;
+        else if (name in math) errors[eq.id] = `"${name}" is a built-in name and cannot be redefined`;
+        else if (entries.has(name)) errors[eq.id] = `"${name}" is already defined`;
+        if (errors[eq.id]) return;
+
+        try {
+            entries.set(name, { id: eq.id, ...definition, node: parseExpression(math, definition.body) });
+        } catch {/* unparseable bodies define nothing yet */}
+    });
+
+    // Depth-first topological sort; a name met again while still on the
+    // stack closes a cycle, and every name on that cycle is broken.
+    const state = new Map();
+    const visit = (name, stack) => {
+        if (state.get(name) === 'done') return;
+        if (state.get(name) === 'visiting') {
+            const cycle = [...stack.slice(stack.indexOf(name)), name];
+            cycle.slice(1).forEach(n => broken.set(n, `Circular definition: ${cycle.join(' → ')}`));
+            return;
+        }
+        state.set(name, 'visiting');
+        const entry = entries.get(name);
+        referencedNames(entry.node).forEach(dep => {
+            if (entries.has(dep) && !(entry.params || []).includes(dep)) visit(dep, [...stack, name]);
+        });
+        state.set(name, 'done');
+        ordered.push(name);
+    };
+    entries.forEach((_, name) => visit(name, []));
+
+    // Anything built on a broken definition is broken too. `ordered` lists
+    // dependencies first, so one pass propagates the whole chain.
+    ordered.forEach(name => {
+        if (broken.has(name)) return;
+        const dep = [...referencedNames(entries.get(name).node)].find(n => broken.has(n));
+        if (dep) broken.set(name, `Uses "${dep}", which has an error`);
+    });
+    broken.forEach((message, name) => { errors[entries.get(name).id] = message; });
+
+    // Validate every call in every row, and note which f', f'' are used.
+    const checkExpression = (node) => node.traverse((n, path) => {
+        if (n.isSymbolNode && path !== 'fn' && broken.has(n.name)) throw new Error(`Uses "${n.name}", which has an error`);
+        if (!n.isFunctionNode || !n.fn.isSymbolNode) return;
+
+        const derivative = parseDerivativeName(n.fn.name);
+        const base = derivative ? derivative.base : n.fn.name;
+        const entry = entries.get(base);
+        if (broken.has(base)) throw new Error(`Uses "${base}", which has an error`);
+        if (!entry) {
+            if (derivative || !(base in math)) throw new Error(`Undefined function "${formatName(n.fn.name)}"`);
+            return;
+        }
+        if (!entry.params) throw new Error(`"${base}" is a constant, not a function`);
+        if (n.args.length !== entry.params.length) throw new Error(`"${base}" expects ${entry.params.length} argument(s), got ${n.args.length}`);
+        if (derivative) {
+            if (entry.params.length !== 1) throw new Error(`"${formatName(n.fn.name)}" needs a function of one variable`);
+            derivatives.add(n.fn.name);
+        }
+    });
+
+    equations.forEach(eq => {
+        if (errors[eq.id]) return;
+        getEquationExpressions(eq).forEach(text => {
+            if (errors[eq.id]) return;
+            let node;
+            try { node = parseExpression(math, text); } catch { return; }
+            try { checkExpression(node); } catch (e) { errors[eq.id] = e.message; }
+        });
+    });
+
+    return { entries, errors, broken, ordered, derivatives, names: new Set(entries.keys()) };
+};
+
+// --- Expansion ---
+// Inlines user functions so math.derivative can see through them. Prime
+// calls become symbolic derivatives where math.js can differentiate the
+// body, and are left as calls (evaluated numerically) where it cannot.
+
+const substitute = (math, body, params, args) => body.transform((n, path) => {
+    const index = n.isSymbolNode && path !== 'fn' ? params.indexOf(n.name) : -1;
+    return index >= 0 ? new math.ParenthesisNode(args[index]) : n;
+});
+
+export const expandDefinitions = (math, definitions, node) => {
+    const { entries, broken } = definitions;
+    const expand = (root) => root.transform(n => {
+        if (!n.isFunctionNode || !n.fn.isSymbolNode) return n;
+        const derivative = parseDerivativeName(n.fn.name);
+        const entry = entries.get(derivative ? derivative.base : n.fn.name);
+        if (!entry || !entry.params || broken.has(entry.name)) return n;
+
+        const args = n.args.map(expand);
+        let body = expand(entry.node);
+        if (derivative) {
+            try {
+                for (let i = 0; i < derivative.order; i++) body = math.derivative(body, entry.params[0]);
+            } catch {
+                return new math.FunctionNode(n.fn, args);
+            }
+        }
+        return substitute(math, body, entry.params, args);
+    });
+    return expand(node);
+};
+
+// --- Scope ---
+// Adds constants and callable functions on top of the parameter values.
+// Functions read the shared scope at call time, so their order only matters
+// for constants, which are evaluated once in dependency order.
+
+export const buildScope = (math, definitions, baseScope) => {
+    const scope = { ...baseScope };
+    const errors = {};
+    // Each function keeps one scope of its own, inheriting the shared one,
+    // and only sets its parameters per call: sampling calls it thousands of
+    // times. Definitions cannot recurse, so a call never finds its own
+    // scope in use.
+    const makeFunction = (code, params) => {
+        const local = Object.create(scope);
+        return (...args) => {
+            params.forEach((p, i) => { local[p] = args[i]; });
+            return code.evaluate(local);
+        };
+    };
+
+    definitions.ordered.forEach(name => {
+        const entry = definitions.entries.get(name);
+        if (definitions.broken.has(name)) return;
+        const code = compileExpression(math, entry.body);
+        if (entry.params) {
+            scope[name] = makeFunction(code, entry.params);
+            return;
+        }
+        try {
+            scope[name] = code.evaluate({ ...scope });
+        } catch (e) {
+            errors[entry.id] = e.message;
+        }
+    });
+
+    definitions.derivatives.forEach(derivedName => {
+        const { base, order } = parseDerivativeName(derivedName);
+        const entry = definitions.entries.get(base);
+        if (!entry || typeof scope[base] !== 'function') return;
+        try {
+            let node = expandDefinitions(math, definitions, entry.node);
+            for (let i = 0; i < order; i++) node = math.derivative(node, entry.params[0]);
+            scope[derivedName] = makeFunction(node.compile(), entry.params);
+        } catch {
+            scope[derivedName] = numericDerivative(scope[base], order);
+        }
+    });
+
+    return { scope, errors };
+};
@@ -0,0 +1,73 @@
+import { equationLabel, getEquationKind } from './curves.js';
+
+// --- Text Descriptions ---
+// What the graph shows, in words, for screen readers: a one-line summary
+// for the canvas label, the analysis results as they are announced, and
+// the rows of the per-curve description table.
+
+// Rounded for reading aloud: at most four decimals, no trailing zeros.
+export const formatValue = (value) => (isFinite(value) ? String(parseFloat(value.toFixed(4))) : 'undefined');
+
+const formatPoint = (p) => `(${formatValue(p.x)}, ${formatValue(p.y)})`;
+
+// A list read out in full up to `limit` items, then counted.
+const listOf = (items, limit = 5) => (items.length <= limit ? items.join(', ') : `${items.slice(0, limit).join(', ')} and ${items.length - limit} more`);
+
+const countOf = (count, noun, plural = `${noun}s`) => `${count} ${count === 1 ? noun : plural}`;
+
+export const viewSummary = (view) => `x from ${formatValue(view.xMin)} to ${formatValue(view.xMax)}, y from ${formatValue(view.yMin)} to ${formatValue(view.yMax)}`;
+
+export const graphSummary = (equations, view) => {
+    const shown = equations.filter(eq => eq.visible).map(equationLabel).filter(Boolean);
+    return `Graph of ${shown.length ? listOf(shown) : 'no equations'}; ${viewSummary(view)}`;
+};
+
+// The sentence announced when an analysis finishes, or '' with none running.
+export const analysisAnnouncement = ({ mode, params, results }) => {
+    if (mode === 'intersections') {
+        const points = results.intersections;
+        return points.length ? `${countOf(points.length, 'intersection')}: ${listOf(points.map(formatPoint))}` : 'No intersections in view';
+    }
+    if (mode === 'zeros') {
+        const { roots, yIntercept } = results.zeros;
+        const zeros = roots.length ? `${countOf(roots.length, 'zero')} at x = ${listOf(roots.map(p => formatValue(p.x)))}` : 'No zeros in view';
+        return yIntercept ? `${zeros}; y-intercept ${formatValue(yIntercept.y)}` : zeros;
+    }
+    if (mode === 'extrema') {
+        const { max, min, inflection } = results.extrema;
+        const parts = [
+            max.length && `${countOf(max.length, 'maximum', 'maxima')} at ${listOf(max.map(formatPoint))}`,
+            min.length && `${countOf(min.length, 'minimum', 'minima')} at ${listOf(min.map(formatPoint))}`,
+            inflection.length && countOf(inflection.length, 'inflection point'),
+        ].filter(Boolean);
+        return parts.length ? parts.join('; ') : 'No extrema in view';
+    }
+    if (mode === 'integral' && results.integral) {
+        const name = params.integralKind === 'between' ? 'Area between the curves' : 'Integral';
+        return `${name} ≈ ${formatValue(results.integral.value)}`;
+    }
+    if (mode === 'derivative' && results.derivative) {
+        const { x, value } = results.derivative;
+        return isFinite(value) ? `f'(${formatValue(x)}) ≈ ${formatValue(value)}` : `f'(${formatValue(x)}) is undefined`;
+    }
+    return '';
+};
+
+const KIND_NAMES = { parametric: 'Parametric curve', polar: 'Polar curve', implicit: 'Relation' };
+
+// Label/value rows describing one equation. `description` is the result of
+// describeFunction for function rows; other kinds are named only.
+export const descriptionRows = (eq, description) => {
+    const kind = getEquationKind(eq);
+    if (kind !== 'function') return [['Type', KIND_NAMES[kind]]];
+    if (!description) return [['Type', 'Function']];
+    const { domain, xIntercepts, yIntercept, maxima, minima } = description;
+    const none = 'none in view';
+    return [
+        ['Defined', domain.length ? listOf(domain.map(([from, to]) => (from === to ? `at ${formatValue(from)}` : `${formatValue(from)} to ${formatValue(to)}`))) : 'nowhere in view'],
+        ['x-intercepts', xIntercepts.length ? listOf(xIntercepts.map(formatValue)) : none],
+        ['y-intercept', yIntercept === null ? none : formatValue(yIntercept)],
+        ['Maxima', maxima.length ? listOf(maxima.map(formatPoint)) : none],
+        ['Minima', minima.length ? listOf(minima.map(formatPoint)) : none],
+    ];
+};
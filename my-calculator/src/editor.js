@@ -0,0 +1,125 @@
+import { NOT_EQUAL_ERROR, parseRelation } from './implicit.js';
+import { rewritePrimes } from './expressions.js';
+
+// --- Equation Editing ---
+// The pieces behind the equation fields: where the parser gives up, the
+// expression to typeset as a preview, completion of names, and the keypad.
+// Edits are plain data, { text, caret }, for the field to apply.
+
+// Prime calls become underscores of the same length, so f''(x) parses and
+// the parser's positions still point into the text as typed.
+const PRIME_CALL = /([A-Za-z_]\w*)('+)(?=\s*\()/g;
+const maskPrimes = (text) => text.replace(PRIME_CALL, (_, name, primes) => name + '_'.repeat(primes.length));
+
+// { message, index } for the first syntax error in `text`, with index the
+// position of the offending character (text.length at an unexpected end),
+// or null. Implicit rows (`relation`) are checked with their relation
+// operator written as one math.js accepts.
+export const syntaxError = (math, text, relation = false) => {
+    if (!text.trim()) return null;
+    let source = maskPrimes(text);
+    if (relation) {
+        const { lhs, rhs, op, index, length } = parseRelation(text);
+        if (op === '!=') return { message: NOT_EQUAL_ERROR, index };
+        if (index >= 0 && (!lhs || !rhs)) return { message: 'Relation is missing a side', index };
+        if (length === 1 && text[index] === '=') source = `${source.slice(0, index)}<${source.slice(index + 1)}`;
+    }
+    try {
+        math.parse(source);
+        return null;
+    } catch (e) {
+        const index = typeof e.char === 'number' ? Math.min(Math.max(e.char - 1, 0), text.length) : 0;
+        return { message: e.message.replace(/\s*\(char \d+\)$/, ''), index };
+    }
+};
+
+// The parsed expression to typeset for `text`, or null while it does not
+// parse. A relation's = is shown as a comparison rather than an assignment.
+export const previewNode = (math, text, relation = false) => {
+    if (!text.trim()) return null;
+    let source = text;
+    if (relation) {
+        const { lhs, rhs, op, index } = parseRelation(text);
+        if (index >= 0) source = `${lhs} ${op === '=' ? '==' : op} ${rhs}`;
+    }
+    try {
+        return math.parse(rewritePrimes(source));
+    } catch {
+        return null;
+    }
+};
+
+// --- Completion ---
+
+// Built-in functions and constants offered while typing, with how they are
+// called.
+const BUILT_INS = [
+    ...['sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'asin', 'acos', 'atan', 'sinh', 'cosh', 'tanh', 'asinh', 'acosh', 'atanh',
+        'sqrt', 'cbrt', 'abs', 'exp', 'log', 'log10', 'log2', 'floor', 'ceil', 'round', 'sign', 'gamma', 'erf']
+        .map(name => ({ name, kind: 'function', hint: `${name}(x)` })),
+    { name: 'atan2', kind: 'function', hint: 'atan2(y, x)' },
+    { name: 'nthRoot', kind: 'function', hint: 'nthRoot(x, n)' },
+    { name: 'mod', kind: 'function', hint: 'mod(x, n)' },
+    { name: 'min', kind: 'function', hint: 'min(a, b)' },
+    { name: 'max', kind: 'function', hint: 'max(a, b)' },
+    ...[['pi', 'π'], ['e', 'e'], ['tau', 'τ = 2π'], ['phi', 'φ, the golden ratio']].map(([name, hint]) => ({ name, kind: 'constant', hint })),
+];
+
+const COMPLETION_LIMIT = 8;
+
+// Everything that can be completed: the definitions and parameters of the
+// workspace first, then the built-ins.
+export const completionNames = (definitions, parameterNames) => {
+    const defined = [...definitions.entries.values()].map(entry => (entry.params
+        ? { name: entry.name, kind: 'function', hint: `${entry.name}(${entry.params.join(', ')})` }
+        : { name: entry.name, kind: 'constant', hint: 'defined' }));
+    const parameters = parameterNames.map(name => ({ name, kind: 'parameter', hint: 'slider' }));
+    const seen = new Set();
+    return [...defined, ...parameters, ...BUILT_INS].filter(item => !seen.has(item.name) && seen.add(item.name));
+};
+
+// The names that could finish the word before `caret`, as
+// { from, items }, or null when the caret is not at the end of a word or
+// the word is already a name.
+export const completionsAt = (text, caret, names) => {
+    if (/\w/.test(text[caret] || '')) return null;
+    const word = /[A-Za-z_]\w*$/.exec(text.slice(0, caret));
+    if (!word || names.some(item => item.name === word[0])) return null;
+    const prefix = word[0].toLowerCase();
+    const items = names.filter(item => item.name.toLowerCase().startsWith(prefix)).slice(0, COMPLETION_LIMIT);
+    return items.length ? { from: word.index, items } : null;
+};
+
+// Replaces the word with `item`; a function gets its parentheses, with the
+// caret between them.
+export const applyCompletion = (text, caret, from, item) => {
+    const call = item.kind === 'function' && text[caret] !== '(';
+    const inserted = call ? `${item.name}()` : item.name;
+    return { text: text.slice(0, from) + inserted + text.slice(caret), caret: from + inserted.length - (call ? 1 : 0) };
+};
+
+// --- Keypad ---
+// `insert` is a template: `$` takes the selected text and `|` is where the
+// caret ends up. Keys with an `action` move the caret or delete instead.
+
+export const KEYPAD_KEYS = [
+    { label: 'x', insert: 'x|' }, { label: 'y', insert: 'y|' }, { label: 'π', insert: 'pi|', name: 'pi' }, { label: 'e', insert: 'e|' }, { label: '(', insert: '(|' }, { label: ')', insert: ')|' },
+    { label: '7', insert: '7|' }, { label: '8', insert: '8|' }, { label: '9', insert: '9|' }, { label: '÷', insert: ' / |', name: 'divide' }, { label: '√', insert: 'sqrt($|)', name: 'square root' }, { label: 'xⁿ', insert: '^|', name: 'power' },
+    { label: '4', insert: '4|' }, { label: '5', insert: '5|' }, { label: '6', insert: '6|' }, { label: '×', insert: ' * |', name: 'times' }, { label: 'x²', insert: '^2|', name: 'squared' }, { label: 'a⁄b', insert: '($|)/()', name: 'fraction' },
+    { label: '1', insert: '1|' }, { label: '2', insert: '2|' }, { label: '3', insert: '3|' }, { label: '−', insert: ' - |', name: 'minus' }, { label: '|x|', insert: 'abs($|)', name: 'absolute value' }, { label: 'sin', insert: 'sin($|)' },
+    { label: '0', insert: '0|' }, { label: '.', insert: '.|', name: 'point' }, { label: ',', insert: ', |', name: 'comma' }, { label: '+', insert: ' + |', name: 'plus' }, { label: 'cos', insert: 'cos($|)' }, { label: 'tan', insert: 'tan($|)' },
+    { label: 'ln', insert: 'log($|)' }, { label: 'eˣ', insert: 'exp($|)', name: 'exponential' }, { label: 'θ', insert: 'theta|', name: 'theta' }, { label: '←', action: 'left', name: 'move left' }, { label: '→', action: 'right', name: 'move right' }, { label: '⌫', action: 'backspace', name: 'delete' },
+];
+
+// The edit made by pressing `key` with [start, end) selected.
+export const applyKey = (text, start, end, key) => {
+    if (key.action === 'left') return { text, caret: start === end ? Math.max(start - 1, 0) : start };
+    if (key.action === 'right') return { text, caret: start === end ? Math.min(end + 1, text.length) : end };
+    if (key.action === 'backspace') {
+        const from = start === end ? Math.max(start - 1, 0) : start;
+        return { text: text.slice(0, from) + text.slice(end), caret: from };
+    }
+    const selected = text.slice(start, end);
+    const [before, after] = key.insert.split('|').map(part => part.replace('$', () => selected));
+    return { text: text.slice(0, start) + before + after + text.slice(end), caret: start + before.length };
+};
@@ -0,0 +1,179 @@
+import { readTable } from './dataTables.js';
+import { getGraphWorker } from './graphWorker.js';
+import { isShownInPanel } from './panels.js';
+import { buildPanelScene, drawScene, fontFor, sceneColors, sceneToSvg } from './scene.js';
+
+// --- Image Export ---
+// Renders the panels as laid out on screen, scaled to the chosen size and
+// optionally with a legend. Sizes are in CSS pixels (1/96 in): SVG keeps
+// them as its dimensions, PNG is rasterised at the chosen DPI and tagged
+// with it, and PDF gets a page of that physical size holding the same
+// raster as a JPEG image, so any symbol the browser can draw comes out as
+// on screen.
+
+export const EXPORT_FORMATS = [
+    { id: 'svg', label: 'SVG', description: 'Vector image' },
+    { id: 'png', label: 'PNG', description: 'Image at the chosen DPI' },
+    { id: 'pdf', label: 'PDF', description: 'Page at the chosen size' },
+];
+
+export const DEFAULT_EXPORT_OPTIONS = { format: 'png', width: 1200, height: 800, dpi: 150, legend: true };
+
+const CSS_DPI = 96;
+const MAX_PIXELS = 8192;
+
+// A message describing what is wrong with the options, or null.
+export const validateExportOptions = ({ format, width, height, dpi }) => {
+    if (!(width >= 50 && height >= 50)) return 'Width and height must be at least 50 px.';
+    if (format === 'svg') return null;
+    if (!(dpi >= 36 && dpi <= 1200)) return 'DPI must be between 36 and 1200.';
+    const scale = dpi / CSS_DPI;
+    if (width * scale > MAX_PIXELS || height * scale > MAX_PIXELS) {
+        return `At ${dpi} DPI that is over ${MAX_PIXELS} pixels across; lower the size or the DPI.`;
+    }
+    return null;
+};
+
+const createMeasure = () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    return (text, size) => {
+        ctx.font = fontFor({ size });
+        return ctx.measureText(text).width;
+    };
+};
+
+// `frames` are [{ panel, analysis, x, y, width, height }] in output pixels.
+// Curves are sampled for the final raster resolution so they stay smooth
+// at high DPI.
+const buildFrames = ({ frames, equations, tables, settings, darkMode, parameterValues, legend, scale }) => {
+    const measure = createMeasure();
+    return Promise.all(frames.map(async ({ panel, analysis, x, y, width, height }) => {
+        const panelEquations = equations.filter(eq => isShownInPanel(panel, eq.id));
+        const scatter = tables
+            .filter(t => t.visible && isShownInPanel(panel, t.id))
+            .map(t => ({ color: t.color, name: t.name, points: readTable(t).points }));
+        const size = { width: Math.round(width * scale), height: Math.round(height * scale) };
+        const shapes = new Map(await getGraphWorker('geometry').run('geometry', { equations: panelEquations, view: panel.view, size, parameterValues, scales: { xScale: settings.xScale, yScale: settings.yScale } }, `export-${panel.id}`));
+        const items = buildPanelScene({ view: panel.view, width, height, equations: panelEquations, shapes, scatter, analysis, settings, darkMode, pins: panel.pins, legend, measure });
+        return { x, y, width, height, items };
+    }));
+};
+
+const rasterize = (width, height, scale, frames, background) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+    frames.forEach(frame => {
+        ctx.save();
+        ctx.translate(frame.x, frame.y);
+        ctx.beginPath();
+        ctx.rect(0, 0, frame.width, frame.height);
+        ctx.clip();
+        drawScene(ctx, frame.items);
+        ctx.restore();
+    });
+    return canvas;
+};
+
+const dataUrlBytes = (url) => {
+    const binary = atob(url.slice(url.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+};
+
+// --- PNG ---
+// Browsers write PNGs without a resolution, so a pHYs chunk is added after
+// the header to record the DPI.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    bytes.forEach(b => { crc = CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8); });
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const withPngDpi = (png, dpi) => {
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1; // unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+    // Signature (8 bytes) and IHDR (25 bytes) come first.
+    const headerEnd = 33;
+    const result = new Uint8Array(png.length + chunk.length);
+    result.set(png.subarray(0, headerEnd));
+    result.set(chunk, headerEnd);
+    result.set(png.subarray(headerEnd), headerEnd + chunk.length);
+    return result;
+};
+
+// --- PDF ---
+// A one-page PDF drawing a JPEG across the whole page.
+
+const buildPdf = (jpeg, pixelWidth, pixelHeight, pageWidth, pageHeight) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+    const add = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+    const object = (id, body) => {
+        offsets[id] = length;
+        add(`${id} 0 obj\n${body}\nendobj\n`);
+    };
+    const w = pageWidth.toFixed(2);
+    const h = pageHeight.toFixed(2);
+    const contents = `q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`;
+
+    add('%PDF-1.4\n');
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+    object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`);
+    offsets[4] = length;
+    add(`4 0 obj\n<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`);
+    add(jpeg);
+    add('\nendstream\nendobj\n');
+    object(5, `<< /Length ${contents.length} >>\nstream\n${contents}\nendstream`);
+
+    const xref = length;
+    add(`xref\n0 6\n0000000000 65535 f \n${offsets.slice(1).map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`);
+    add(`trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const pdf = new Uint8Array(length);
+    let position = 0;
+    parts.forEach(part => { pdf.set(part, position); position += part.length; });
+    return pdf;
+};
+
+// Resolves with { content, fileName }; content is a string for SVG and
+// bytes otherwise.
+export const renderExport = async ({ frames, width, height, equations, tables, settings, darkMode, parameterValues, options }) => {
+    const { format, dpi, legend } = options;
+    const scale = format === 'svg' ? 1 : dpi / CSS_DPI;
+    const scenes = await buildFrames({ frames, equations, tables, settings, darkMode, parameterValues, legend, scale });
+    // The gaps between panels take the panel colour.
+    const { background } = sceneColors(darkMode);
+    if (format === 'svg') return { content: sceneToSvg(width, height, scenes, background), fileName: 'graph.svg' };
+
+    const canvas = rasterize(width, height, scale, scenes, background);
+    if (format === 'png') return { content: withPngDpi(dataUrlBytes(canvas.toDataURL('image/png')), dpi), fileName: 'graph.png' };
+    const jpeg = dataUrlBytes(canvas.toDataURL('image/jpeg', 0.95));
+    const points = 72 / CSS_DPI;
+    return { content: buildPdf(jpeg, canvas.width, canvas.height, width * points, height * points), fileName: 'graph.pdf' };
+};
@@ -0,0 +1,36 @@
+// --- Expression Text Helpers ---
+// Purely lexical preprocessing applied before text reaches math.parse.
+
+// math.js reads `'` as a string quote, so prime notation `f'(x)` / `f''(x)`
+// is rewritten to plain identifiers `f__d1(x)` / `f__d2(x)` first.
+const PRIME_CALL = /([A-Za-z_]\w*)('+)(?=\s*\()/g;
+const DERIVATIVE_NAME = /^([A-Za-z_]\w*?)__d(\d+)$/;
+
+export const rewritePrimes = (text) => text.replace(PRIME_CALL, (_, name, primes) => `${name}__d${primes.length}`);
+
+export const derivativeName = (name, order) => `${name}__d${order}`;
+
+export const parseDerivativeName = (name) => {
+    const match = DERIVATIVE_NAME.exec(name);
+    return match ? { base: match[1], order: Number(match[2]) } : null;
+};
+
+export const formatName = (name) => {
+    const derivative = parseDerivativeName(name);
+    return derivative ? `${derivative.base}${"'".repeat(derivative.order)}` : name;
+};
+
+// `f(x) = x^2 - 3`, `g(a, b) = a*b` and `k = 2.5` are definitions. A leading
+// `y =` only labels an explicit function and is not a definition.
+const DEFINITION = /^\s*([A-Za-z_]\w*)\s*(?:\(([^()]*)\))?\s*=(?!=)(.*)$/;
+
+export const parseDefinition = (text) => {
+    const match = DEFINITION.exec(text || '');
+    if (!match) return null;
+    const [, name, paramList, body] = match;
+    if (name === 'y' && paramList === undefined) return null;
+    const params = paramList === undefined ? null : paramList.split(',').map(p => p.trim()).filter(Boolean);
+    return { name, params, body: rewritePrimes(body.trim()) };
+};
+
+export const stripPlotPrefix = (text) => text.replace(/^\s*y\s*=(?!=)/, '').trim();
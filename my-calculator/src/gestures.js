@@ -0,0 +1,60 @@
+import { panView, zoomView } from './axes.js';
+
+// --- Gestures ---
+// The arithmetic behind touch and trackpad input on the graph: pinching,
+// the speed a finger lets go at, coasting after a flick, and wheel events
+// from trackpads. Positions are canvas pixels and times milliseconds.
+
+export const LONG_PRESS_MS = 500;
+// How far a finger may wander and still count as holding still.
+export const HOLD_SLOP = 8;
+
+// Centre and spread of two touch points.
+export const pinchState = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(a.x - b.x, a.y - b.y) });
+
+// The view after two fingers move from one pinch state to the next: zoomed
+// about the old centre by the change in spread, then moved with the centre,
+// so the points under the fingers stay under them.
+export const applyPinch = (view, from, to, size, settings) => {
+    if (!(from.distance > 0 && to.distance > 0)) return view;
+    const zoomed = zoomView(view, from.distance / to.distance, settings, from.x / size.width, 1 - from.y / size.height);
+    return panView(zoomed, -(to.x - from.x) / size.width, (to.y - from.y) / size.height, settings);
+};
+
+// --- Momentum ---
+// A pan that ends while the finger is still moving keeps going and slows
+// down, as scrolling does on touch screens.
+
+const VELOCITY_WINDOW_MS = 100;
+const FRICTION = 0.95; // speed kept per 16 ms frame
+const MIN_SPEED = 0.02; // px/ms
+
+// Recent positions of a panning finger, newest last.
+export const trackVelocity = (samples, p, time) => [...samples.filter(s => time - s.time < VELOCITY_WINDOW_MS), { x: p.x, y: p.y, time }];
+
+// Speed in px/ms across the tracked positions.
+export const releaseVelocity = (samples) => {
+    if (samples.length < 2) return { x: 0, y: 0 };
+    const first = samples[0], last = samples[samples.length - 1];
+    const dt = last.time - first.time;
+    return dt > 0 ? { x: (last.x - first.x) / dt, y: (last.y - first.y) / dt } : { x: 0, y: 0 };
+};
+
+export const isCoasting = (velocity) => Math.hypot(velocity.x, velocity.y) >= MIN_SPEED;
+
+// One frame of coasting: how far to move and the slower speed after it.
+export const coast = (velocity, dt) => {
+    const decay = Math.pow(FRICTION, dt / 16);
+    return { dx: velocity.x * dt, dy: velocity.y * dt, velocity: { x: velocity.x * decay, y: velocity.y * decay } };
+};
+
+// --- Wheel ---
+// Trackpad pinches arrive as wheel events with ctrlKey set and small
+// deltas, so they zoom in proportion (capped, for Ctrl with a mouse wheel);
+// a plain wheel zooms a fixed step per notch. Some browsers turn a
+// Shift+wheel into horizontal scrolling, hence deltaX.
+
+export const wheelZoomFactor = (e) => {
+    if (e.ctrlKey) return Math.exp(Math.min(Math.max(e.deltaY * 0.01, -0.25), 0.25));
+    return (e.deltaY || e.deltaX) < 0 ? 0.8 : 1.25;
+};
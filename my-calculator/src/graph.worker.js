@@ -0,0 +1,38 @@
+import { GRAPH_JOBS } from './graphJobs.js';
+
+// --- Graph Worker ---
+// Runs one job at a time. Jobs carry a key (e.g. 'view', 'export'); a new job
+// replaces any queued job with the same key, and a running job is abandoned
+// at its next checkpoint once a newer job with its key is waiting.
+
+const CANCELLED = { cancelled: true };
+const queue = new Map();
+let running = false;
+
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const pump = async () => {
+    running = true;
+    while (queue.size) {
+        const [key, job] = queue.entries().next().value;
+        queue.delete(key);
+        const checkpoint = async () => {
+            await yieldToMessages();
+            if (queue.has(key)) throw CANCELLED;
+        };
+        try {
+            const result = await GRAPH_JOBS[job.type](job.payload, checkpoint);
+            self.postMessage({ id: job.id, result });
+        } catch (e) {
+            self.postMessage(e === CANCELLED ? { id: job.id, cancelled: true } : { id: job.id, error: e.message });
+        }
+    }
+    running = false;
+};
+
+self.onmessage = ({ data }) => {
+    const stale = queue.get(data.key);
+    if (stale) self.postMessage({ id: stale.id, cancelled: true });
+    queue.set(data.key, data);
+    if (!running) pump();
+};
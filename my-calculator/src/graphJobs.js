@@ -0,0 +1,106 @@
+import * as mathjs from 'mathjs';
+import { computeAnalysis, describeFunction, traceFunction } from './analysis.js';
+import { casExpression, runAlgebra } from './cas.js';
+import { equationBounds, getEquationKind, isEquationComplete, sampleEquation, sampleRegion } from './curves.js';
+import { buildScope, collectDefinitions } from './definitions.js';
+import { fitRegression } from './regression.js';
+import { readCurve } from './sonify.js';
+
+// --- Graph Jobs ---
+// The expensive work behind the canvas: curve sampling and analysis. Both run
+// inside the graph worker, or on the main thread when workers are
+// unavailable. Inputs and outputs are plain data so they survive
+// structured cloning; the evaluation scope is rebuilt here from the
+// parameter values because functions cannot cross the worker boundary.
+
+const prepare = (equations, parameterValues) => {
+    const definitions = collectDefinitions(mathjs, equations);
+    const { scope } = buildScope(mathjs, definitions, parameterValues);
+    return { definitions, scope };
+};
+
+// `checkpoint` yields to the message loop and throws once the job is stale,
+// so a long sampling pass can be abandoned between equations. `scales` is
+// { xScale, yScale } from the settings.
+export const geometryJob = async ({ equations, view, size, parameterValues, scales }, checkpoint) => {
+    const { scope } = prepare(equations, parameterValues);
+    const shapes = [];
+    for (const eq of equations) {
+        if (!isEquationComplete(eq) || !eq.visible) continue;
+        await checkpoint();
+        try {
+            shapes.push([eq.id, { segments: sampleEquation(mathjs, eq, view, size, scope, scales), region: sampleRegion(mathjs, eq, view, size, scope, scales) }]);
+        } catch {/* rows that fail to compile draw nothing */}
+    }
+    return shapes;
+};
+
+// Bounds of the equations in `ids` for zoom to fit, as [id, box] pairs;
+// `equations` is every row so definitions resolve.
+export const boundsJob = async ({ equations, ids, view, parameterValues, scales }, checkpoint) => {
+    const { scope } = prepare(equations, parameterValues);
+    const bounds = [];
+    for (const eq of equations.filter(e => ids.includes(e.id))) {
+        await checkpoint();
+        try {
+            bounds.push([eq.id, equationBounds(mathjs, eq, view, scope, scales)]);
+        } catch {/* rows that fail to compile have no bounds */}
+    }
+    return bounds;
+};
+
+// Sampled as for a panel this size; only the pitch steps are kept.
+const SONIFY_SIZE = { width: 512, height: 512 };
+
+export const analysisJob = async ({ mode, params, equations, view, parameterValues, previousResults }, checkpoint) => {
+    const { definitions, scope } = prepare(equations, parameterValues);
+    await checkpoint();
+    return computeAnalysis(mathjs, mode, params, equations, view, scope, definitions, previousResults);
+};
+
+// The traced point on a function row: { id, x, y, d1, d2 }.
+export const traceJob = async ({ equations, id, x, parameterValues }, checkpoint) => {
+    const { definitions, scope } = prepare(equations, parameterValues);
+    await checkpoint();
+    const eq = equations.find(e => e.id === id);
+    return { id, ...traceFunction(mathjs, eq, x, scope, definitions) };
+};
+
+// The curve of function row `id` across the view, read for the audio graph.
+export const sonifyJob = async ({ equations, id, view, parameterValues, scales }, checkpoint) => {
+    const { scope } = prepare(equations, parameterValues);
+    await checkpoint();
+    const eq = equations.find(e => e.id === id);
+    return readCurve(sampleEquation(mathjs, eq, view, SONIFY_SIZE, scope, scales), view, scales);
+};
+
+// Descriptions of the visible function rows across the view, as
+// [id, description] pairs for the text alternative to the graph.
+export const describeJob = async ({ equations, view, parameterValues }, checkpoint) => {
+    const { definitions, scope } = prepare(equations, parameterValues);
+    const descriptions = [];
+    for (const eq of equations) {
+        if (!isEquationComplete(eq) || !eq.visible || getEquationKind(eq) !== 'function') continue;
+        await checkpoint();
+        try {
+            descriptions.push([eq.id, describeFunction(mathjs, eq, view, scope, definitions)]);
+        } catch {/* rows that fail to compile are not described */}
+    }
+    return descriptions;
+};
+
+export const regressionJob = async ({ points, options, equations, parameterValues }, checkpoint) => {
+    const { definitions, scope } = prepare(equations, parameterValues);
+    await checkpoint();
+    return fitRegression(mathjs, points, options, scope, definitions.names);
+};
+
+// An algebra panel action on function row `id` (see runAlgebra).
+export const casJob = async ({ operation, equations, id, options, parameterValues }, checkpoint) => {
+    const { definitions, scope } = prepare(equations, parameterValues);
+    await checkpoint();
+    const eq = equations.find(e => e.id === id);
+    return runAlgebra(mathjs, operation, casExpression(mathjs, eq, definitions), options, scope);
+};
+
+export const GRAPH_JOBS = { geometry: geometryJob, bounds: boundsJob, trace: traceJob, sonify: sonifyJob, describe: describeJob, analysis: analysisJob, regression: regressionJob, cas: casJob };
@@ -0,0 +1,102 @@
+import { GRAPH_JOBS } from './graphJobs.js';
+
+// --- Graph Worker Client ---
+// Promise-based front end for graph.worker.js. Every job has a key, and only
+// the newest job per key ever resolves; older ones reject with
+// `error.cancelled` set, which callers ignore. Channels that set
+// `restartStale` terminate the worker when a newer job arrives mid-run, which
+// is the only way to stop a long synchronous analysis. When workers are
+// unavailable (or fail to load, e.g. from file:// in some WebViews) jobs run on
+// the main thread instead.
+
+const cancelledError = () => Object.assign(new Error('Job cancelled'), { cancelled: true });
+const yieldToEvents = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const spawn = () => {
+    if (typeof Worker === 'undefined') return null;
+    try {
+        return new Worker(new URL('./graph.worker.js', import.meta.url), { type: 'module' });
+    } catch {
+        return null;
+    }
+};
+
+const createGraphWorker = ({ restartStale = false } = {}) => {
+    let worker = null;
+    let nextId = 0;
+    const pending = new Map();
+    const latest = new Map();
+
+    const settle = ({ id, result, error, cancelled }) => {
+        const job = pending.get(id);
+        if (!job) return;
+        pending.delete(id);
+        if (error) job.reject(new Error(error));
+        else if (cancelled || latest.get(job.key) !== id) job.reject(cancelledError());
+        else job.resolve(result);
+    };
+
+    const runLocally = (id, job) => {
+        const checkpoint = async () => {
+            await yieldToEvents();
+            if (latest.get(job.key) !== id) throw cancelledError();
+        };
+        GRAPH_JOBS[job.type](job.payload, checkpoint).then(
+            result => settle({ id, result }),
+            e => settle(e.cancelled ? { id, cancelled: true } : { id, error: e.message }),
+        );
+    };
+
+    const post = (id, job) => {
+        if (!worker) { runLocally(id, job); return; }
+        try {
+            worker.postMessage({ id, type: job.type, key: job.key, payload: job.payload });
+        } catch {
+            runLocally(id, job);
+        }
+    };
+
+    const start = () => {
+        worker = spawn();
+        if (!worker) return;
+        worker.onmessage = ({ data }) => settle(data);
+        worker.onerror = (event) => {
+            event.preventDefault();
+            worker.terminate();
+            worker = null;
+            pending.forEach((job, id) => runLocally(id, job));
+        };
+    };
+
+    const restart = (key) => {
+        const stale = [...pending].filter(([, job]) => job.key === key);
+        if (!worker || !stale.length) return;
+        worker.terminate();
+        stale.forEach(([id, job]) => { pending.delete(id); job.reject(cancelledError()); });
+        start();
+        pending.forEach((job, id) => post(id, job));
+    };
+
+    const run = (type, payload, key = type) => new Promise((resolve, reject) => {
+        const id = ++nextId;
+        latest.set(key, id);
+        if (restartStale) restart(key);
+        const job = { type, payload, key, resolve, reject };
+        pending.set(id, job);
+        post(id, job);
+    });
+
+    start();
+    return { run };
+};
+
+// One worker per channel, so a long analysis never holds up redrawing.
+// Analysis and algebra jobs can run for seconds without a checkpoint, so
+// their workers are restarted rather than waited on.
+const channels = {};
+const RESTART_STALE = ['analysis', 'algebra'];
+
+export const getGraphWorker = (channel) => {
+    if (!channels[channel]) channels[channel] = createGraphWorker({ restartStale: RESTART_STALE.includes(channel) });
+    return channels[channel];
+};
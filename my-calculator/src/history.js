@@ -0,0 +1,121 @@
+import { equationLabel } from './curves.js';
+import { resolveParameter } from './parameters.js';
+
+// --- Undo History ---
+// The history is a list of workspace snapshots with the index of the one on
+// screen. Snapshots hold the state objects themselves rather than copies:
+// every edit already replaces the arrays and objects it touches, so unchanged
+// parts are shared between entries and comparing them is a reference check.
+//
+// Each entry may carry a group key. A change in the same group as the newest
+// entry, made within GROUP_MS of it, updates that entry instead of adding
+// one, so a pan, a wheel zoom or a burst of typing undoes in one step.
+
+const LIMIT = 100;
+const GROUP_MS = 1000;
+
+export const HISTORY_KEYS = ['equations', 'tables', 'panels', 'layout', 'settings', 'parameters', 'analysis'];
+
+export const createHistory = (snapshot) => ({ entries: [{ label: 'Start', group: null, time: 0, snapshot }], index: 0 });
+
+export const presentSnapshot = (history) => history.entries[history.index].snapshot;
+
+export const sameSnapshot = (a, b) => HISTORY_KEYS.every(key => a[key] === b[key]);
+
+// Adds `snapshot` as the newest entry, dropping anything that could have
+// been redone. `change` is { label, group } from describeChange.
+export const recordChange = (history, snapshot, change, time) => {
+    const current = history.entries[history.index];
+    const latest = history.index === history.entries.length - 1;
+    if (latest && change.group && current.group === change.group && time - current.time < GROUP_MS) {
+        const entries = history.entries.slice();
+        entries[history.index] = { ...current, label: change.label, time, snapshot };
+        return { ...history, entries };
+    }
+    const entries = [...history.entries.slice(0, history.index + 1), { ...change, time, snapshot }].slice(-LIMIT);
+    return { entries, index: entries.length - 1 };
+};
+
+// Replaces the snapshot on screen without adding a step, for changes that
+// follow from other state, such as analysis results recomputed when a
+// parameter moves.
+export const replacePresent = (history, snapshot) => {
+    const entries = history.entries.slice();
+    entries[history.index] = { ...entries[history.index], snapshot };
+    return { ...history, entries };
+};
+
+export const canUndo = (history) => history.index > 0;
+export const canRedo = (history) => history.index < history.entries.length - 1;
+
+// --- Change Labels ---
+
+const describeListChange = (before, after, noun, describeItem) => {
+    if (after.length > before.length) return { label: `Add ${noun}`, group: null };
+    if (after.length < before.length) return { label: `Remove ${noun}`, group: null };
+    const index = after.findIndex((item, i) => item !== before[i]);
+    if (index < 0) return { label: `Reorder ${noun}s`, group: null };
+    return describeItem(before.find(item => item.id === after[index].id) || before[index], after[index]);
+};
+
+const describeEquation = (before, after) => {
+    const name = equationLabel(after);
+    if (before.visible !== after.visible) return { label: `${after.visible ? 'Show' : 'Hide'} ${name}`, group: null };
+    if (before.color !== after.color) return { label: `Change color of ${name}`, group: `color-${after.id}` };
+    return { label: `Edit ${name}`, group: `equation-${after.id}` };
+};
+
+const describeTable = (before, after) => {
+    if (before.visible !== after.visible) return { label: `${after.visible ? 'Show' : 'Hide'} ${after.name}`, group: null };
+    if (before.fits.length !== after.fits.length) return { label: `${after.fits.length > before.fits.length ? 'Fit' : 'Remove fit from'} ${after.name}`, group: null };
+    return { label: `Edit ${after.name}`, group: `table-${after.id}` };
+};
+
+const describePanel = (before, after) => {
+    if (before.linkX !== after.linkX) return { label: after.linkX ? 'Link x-axis' : 'Unlink x-axis', group: null };
+    if (before.hidden !== after.hidden) return { label: 'Change panel equations', group: null };
+    if (before.pins !== after.pins) return { label: after.pins.length > before.pins.length ? 'Pin point' : after.pins.length ? 'Remove pinned point' : 'Clear pinned points', group: null };
+    return { label: 'Pan/zoom', group: `view-${after.id}` };
+};
+
+// Dragging or animating a slider is one step per slider.
+const describeParameters = (before, after) => {
+    const name = Object.keys(after).find(key => after[key] !== before[key]);
+    if (!name) return { label: 'Change sliders', group: null };
+    const was = resolveParameter(before, name), now = resolveParameter(after, name);
+    const range = ['min', 'max', 'step'].some(key => now[key] !== was[key]);
+    return range ? { label: `Change range of ${name}`, group: `range-${name}` } : { label: `Move ${name} slider`, group: `parameter-${name}` };
+};
+
+const ANALYSIS_LABELS = {
+    integral: 'Calculate integral',
+    intersections: 'Find intersections',
+    extrema: 'Find extrema',
+    zeros: 'Find zeros',
+    derivative: 'Calculate derivative',
+};
+
+// Names the change from `before` to `after`, or returns null when it is not
+// worth an undo step of its own (only analysis results changed).
+export const describeChange = (before, after) => {
+    if (before.equations !== after.equations) return describeListChange(before.equations, after.equations, 'equation', describeEquation);
+    if (before.tables !== after.tables) return describeListChange(before.tables, after.tables, 'table', describeTable);
+    if (before.panels !== after.panels) {
+        // Linked panels change together; describe the first that differs.
+        if (before.panels.length !== after.panels.length) return describeListChange(before.panels, after.panels, 'panel', describePanel);
+        const index = after.panels.findIndex((panel, i) => panel !== before.panels[i]);
+        return describePanel(before.panels[index], after.panels[index]);
+    }
+    if (before.layout !== after.layout) return { label: 'Change layout', group: null };
+    if (before.settings !== after.settings) {
+        // Typing an axis title is one step, like editing an equation.
+        const title = ['xTitle', 'yTitle'].find(key => before.settings[key] !== after.settings[key]);
+        return title ? { label: 'Edit axis title', group: title } : { label: 'Change settings', group: null };
+    }
+    if (before.parameters !== after.parameters) return describeParameters(before.parameters, after.parameters);
+    if (before.analysis.mode !== after.analysis.mode) {
+        return after.analysis.mode ? { label: ANALYSIS_LABELS[after.analysis.mode] || 'Run analysis', group: null } : { label: 'Clear analysis', group: null };
+    }
+    if (before.analysis.params !== after.analysis.params) return { label: 'Change analysis options', group: 'analysis-params' };
+    return null;
+};
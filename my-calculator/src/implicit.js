@@ -0,0 +1,184 @@
+import { compileExpression } from './compileCache.js';
+import { rewritePrimes } from './expressions.js';
+
+// --- Implicit Relations ---
+// A relation is written as `lhs op rhs` with op one of =, <, >, <=, >=.
+// != is recognised only to be rejected: all but a curve would be shaded.
+// parseRelation also gives where the operator is in the text, as `index`
+// and `length`, with an index of -1 for a bare expression. It is graphed
+// as the zero contour of F(x, y) = lhs - rhs, and inequalities
+// additionally shade the cells where the relation holds.
+
+const RELATION_OPERATORS = ['<=', '>=', '==', '!=', '<', '>', '='];
+const SAMPLE_BUDGET = 15000;
+
+export const NOT_EQUAL_ERROR = '!= cannot be graphed; use <, >, <= or >=';
+
+export const parseRelation = (text) => {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '(' || ch === '[') depth++;
+        else if (ch === ')' || ch === ']') depth--;
+        if (depth !== 0) continue;
+
+        const op = RELATION_OPERATORS.find(o => text.startsWith(o, i));
+        if (op) {
+            return {
+                lhs: text.slice(0, i).trim(),
+                rhs: text.slice(i + op.length).trim(),
+                op: op === '==' ? '=' : op,
+                index: i,
+                length: op.length,
+            };
+        }
+    }
+    return { lhs: text.trim(), rhs: '0', op: '=', index: -1, length: 0 };
+};
+
+export const isStrictInequality = (text) => {
+    const { op } = parseRelation(text);
+    return op === '<' || op === '>';
+};
+
+export const compileRelation = (math, text, scope = {}) => {
+    const { lhs, rhs, op } = parseRelation(text);
+    if (op === '!=') throw new Error(NOT_EQUAL_ERROR);
+    if (!lhs || !rhs) throw new Error('Relation is missing a side');
+    const code = compileExpression(math, rewritePrimes(`(${lhs}) - (${rhs})`));
+    const s = { ...scope };
+    const F = (x, y) => {
+        s.x = x;
+        s.y = y;
+        return code.evaluate(s);
+    };
+    const holds = {
+        '=': () => false,
+        '<': v => v < 0,
+        '>': v => v > 0,
+        '<=': v => v <= 0,
+        '>=': v => v >= 0,
+    }[op];
+    return { F, op, holds };
+};
+
+// --- Grid Sampling ---
+
+const buildGrid = (F, view, size) => {
+    const { width, height } = size;
+    const cell = Math.max(3, Math.ceil(Math.sqrt(width * height / SAMPLE_BUDGET)));
+    const cols = Math.ceil(width / cell);
+    const rows = Math.ceil(height / cell);
+    const dx = (view.xMax - view.xMin) / cols;
+    const dy = (view.yMax - view.yMin) / rows;
+    const values = new Float64Array((cols + 1) * (rows + 1));
+
+    for (let j = 0; j <= rows; j++) {
+        const y = view.yMin + j * dy;
+        for (let i = 0; i <= cols; i++) {
+            const v = F(view.xMin + i * dx, y);
+            values[j * (cols + 1) + i] = typeof v === 'number' ? v : NaN;
+        }
+    }
+    return { cols, rows, dx, dy, values, at: (i, j) => values[j * (cols + 1) + i] };
+};
+
+// --- Marching Squares ---
+// Crossings are keyed by the grid edge they lie on. Each edge is shared by at
+// most two cells, so the segment graph has degree <= 2 and can be stitched
+// into polylines by walking from each unvisited edge.
+
+export const traceContour = (F, view, size) => {
+    const grid = buildGrid(F, view, size);
+    const { cols, rows, dx, dy, at } = grid;
+    const points = new Map();
+    const links = new Map();
+
+    const crossing = (key, x0, y0, v0, x1, y1, v1) => {
+        if (!points.has(key)) {
+            const t = v0 / (v0 - v1);
+            points.set(key, { x: x0 + t * (x1 - x0), y: y0 + t * (y1 - y0) });
+        }
+        return key;
+    };
+    const link = (a, b) => {
+        if (!links.has(a)) links.set(a, []);
+        if (!links.has(b)) links.set(b, []);
+        links.get(a).push(b);
+        links.get(b).push(a);
+    };
+
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+            const va = at(i, j), vb = at(i + 1, j), vc = at(i + 1, j + 1), vd = at(i, j + 1);
+            if (!isFinite(va) || !isFinite(vb) || !isFinite(vc) || !isFinite(vd)) continue;
+
+            const x0 = view.xMin + i * dx, x1 = x0 + dx;
+            const y0 = view.yMin + j * dy, y1 = y0 + dy;
+            const edges = [];
+            if ((va > 0) !== (vb > 0)) edges.push(crossing(`h${i},${j}`, x0, y0, va, x1, y0, vb));
+            if ((vb > 0) !== (vc > 0)) edges.push(crossing(`v${i + 1},${j}`, x1, y0, vb, x1, y1, vc));
+            if ((vd > 0) !== (vc > 0)) edges.push(crossing(`h${i},${j + 1}`, x0, y1, vd, x1, y1, vc));
+            if ((va > 0) !== (vd > 0)) edges.push(crossing(`v${i},${j}`, x0, y0, va, x0, y1, vd));
+
+            if (edges.length === 2) {
+                link(edges[0], edges[1]);
+            } else if (edges.length === 4) {
+                // Saddle: pair the edges according to the sign at the centre.
+                const centre = (va + vb + vc + vd) / 4;
+                if ((centre > 0) === (va > 0)) { link(edges[0], edges[1]); link(edges[2], edges[3]); }
+                else { link(edges[0], edges[3]); link(edges[1], edges[2]); }
+            }
+        }
+    }
+
+    const visited = new Set();
+    const walk = (start) => {
+        const line = [];
+        let prev = null;
+        let key = start;
+        while (key && !visited.has(key)) {
+            visited.add(key);
+            line.push(points.get(key));
+            const next = links.get(key).find(k => k !== prev && !visited.has(k));
+            prev = key;
+            key = next;
+        }
+        // Close loops back onto their first point.
+        if (line.length > 2 && links.get(prev).includes(start)) line.push(points.get(start));
+        return line;
+    };
+
+    const segments = [];
+    links.forEach((neighbours, key) => { if (neighbours.length === 1 && !visited.has(key)) segments.push(walk(key)); });
+    links.forEach((_, key) => { if (!visited.has(key)) segments.push(walk(key)); });
+    return segments.filter(s => s.length > 1);
+};
+
+// --- Inequality Shading ---
+// Returns world-space rectangles covering the cells where the relation holds,
+// merged into horizontal runs to keep SVG output small.
+
+export const shadeRegion = (F, holds, view, size) => {
+    const { width, height } = size;
+    const cell = Math.max(3, Math.ceil(Math.sqrt(width * height / SAMPLE_BUDGET)));
+    const cols = Math.ceil(width / cell);
+    const rows = Math.ceil(height / cell);
+    const dx = (view.xMax - view.xMin) / cols;
+    const dy = (view.yMax - view.yMin) / rows;
+    const rects = [];
+
+    for (let j = 0; j < rows; j++) {
+        const y = view.yMin + (j + 0.5) * dy;
+        let runStart = -1;
+        for (let i = 0; i <= cols; i++) {
+            const inside = i < cols && holds(F(view.xMin + (i + 0.5) * dx, y));
+            if (inside && runStart < 0) runStart = i;
+            if (!inside && runStart >= 0) {
+                rects.push({ x: view.xMin + runStart * dx, y: view.yMin + j * dy, w: (i - runStart) * dx, h: dy });
+                runStart = -1;
+            }
+        }
+    }
+    return rects;
+};
@@ -0,0 +1,134 @@
+// --- MathML ---
+// Typesets a parsed mathjs expression as a MathML string, which every
+// current browser renders natively. The operators and functions are the
+// ones the equation rows accept; anything else falls back to its text.
+
+const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ',
+    mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    Infinity: '∞',
+};
+
+const OPERATORS = {
+    '+': '+', '-': '−', '*': '·', '/': '/', '%': 'mod', '==': '=', '!=': '≠', '<': '<', '>': '>', '<=': '≤', '>=': '≥',
+    and: 'and', or: 'or', xor: 'xor', not: '¬',
+};
+
+// Binding strength, loosest first; a child binding more loosely than its
+// parent gets parentheses.
+const PRECEDENCE = {
+    or: 1, xor: 2, and: 3, '==': 4, '!=': 4, '<': 4, '>': 4, '<=': 4, '>=': 4,
+    '+': 5, '-': 5, '*': 6, '/': 6, '%': 6, unary: 7, '^': 8, '!': 9,
+};
+
+const mrow = (...parts) => `<mrow>${parts.join('')}</mrow>`;
+const mo = (text) => `<mo>${escape(text)}</mo>`;
+const fenced = (inner, open = '(', close = ')') => mrow(`<mo fence="true">${escape(open)}</mo>`, inner, `<mo fence="true">${escape(close)}</mo>`);
+
+const identifier = (name) => {
+    if (GREEK[name]) return `<mi>${GREEK[name]}</mi>`;
+    // f__d2, as written for f'', reads as f with primes.
+    const primes = /^(.+)__d(\d+)$/.exec(name);
+    if (primes) return mrow(identifier(primes[1]), mo('′'.repeat(Number(primes[2]))));
+    const sub = /^([A-Za-z]+)_(\w+)$/.exec(name);
+    if (sub) return `<msub>${identifier(sub[1])}<mi>${escape(sub[2])}</mi></msub>`;
+    // Multi-letter names are upright, as for function names.
+    return name.length > 1 ? `<mi mathvariant="normal">${escape(name)}</mi>` : `<mi>${escape(name)}</mi>`;
+};
+
+const number = (value) => {
+    if (typeof value !== 'number') return `<mn>${escape(value)}</mn>`;
+    const text = String(value);
+    const exponent = /^(-?[\d.]+)e([+-]?\d+)$/.exec(text);
+    if (!exponent) return value < 0 ? mrow(mo('−'), `<mn>${-value}</mn>`) : `<mn>${text}</mn>`;
+    return mrow(`<mn>${exponent[1]}</mn>`, mo('×'), `<msup><mn>10</mn><mn>${Number(exponent[2])}</mn></msup>`);
+};
+
+const isSigned = (node) => (node.isConstantNode && node.value < 0) || (node.isOperatorNode && node.fn === 'unaryMinus');
+
+const precedenceOf = (node) => {
+    if (node.isParenthesisNode) return precedenceOf(node.content);
+    if (isSigned(node)) return PRECEDENCE.unary;
+    if (!node.isOperatorNode) return Infinity;
+    if (node.args.length === 1) return node.op === '!' ? PRECEDENCE['!'] : PRECEDENCE.unary;
+    return PRECEDENCE[node.op] || 0;
+};
+
+// Parentheses the output needs, whatever the input had: mathjs keeps the
+// ones typed as ParenthesisNodes, which are dropped where the layout
+// already groups, as in a fraction or an exponent.
+const unwrap = (node) => (node.isParenthesisNode ? unwrap(node.content) : node);
+
+const FUNCTION_NAMES = { log: 'ln', log10: 'log', asin: 'arcsin', acos: 'arccos', atan: 'arctan' };
+
+const render = (node) => {
+    if (node.isParenthesisNode) return fenced(render(node.content));
+    if (node.isConstantNode) return number(node.value);
+    if (node.isSymbolNode) return identifier(node.name);
+    if (node.isOperatorNode) return renderOperator(node);
+    if (node.isFunctionNode) return renderFunction(node);
+    if (node.isAssignmentNode) return mrow(render(node.object), mo('='), render(node.value));
+    if (node.isFunctionAssignmentNode) return mrow(identifier(node.name), mo('⁡'), fenced(node.params.map(identifier).join(mo(','))), mo('='), render(node.expr));
+    if (node.isArrayNode) return fenced(node.items.map(render).join(mo(',')), '[', ']');
+    return `<mtext>${escape(node.toString())}</mtext>`;
+};
+
+const renderOperator = (node) => {
+    const own = precedenceOf(node);
+    const operand = (child, tighter = false) => {
+        const inner = unwrap(child);
+        const p = precedenceOf(inner);
+        return p < own || (tighter && p === own) ? fenced(render(inner)) : render(inner);
+    };
+
+    if (node.args.length === 1) {
+        if (node.op === '!') return mrow(operand(node.args[0], true), mo('!'));
+        if (node.op === '+') return operand(node.args[0]);
+        return mrow(mo(OPERATORS[node.op] || node.op), operand(node.args[0]));
+    }
+    const [a, b] = node.args;
+    if (node.op === '/') return `<mfrac>${render(unwrap(a))}${render(unwrap(b))}</mfrac>`;
+    if (node.op === '^') return `<msup>${operand(a, true)}${render(unwrap(b))}</msup>`;
+    if (node.op === '*' && node.implicit) return mrow(operand(a), mo('⁢'), operand(b));
+    // Subtraction and division are not associative: a - (b - c) keeps
+    // them, and a sign after an operator is bracketed: a · (−2).
+    const right = isSigned(unwrap(b)) ? fenced(render(unwrap(b))) : operand(b, node.op === '-' || node.op === '%');
+    return mrow(...node.args.slice(0, -1).map(arg => operand(arg)), mo(OPERATORS[node.op] || node.op), right);
+};
+
+const renderFunction = (node) => {
+    const name = node.fn.isSymbolNode ? node.fn.name : null;
+    const args = node.args.map(arg => render(unwrap(arg)));
+    if (name === 'sqrt' && args.length === 1) return `<msqrt>${args[0]}</msqrt>`;
+    if (name === 'nthRoot' && args.length === 2) return `<mroot>${args[0]}${args[1]}</mroot>`;
+    if (name === 'cbrt' && args.length === 1) return `<mroot>${args[0]}<mn>3</mn></mroot>`;
+    if (name === 'abs' && args.length === 1) return fenced(args[0], '|', '|');
+    if (name === 'exp' && args.length === 1) return `<msup><mi>e</mi>${args[0]}</msup>`;
+    if (name === 'log' && args.length === 2) return mrow(`<msub><mi mathvariant="normal">log</mi>${args[1]}</msub>`, mo('⁡'), fenced(args[0]));
+    const head = name ? identifier(FUNCTION_NAMES[name] || name) : render(node.fn);
+    return mrow(head, mo('⁡'), fenced(args.join(mo(','))));
+};
+
+// The MathML for `node`, as the markup inside a <math> element.
+export const toMathML = (node) => render(node);
+
+const limitValue = (value) => {
+    if (!isFinite(value)) return value > 0 ? '<mi>∞</mi>' : mrow(mo('−'), '<mi>∞</mi>');
+    return number(value);
+};
+
+// lim x→a f = value, for a limit worked out numerically: `point` is the
+// parsed point (or ±Infinity), `side` is '-', '+' or '' for both sides,
+// and `value` is a number, ±Infinity, or NaN where there is no limit.
+export const limitMathML = ({ expression, point, side, value }) => {
+    const at = typeof point === 'number' ? limitValue(point) : render(point);
+    const base = typeof point !== 'number' && precedenceOf(point) < Infinity ? fenced(at) : at;
+    const approach = side ? `<msup>${base}${mo(side === '-' ? '−' : '+')}</msup>` : at;
+    const inner = unwrap(expression);
+    const body = precedenceOf(inner) <= PRECEDENCE['+'] ? fenced(render(inner)) : render(inner);
+    const limit = mrow(`<munder><mo movablelimits="false">lim</mo>${mrow('<mi>x</mi>', mo('→'), approach)}</munder>`, body);
+    return isNaN(value) ? mrow(limit, '<mtext>&#xA0;does not exist</mtext>') : mrow(limit, mo('='), limitValue(value));
+};
@@ -0,0 +1,31 @@
+// --- Palettes ---
+// Colours handed to new equations and tables, in order, skipping any already
+// in use. The colour-blind palette is Okabe and Ito's, which stays
+// distinguishable with the common colour-vision deficiencies. Every colour
+// in the high-contrast palette has at least 3:1 contrast against both the
+// light and the dark graph background.
+
+export const PALETTES = [
+    { id: 'standard', label: 'Standard', colors: ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'] },
+    { id: 'colorblind', label: 'Color-blind safe', colors: ['#0072b2', '#e69f00', '#009e73', '#d55e00', '#cc79a7', '#56b4e9'] },
+    { id: 'highContrast', label: 'High contrast', colors: ['#3b82f6', '#dc2626', '#059669', '#c026d3', '#d97706', '#0891b2'] },
+];
+
+const paletteColors = (id) => (PALETTES.find(p => p.id === id) || PALETTES[0]).colors;
+
+// The colour for a new row, given the colours of the rows there already.
+export const nextColor = (paletteId, used) => {
+    const colors = paletteColors(paletteId);
+    const taken = new Set(used.map(color => color.toLowerCase()));
+    return colors.find(color => !taken.has(color)) || colors[used.length % colors.length];
+};
+
+// Recolours `rows` with the palette in order, leaving rows that already
+// have their colour untouched so their identity survives.
+export const applyPalette = (paletteId, rows, offset = 0) => {
+    const colors = paletteColors(paletteId);
+    return rows.map((row, i) => {
+        const color = colors[(offset + i) % colors.length];
+        return row.color === color ? row : { ...row, color };
+    });
+};
@@ -0,0 +1,90 @@
+// --- Graph Panels ---
+// The workspace shows one or more graph panels in a split layout. Each panel
+// has its own view and hides any equations or tables listed in `hidden`, so
+// new rows appear everywhere until a panel opts out. Panels with `linkX` set
+// share one x-range: panning or zooming any of them moves the others. `pins`
+// are the points clicked on the graph, { id, x, y, color }, which stay
+// marked and labelled with their coordinates.
+
+export const DEFAULT_VIEW = { xMin: -10, xMax: 10, yMin: -5, yMax: 5 };
+
+export const PANEL_LAYOUTS = [
+    { id: 'columns', label: 'Side by side' },
+    { id: 'rows', label: 'Stacked' },
+    { id: 'grid', label: 'Grid' },
+];
+
+// Ids are timestamps, as for rows, but never repeat: panels split in the
+// same millisecond still get their own.
+let lastPanelId = 0;
+const nextPanelId = () => (lastPanelId = Math.max(lastPanelId + 1, Date.now()));
+
+export const createPanel = (view = DEFAULT_VIEW) => ({ id: nextPanelId(), view, hidden: [], linkX: false, pins: [] });
+
+export const isShownInPanel = (panel, id) => !panel.hidden.includes(id);
+
+export const togglePanelItem = (panel, id) => ({
+    ...panel,
+    hidden: isShownInPanel(panel, id) ? [...panel.hidden, id] : panel.hidden.filter(h => h !== id),
+});
+
+// Sets a panel's view (a value or an updater, like a state setter) and
+// carries the x-range over to every other linked panel.
+export const applyView = (panels, id, update) => {
+    const panel = panels.find(p => p.id === id);
+    if (!panel) return panels;
+    const view = typeof update === 'function' ? update(panel.view) : update;
+    return panels.map(p => {
+        if (p.id === id) return { ...p, view };
+        if (panel.linkX && p.linkX) return { ...p, view: { ...p.view, xMin: view.xMin, xMax: view.xMax } };
+        return p;
+    });
+};
+
+// Linking a panel adopts the x-range the linked group already shows.
+export const setPanelLinked = (panels, id, linkX) => {
+    const group = panels.find(p => p.linkX && p.id !== id);
+    return panels.map(p => {
+        if (p.id !== id) return p;
+        if (!linkX || !group) return { ...p, linkX };
+        return { ...p, linkX, view: { ...p.view, xMin: group.view.xMin, xMax: group.view.xMax } };
+    });
+};
+
+// Rows and columns of the split for `count` panels.
+export const layoutGrid = (layout, count) => {
+    if (layout === 'rows') return { columns: 1, rows: count };
+    if (layout === 'grid') {
+        const columns = Math.ceil(Math.sqrt(count));
+        return { columns, rows: Math.ceil(count / columns) };
+    }
+    return { columns: count, rows: 1 };
+};
+
+// --- View Navigation ---
+// Back and forward through the views a panel has shown, as in a browser.
+// Views are recorded after the fact, and a run of changes less than
+// VIEW_STEP_MS apart (a drag, a spin of the wheel) makes one step.
+
+const VIEW_STEP_MS = 500;
+const MAX_VIEW_STEPS = 50;
+
+export const EMPTY_VIEW_NAV = { back: [], forward: [], time: 0 };
+
+// Records that the panel moved away from `previous` at `time`.
+export const recordView = (nav, previous, time) => {
+    if (time - nav.time < VIEW_STEP_MS) return { ...nav, time };
+    return { back: [...nav.back, previous].slice(-MAX_VIEW_STEPS), forward: [], time };
+};
+
+// Steps back (-1) or forward (1) from `current`: { view, nav }, or null at
+// the end of the list.
+export const stepView = (nav, current, direction) => {
+    const from = direction < 0 ? nav.back : nav.forward;
+    if (!from.length) return null;
+    const view = from[from.length - 1];
+    const rest = from.slice(0, -1);
+    return direction < 0
+        ? { view, nav: { back: rest, forward: [...nav.forward, current], time: 0 } }
+        : { view, nav: { back: [...nav.back, current], forward: rest, time: 0 } };
+};
@@ -0,0 +1,62 @@
+import { parseExpression } from './compileCache.js';
+import { getEquationExpressions, getEquationKind } from './curves.js';
+import { parseDefinition } from './expressions.js';
+
+// --- Slider Parameters ---
+// Any free symbol in an equation that is not the curve's own variable, a
+// shared definition or a math.js builtin becomes a parameter. Slider settings
+// are stored by name in the `parameters` state, so a symbol keeps them while
+// it is temporarily removed from every equation.
+
+export const DEFAULT_PARAMETER = { value: 1, min: -10, max: 10, step: 0.1 };
+
+// Seconds one animated sweep from min to max takes.
+const ANIMATION_PERIOD = 5;
+
+const RESERVED_SYMBOLS = {
+    function: ['x'],
+    parametric: ['t'],
+    polar: ['theta', 'θ', 't'],
+    implicit: ['x', 'y'],
+};
+
+export const findFreeSymbols = (math, eq, definedNames = new Set()) => {
+    const definition = getEquationKind(eq) === 'function' ? parseDefinition(eq.text) : null;
+    const reserved = definition ? definition.params || [] : RESERVED_SYMBOLS[getEquationKind(eq)];
+    const names = new Set();
+    getEquationExpressions(eq).forEach(text => {
+        try {
+            parseExpression(math, text).traverse((node, path) => {
+                if (!node.isSymbolNode || path === 'fn') return;
+                if (reserved.includes(node.name) || node.name in math || definedNames.has(node.name)) return;
+                names.add(node.name);
+            });
+        } catch {/* unparseable rows have no parameters yet */}
+    });
+    return [...names];
+};
+
+export const detectParameters = (math, equations, definedNames) => {
+    if (!math) return [];
+    const names = new Set();
+    equations.forEach(eq => findFreeSymbols(math, eq, definedNames).forEach(name => names.add(name)));
+    return [...names].sort();
+};
+
+export const resolveParameter = (parameters, name) => ({ ...DEFAULT_PARAMETER, ...parameters[name] });
+
+export const parameterScope = (parameters, names) =>
+    Object.fromEntries(names.map(name => [name, Number(resolveParameter(parameters, name).value)]));
+
+export const advanceParameters = (parameters, names, seconds) => {
+    const next = { ...parameters };
+    names.forEach(name => {
+        const { value, min, max } = resolveParameter(parameters, name);
+        const span = Number(max) - Number(min);
+        if (!(span > 0)) return;
+        let v = Number(value) + span * seconds / ANIMATION_PERIOD;
+        if (v > max) v = Number(min) + ((v - min) % span);
+        next[name] = { ...resolveParameter(parameters, name), value: v };
+    });
+    return next;
+};
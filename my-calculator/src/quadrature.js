@@ -0,0 +1,179 @@
+// --- Adaptive Quadrature ---
+// Globally adaptive 15-point Gauss-Kronrod quadrature: the panel with the
+// largest error estimate is bisected until the summed estimate meets the
+// tolerance. Kronrod nodes never touch a panel's ends, so integrable endpoint
+// singularities such as 1/sqrt(x) at 0 are handled by subdivision alone.
+// Infinite bounds are mapped onto a finite interval first. Instead of
+// skipping samples that are not finite, a panel that cannot be resolved is
+// reported as a warning naming where the integrand misbehaves.
+
+const XGK = [
+    0.9914553711208126, 0.9491079123427585,
+    0.8648644233597691, 0.7415311855993945,
+    0.5860872354676911, 0.4058451513773972,
+    0.20778495500789848, 0,
+];
+const WGK = [
+    0.022935322010529224, 0.06309209262997856,
+    0.10479001032225019, 0.14065325971552592,
+    0.1690047266392679, 0.19035057806478542,
+    0.20443294007529889, 0.20948214108472782,
+];
+// Gauss weights for the embedded 7-point rule at XGK[1], XGK[3], XGK[5], 0.
+const WG = [
+    0.1294849661688697, 0.27970539148927664,
+    0.3818300505051189, 0.4179591836734694,
+];
+
+const TOLERANCE = 1e-10;
+const MAX_PANELS = 500;
+
+const asNumber = (v) => (typeof v === 'number' ? v : NaN);
+
+const kronrod = (f, a, b) => {
+    const centre = (a + b) / 2;
+    const half = (b - a) / 2;
+    const fc = asNumber(f(centre));
+    let k = fc * WGK[7];
+    let g = fc * WG[3];
+    let finite = isFinite(fc);
+    let defined = !isNaN(fc);
+    for (let j = 0; j < 7; j++) {
+        const dx = half * XGK[j];
+        const f1 = asNumber(f(centre - dx));
+        const f2 = asNumber(f(centre + dx));
+        k += WGK[j] * (f1 + f2);
+        if (j % 2 === 1) g += WG[(j - 1) / 2] * (f1 + f2);
+        finite = finite && isFinite(f1) && isFinite(f2);
+        defined = defined || !isNaN(f1) || !isNaN(f2);
+    }
+    return finite
+        ? { a, b, value: k * half, error: Math.abs((k - g) * half), finite, defined }
+        : { a, b, value: NaN, error: Infinity, finite, defined };
+};
+
+// Maps [a, b] with either bound infinite onto a finite t-interval. `toX`
+// converts a t back to x for reporting. Where t rounds onto the infinite end
+// the mapped integrand is reported as infinite rather than undefined, so a
+// tail that does not decay reads as divergence.
+const mapInterval = (f, a, b) => {
+    if (isFinite(a) && isFinite(b)) return { g: f, lo: a, hi: b, toX: t => t };
+    const mapped = (toX, dxdt) => ({
+        g: t => {
+            const x = toX(t);
+            return isFinite(x) ? asNumber(f(x)) * dxdt(t) : Infinity;
+        },
+        toX,
+    });
+    if (isFinite(a)) return { ...mapped(t => a + t / (1 - t), t => 1 / ((1 - t) * (1 - t))), lo: 0, hi: 1 };
+    if (isFinite(b)) return { ...mapped(t => b - t / (1 - t), t => 1 / ((1 - t) * (1 - t))), lo: 0, hi: 1 };
+    return { ...mapped(t => t / (1 - t * t), t => (1 + t * t) / ((1 - t * t) * (1 - t * t))), lo: -1, hi: 1 };
+};
+
+const formatX = (x) => {
+    if (!isFinite(x)) return x > 0 ? '∞' : '-∞';
+    return Math.abs(x) < 1e-9 ? '0' : String(Number(x.toPrecision(4)));
+};
+
+// Near a singularity c where the integrand grows like |x - c|^-p, the integral
+// over the shell c + [h/2, h] scales by 2^(1 - p) each time h is halved: it
+// shrinks for integrable singularities (p < 1) and stays level or grows for
+// divergent ones. Shells never contain c, so each is integrated accurately.
+const SHELLS = 20;
+
+const diverges = (g, c, lo, hi) => [-1, 1].some(side => {
+    const shell = (k) => {
+        const outer = c + side * (hi - lo) * 1e-3 / 2 ** k;
+        const inner = c + side * (hi - lo) * 1e-3 / 2 ** (k + 1);
+        if (Math.min(inner, outer) < lo || Math.max(inner, outer) > hi) return NaN;
+        return Math.abs(kronrod(g, Math.min(inner, outer), Math.max(inner, outer)).value);
+    };
+    const ratio = (shell(SHELLS) / shell(SHELLS / 2)) ** (2 / SHELLS);
+    return ratio >= 0.96;
+});
+
+// An oscillating tail, such as sin(x)/x towards ∞, defeats the shell test,
+// since no shell is integrated accurately. It converges when its envelope
+// (the largest |f| over [X, 2X]) decays, as for sin(x)/x and unlike sin(x),
+// so that is tested instead. Returns null when the tail does not oscillate.
+const ENVELOPE_SAMPLES = 64;
+
+const envelope = (f, from) => {
+    let largest = 0, changes = 0, previous = 0;
+    for (let i = 0; i <= ENVELOPE_SAMPLES; i++) {
+        const y = asNumber(f(from * (1 + i / ENVELOPE_SAMPLES)));
+        if (!isFinite(y)) return { largest: Infinity, changes };
+        if (y * previous < 0) changes++;
+        if (y) previous = y;
+        largest = Math.max(largest, Math.abs(y));
+    }
+    return { largest, changes };
+};
+
+const tailDiverges = (f, from) => {
+    const [near, far] = [SHELLS / 2, SHELLS].map(k => envelope(f, from * 2 ** k));
+    if (near.changes < 2 || far.changes < 2) return null;
+    return !(far.largest < near.largest) || (far.largest / near.largest) ** (2 / SHELLS) >= 0.96;
+};
+
+// An oscillating tail that converges is summed to x = ±X, past which the
+// partial integral swings about its limit. Averaging the partial integral
+// over its end running out from X to 2X cancels most of the swing; as a
+// weight on f that is (2X - |u|) / X over X <= |u| <= 2X. What swing is
+// left is not measured, so the error is unknown.
+const averagedTails = (f, a, b, cut, options) => {
+    const parts = [integrate(f, Math.max(a, -cut), Math.min(b, cut), options)];
+    if (b === Infinity) parts.push(integrate(u => asNumber(f(u)) * (2 * cut - u) / cut, cut, 2 * cut, options));
+    if (a === -Infinity) parts.push(integrate(u => asNumber(f(u)) * (2 * cut + u) / cut, -2 * cut, -cut, options));
+    return {
+        value: parts.reduce((sum, p) => sum + p.value, 0),
+        error: NaN,
+        warning: `Did not reach full accuracy; the integrand oscillates out to x = ${b === Infinity ? '∞' : '-∞'}`,
+    };
+};
+
+// Returns { value, error, warning }. `warning` is null for a converged
+// result. When the panel budget runs out, a divergent integral returns NaN
+// and anything else returns the best estimate so far, with a warning.
+export const integrate = (f, a, b, { tolerance = TOLERANCE, maxPanels = MAX_PANELS } = {}) => {
+    if (isNaN(a) || isNaN(b)) return { value: NaN, error: NaN, warning: 'The bounds must be numbers' };
+    if (a === b) return { value: 0, error: 0, warning: null };
+    if (a > b) {
+        const result = integrate(f, b, a, { tolerance, maxPanels });
+        return { ...result, value: -result.value };
+    }
+
+    const { g, lo, hi, toX } = mapInterval(f, a, b);
+    const panels = [kronrod(g, lo, hi)];
+    const where = (panel) => formatX(toX((panel.a + panel.b) / 2));
+
+    for (;;) {
+        const value = panels.reduce((sum, p) => sum + p.value, 0);
+        const error = panels.reduce((sum, p) => sum + p.error, 0);
+        if (isFinite(value) && error <= Math.max(tolerance, tolerance * Math.abs(value))) {
+            return { value, error, warning: null };
+        }
+
+        const worst = panels.reduce((w, p) => (p.error > w.error ? p : w));
+        if (!worst.defined) {
+            return { value: NaN, error: NaN, warning: `The function is undefined on part of the interval (near x = ${where(worst)})` };
+        }
+        const middle = (worst.a + worst.b) / 2;
+        if (panels.length >= maxPanels || middle <= worst.a || middle >= worst.b) {
+            const tail = !isFinite(toX(worst.b)) ? 1 : !isFinite(toX(worst.a)) ? -1 : 0;
+            const cut = 1e3 * Math.max(1, ...[a, b].filter(isFinite).map(Math.abs));
+            const divergent = (tail ? tailDiverges(f, tail * cut) : null) ?? diverges(g, middle, lo, hi);
+            if (divergent) return { value: NaN, error: NaN, warning: `The integral diverges near x = ${where(worst)}` };
+            if (tail) return averagedTails(f, a, b, cut, { tolerance, maxPanels });
+            // Panels that met samples which are not finite are too narrow to
+            // matter by now, so they are left out of the estimate.
+            const resolved = panels.filter(p => p.finite);
+            return {
+                value: resolved.reduce((sum, p) => sum + p.value, 0),
+                error: resolved.reduce((sum, p) => sum + p.error, 0),
+                warning: `Did not reach full accuracy; the integrand is badly behaved near x = ${where(worst)}`,
+            };
+        }
+        panels.splice(panels.indexOf(worst), 1, kronrod(g, worst.a, middle), kronrod(g, middle, worst.b));
+    }
+};
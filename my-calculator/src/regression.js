@@ -0,0 +1,245 @@
+import { compileExpression, parseExpression } from './compileCache.js';
+
+// --- Regression ---
+// Least-squares fits of y = f(x) to table points. Models that are linear in
+// their coefficients (linear, polynomial, logarithmic) are solved directly.
+// Exponential and power models start from the fit of their log-linearised
+// form and are then refined on the original scale, so R² and the curve
+// describe the data as plotted. Custom models are fitted from scratch.
+
+export const REGRESSION_MODELS = [
+    { id: 'linear', label: 'Linear', form: 'a·x + b' },
+    { id: 'polynomial', label: 'Polynomial', form: 'c₀ + c₁x + … + cₙxⁿ' },
+    { id: 'exponential', label: 'Exponential', form: 'a·eᵇˣ' },
+    { id: 'logarithmic', label: 'Logarithmic', form: 'a + b·ln(x)' },
+    { id: 'power', label: 'Power', form: 'a·xᵇ' },
+    { id: 'custom', label: 'Custom', form: 'f(x) with free coefficients' },
+];
+
+export const regressionLabel = (model) => (REGRESSION_MODELS.find(m => m.id === model) || { label: model }).label;
+
+// --- Linear Algebra ---
+
+const norm = (v) => Math.sqrt(v.reduce((sum, vk) => sum + vk * vk, 0));
+
+// Least squares through modified Gram-Schmidt on the design matrix columns,
+// which stays accurate for polynomial fits where normal equations do not.
+const solveLeastSquares = (columns, y) => {
+    const n = columns.length;
+    const q = [];
+    const r = Array.from({ length: n }, () => new Array(n).fill(0));
+    columns.forEach((column, j) => {
+        const v = column.slice();
+        const length = norm(v);
+        for (let i = 0; i < j; i++) {
+            r[i][j] = q[i].reduce((sum, qk, k) => sum + qk * v[k], 0);
+            v.forEach((_, k) => { v[k] -= r[i][j] * q[i][k]; });
+        }
+        r[j][j] = norm(v);
+        if (!(r[j][j] > 1e-10 * Math.max(length, 1e-300))) throw new Error('Not enough distinct points for this model');
+        q.push(v.map(vk => vk / r[j][j]));
+    });
+    const qty = q.map(qi => qi.reduce((sum, qk, k) => sum + qk * y[k], 0));
+    const c = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = qty[i];
+        for (let k = i + 1; k < n; k++) sum -= r[i][k] * c[k];
+        c[i] = sum / r[i][i];
+    }
+    return c;
+};
+
+// Gaussian elimination with partial pivoting for the small damped systems of
+// the nonlinear fit; returns null when the system is singular.
+const solveSquare = (a, b) => {
+    const n = b.length;
+    const m = a.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        if (!(Math.abs(m[pivot][col]) > 1e-300)) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = m[i][n];
+        for (let k = i + 1; k < n; k++) sum -= m[i][k] * x[k];
+        x[i] = sum / m[i][i];
+    }
+    return x;
+};
+
+// --- Levenberg-Marquardt ---
+
+const sumOfSquares = (f, p, points) => points.reduce((sum, { x, y }) => {
+    const d = y - f(x, p);
+    return sum + d * d;
+}, 0);
+
+const refineNonlinear = (f, initial, points, maxIterations = 200) => {
+    let p = initial.slice();
+    let cost = sumOfSquares(f, p, points);
+    if (!isFinite(cost)) throw new Error('The model cannot be evaluated at the starting coefficients');
+    let lambda = 1e-3;
+
+    for (let iteration = 0; iteration < maxIterations && lambda < 1e12; iteration++) {
+        // Forward-difference Jacobian of the model with respect to each coefficient.
+        const jacobian = points.map(({ x }) => {
+            const base = f(x, p);
+            return p.map((pk, k) => {
+                const h = 1e-7 * Math.max(1, Math.abs(pk));
+                const shifted = p.slice();
+                shifted[k] = pk + h;
+                return (f(x, shifted) - base) / h;
+            });
+        });
+        const residuals = points.map(({ x, y }) => y - f(x, p));
+        const jtj = p.map((_, i) => p.map((_, k) => jacobian.reduce((sum, row) => sum + row[i] * row[k], 0)));
+        const jtr = p.map((_, i) => jacobian.reduce((sum, row, n) => sum + row[i] * residuals[n], 0));
+
+        let improved = false;
+        while (!improved && lambda < 1e12) {
+            const damped = jtj.map((row, i) => row.map((v, k) => (i === k ? v + lambda * Math.max(v, 1e-12) : v)));
+            const step = solveSquare(damped, jtr);
+            const candidate = step && p.map((pk, k) => pk + step[k]);
+            const candidateCost = candidate ? sumOfSquares(f, candidate, points) : NaN;
+            if (isFinite(candidateCost) && candidateCost <= cost) {
+                const converged = cost - candidateCost <= 1e-12 * Math.max(cost, 1e-300);
+                p = candidate;
+                cost = candidateCost;
+                lambda = Math.max(lambda / 10, 1e-12);
+                improved = true;
+                if (converged) return p;
+            } else {
+                lambda *= 10;
+            }
+        }
+    }
+    return p;
+};
+
+// --- Formatting ---
+// Coefficients are written into the fitted equation at six significant
+// digits; the exact values stay in the fit record.
+
+const formatNumber = (v) => String(Number(v.toPrecision(6)));
+
+const joinTerms = (terms) => terms.map(({ value, suffix }, i) => {
+    if (i === 0) return `${formatNumber(value)}${suffix}`;
+    return `${value < 0 ? ' - ' : ' + '}${formatNumber(Math.abs(value))}${suffix}`;
+}).join('');
+
+const substituteCoefficients = (math, template, names, values) => parseExpression(math, template).transform((node, path) => {
+    const index = node.isSymbolNode && path !== 'fn' ? names.indexOf(node.name) : -1;
+    if (index < 0) return node;
+    const constant = new math.ConstantNode(Number(values[index].toPrecision(6)));
+    return values[index] < 0 ? new math.ParenthesisNode(constant) : constant;
+}).toString();
+
+// Free symbols of a custom model other than x, math.js builtins and names
+// defined elsewhere in the workspace.
+export const customCoefficients = (math, template, definedNames = new Set()) => {
+    const names = new Set();
+    parseExpression(math, template).traverse((node, path) => {
+        if (!node.isSymbolNode || path === 'fn' || node.name === 'x') return;
+        if (node.name in math || definedNames.has(node.name)) return;
+        names.add(node.name);
+    });
+    return [...names].sort();
+};
+
+// --- Models ---
+
+const requirePositive = (points, axis, model) => {
+    if (points.some(p => !(p[axis] > 0))) throw new Error(`${model} fits need every ${axis} value to be positive`);
+};
+
+// Initial exponential/power coefficients from a straight-line fit of
+// ln|y|; data of mixed sign starts from a flat curve at the mean instead.
+const logLinearGuess = (points, transformX) => {
+    const sign = points.every(p => p.y > 0) ? 1 : points.every(p => p.y < 0) ? -1 : 0;
+    if (!sign) return [points.reduce((sum, p) => sum + p.y, 0) / points.length, 0];
+    const [intercept, slope] = solveLeastSquares(
+        [points.map(() => 1), points.map(p => transformX(p.x))],
+        points.map(p => Math.log(sign * p.y)),
+    );
+    return [sign * Math.exp(intercept), slope];
+};
+
+const fitModel = (math, points, options, scope, definedNames) => {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+
+    if (options.model === 'linear' || options.model === 'polynomial') {
+        const degree = options.model === 'linear' ? 1 : Math.round(Number(options.degree) || 2);
+        if (degree < 1 || degree > 10) throw new Error('Polynomial degree must be between 1 and 10');
+        const c = solveLeastSquares(Array.from({ length: degree + 1 }, (_, k) => xs.map(x => x ** k)), ys);
+        const f = x => c.reduce((sum, ck, k) => sum + ck * x ** k, 0);
+        const terms = c.map((value, k) => ({ value, suffix: k === 0 ? '' : k === 1 ? ' * x' : ` * x^${k}` })).reverse();
+        const coefficients = options.model === 'linear' ? { a: c[1], b: c[0] } : Object.fromEntries(c.map((ck, k) => [`c${k}`, ck]));
+        return { f, coefficients, expression: joinTerms(terms) };
+    }
+
+    if (options.model === 'logarithmic') {
+        requirePositive(points, 'x', 'Logarithmic');
+        const [a, b] = solveLeastSquares([xs.map(() => 1), xs.map(Math.log)], ys);
+        return { f: x => a + b * Math.log(x), coefficients: { a, b }, expression: joinTerms([{ value: a, suffix: '' }, { value: b, suffix: ' * log(x)' }]) };
+    }
+
+    if (options.model === 'exponential') {
+        const model = (x, [a, b]) => a * Math.exp(b * x);
+        const [a, b] = refineNonlinear(model, logLinearGuess(points, x => x), points);
+        return { f: x => model(x, [a, b]), coefficients: { a, b }, expression: `${formatNumber(a)} * e^(${formatNumber(b)} * x)` };
+    }
+
+    if (options.model === 'power') {
+        requirePositive(points, 'x', 'Power');
+        const model = (x, [a, b]) => a * x ** b;
+        const [a, b] = refineNonlinear(model, logLinearGuess(points, Math.log), points);
+        return { f: x => model(x, [a, b]), coefficients: { a, b }, expression: `${formatNumber(a)} * x^(${formatNumber(b)})` };
+    }
+
+    if (options.model === 'custom') {
+        const template = (options.template || '').trim();
+        if (!template) throw new Error('Enter a model such as a*sin(b*x) + c');
+        const names = customCoefficients(math, template, definedNames);
+        if (!names.length) throw new Error('The model has no free coefficients to fit');
+        const code = compileExpression(math, template);
+        const local = { ...scope };
+        const model = (x, p) => {
+            local.x = x;
+            names.forEach((name, i) => { local[name] = p[i]; });
+            const v = code.evaluate(local);
+            return typeof v === 'number' ? v : NaN;
+        };
+        const p = refineNonlinear(model, names.map(() => 1), points);
+        return {
+            f: x => model(x, p),
+            coefficients: Object.fromEntries(names.map((name, i) => [name, p[i]])),
+            expression: substituteCoefficients(math, template, names, p),
+        };
+    }
+
+    throw new Error(`Unknown regression model "${options.model}"`);
+};
+
+// Fits `options.model` to the points and returns the coefficients, R² and the
+// expression to graph. `scope` and `definedNames` let custom models use the
+// workspace's shared definitions.
+export const fitRegression = (math, points, options, scope = {}, definedNames = new Set()) => {
+    const minimum = options.model === 'polynomial' ? Math.round(Number(options.degree) || 2) + 1 : 2;
+    if (points.length < minimum) throw new Error(`This model needs at least ${minimum} points`);
+
+    const { f, coefficients, expression } = fitModel(math, points, options, scope, definedNames);
+    if (!Object.values(coefficients).every(isFinite)) throw new Error('The fit did not converge');
+
+    const mean = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const total = points.reduce((sum, p) => sum + (p.y - mean) ** 2, 0);
+    const residual = points.reduce((sum, p) => sum + (p.y - f(p.x)) ** 2, 0);
+    const r2 = total > 0 ? 1 - residual / total : null;
+    return { coefficients, expression, r2 };
+};
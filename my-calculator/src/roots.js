@@ -0,0 +1,122 @@
+// --- Root Finding ---
+// Roots of f over [lo, hi] from a dense sample. Sign changes are refined by
+// bisection and kept only if f really approaches zero there, since poles and
+// jumps change sign too. Roots of even multiplicity, where f touches zero
+// without crossing (x^2 at 0), show up as local minima of |f| between samples
+// of one sign; they are refined as critical points of f and kept when f
+// vanishes there to within rounding of the function's scale.
+
+const SAMPLES = 2000;
+const ITERATIONS = 200;
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+const asNumber = (v) => (typeof v === 'number' ? v : NaN);
+
+const bisect = (f, a, b) => {
+    let fa = f(a);
+    for (let i = 0; i < ITERATIONS; i++) {
+        const m = (a + b) / 2;
+        if (m <= a || m >= b) break;
+        const fm = f(m);
+        if (fm === 0 || isNaN(fm)) return m;
+        if ((fa < 0) === (fm < 0)) { a = m; fa = fm; }
+        else b = m;
+    }
+    return (a + b) / 2;
+};
+
+// Golden-section search for the minimum of g on [a, b], used when the
+// derivative does not change sign across a bracket.
+const minimise = (g, a, b) => {
+    let c = b - GOLDEN * (b - a), d = a + GOLDEN * (b - a);
+    let gc = g(c), gd = g(d);
+    for (let i = 0; i < ITERATIONS && c < d; i++) {
+        if (gc < gd) { b = d; d = c; gd = gc; c = b - GOLDEN * (b - a); gc = g(c); }
+        else { a = c; c = d; gc = gd; d = a + GOLDEN * (b - a); gd = g(d); }
+    }
+    return (a + b) / 2;
+};
+
+const sameRoot = (x, y, span) => Math.abs(x - y) <= 1e-9 * Math.max(span, Math.abs(x));
+
+// Returns roots sorted by x as { x, multiplicity } with multiplicity 'odd'
+// (f crosses zero) or 'even' (f touches zero). `derivative` is f'; without
+// one a central difference is used. With `jumps` set, sign changes where f
+// jumps over zero are reported too, with multiplicity 'jump'; for f' those
+// are the corners of f.
+export const findRoots = (func, lo, hi, { derivative, samples = SAMPLES, jumps = false } = {}) => {
+    const f = x => asNumber(func(x));
+    const df = derivative ? x => asNumber(derivative(x)) : numericDerivative(f);
+    const span = hi - lo;
+    if (!(span > 0)) return [];
+
+    const xs = Array.from({ length: samples + 1 }, (_, i) => lo + (i / samples) * span);
+    const ys = xs.map(f);
+    const scale = Math.max(1, ...ys.filter(isFinite).map(Math.abs));
+    const roots = [];
+    const add = (x, multiplicity) => {
+        if (isFinite(x) && !roots.some(r => sameRoot(r.x, x, span))) roots.push({ x, multiplicity });
+    };
+
+    for (let i = 0; i <= samples; i++) {
+        const y = ys[i], prev = ys[i - 1], next = ys[i + 1];
+
+        // A sample that lands exactly on a root. A function that is zero on
+        // a whole stretch has no isolated roots there.
+        if (y === 0) {
+            if (prev === 0 || next === 0) continue;
+            add(xs[i], prev * next > 0 ? 'even' : 'odd');
+            continue;
+        }
+        // Sign changes, also across a single undefined sample such as the
+        // corner of abs(x - 1) / (x - 1) landing exactly on the grid.
+        const before = isFinite(prev) ? i - 1 : i > 1 && isFinite(ys[i - 2]) ? i - 2 : -1;
+        if (before >= 0 && isFinite(y) && ys[before] * y < 0) {
+            const x = bisect(f, xs[before], xs[i]);
+            if (Math.abs(f(x)) <= 1e-6 * Math.max(Math.abs(ys[before]), Math.abs(y))) add(x, 'odd');
+            else if (jumps) add(x, 'jump');
+            continue;
+        }
+        if (i > 0 && i < samples && prev * y > 0 && y * next > 0 && Math.abs(y) <= Math.abs(prev) && Math.abs(y) < Math.abs(next)) {
+            const a = xs[i - 1], b = xs[i + 1];
+            const da = df(a), db = df(b);
+            const x = da * db < 0 ? bisect(df, a, b) : minimise(t => Math.abs(f(t)), a, b);
+            if (Math.abs(f(x)) <= 1e-10 * scale) add(x, 'even');
+        }
+    }
+    return roots.sort((p, q) => p.x - q.x);
+};
+
+// --- Critical Points ---
+// A critical point is classified by comparing f on either side, widening the
+// offset until the difference rises above rounding noise. This works when
+// f''(x) = 0, as for x^4 at 0 (a minimum) or x^3 at 0 (neither). Points where
+// f itself is discontinuous, such as the pole of 1/x^2, are not classified.
+export const classifyCriticalPoint = (func, x, span) => {
+    const f = x => asNumber(func(x));
+    const fx = f(x);
+    const noise = 1e-12 * Math.max(1, Math.abs(fx));
+    const continuous = [f(x - span * 1e-9), f(x + span * 1e-9)].every(v => Math.abs(v - fx) <= 1e-6 * Math.max(1, Math.abs(fx)));
+    if (!continuous) return null;
+    for (let delta = span * 1e-6; delta <= span * 1e-2; delta *= 10) {
+        const left = f(x - delta) - fx, right = f(x + delta) - fx;
+        if (!isFinite(left) || !isFinite(right)) return null;
+        if (Math.abs(left) <= noise || Math.abs(right) <= noise) continue;
+        if (left > 0 && right > 0) return 'min';
+        if (left < 0 && right < 0) return 'max';
+        return 'flat';
+    }
+    return null;
+};
+
+// --- Numeric Derivatives ---
+// Central differences, nested for higher orders, for use wherever symbolic
+// differentiation is unavailable.
+export const numericDerivative = (f, order = 1) => {
+    if (order === 0) return f;
+    const g = numericDerivative(f, order - 1);
+    return (x) => {
+        const h = 1e-4 * Math.max(1, Math.abs(x)) * order;
+        return (g(x + h) - g(x - h)) / (2 * h);
+    };
+};
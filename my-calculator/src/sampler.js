@@ -0,0 +1,147 @@
+// --- Adaptive Curve Sampler ---
+// Samples a curve u -> { x, y } over [uMin, uMax] into polylines in world
+// coordinates. Intervals are bisected while the midpoint strays from the
+// chord by more than a fraction of a pixel, and intervals that keep a large
+// jump at the finest level are bisected down to floating-point resolution to
+// tell a steep-but-continuous stretch from a real discontinuity. Canvas
+// drawing, SVG export and hover snapping all read this output.
+
+const INITIAL_SPACING_PX = 4;
+const FLATNESS_PX = 0.35;
+const MAX_DEPTH = 10;
+const JUMP_ITERATIONS = 60;
+const EVALUATIONS_PER_PX = 12;
+
+const isFinitePoint = (p) => isFinite(p.x) && isFinite(p.y);
+
+export const sampleCurve = (point, uMin, uMax, view, size, options = {}) => {
+    const { width, height } = size;
+    const { xMin, xMax, yMin, yMax } = view;
+    if (!(uMax > uMin) || !(width > 0) || !(height > 0)) return [];
+
+    const scaleX = width / (xMax - xMin);
+    const scaleY = height / (yMax - yMin);
+    const toPx = (p) => ({ x: (p.x - xMin) * scaleX, y: (yMax - p.y) * scaleY });
+    const pxDistance = (p, q) => {
+        const a = toPx(p), b = toPx(q);
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    };
+
+    let budget = Math.max(2000, EVALUATIONS_PER_PX * width);
+    const evaluate = (u) => {
+        budget--;
+        let p;
+        try { p = point(u); } catch { p = { x: NaN, y: NaN }; }
+        const x = typeof p.x === 'number' ? p.x : NaN;
+        const y = typeof p.y === 'number' ? p.y : NaN;
+        return { x, y, u };
+    };
+
+    // Points are clamped far outside the viewport so near-vertical strokes
+    // into an asymptote keep their direction without overflowing the canvas.
+    const xLimit = (xMax - xMin) * 1000, yLimit = (yMax - yMin) * 1000;
+    const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+
+    const segments = [];
+    let current = [];
+    const emit = (p) => {
+        if (!isFinitePoint(p)) { breakSegment(); return; }
+        current.push({ x: clamp(p.x, xMin - xLimit, xMax + xLimit), y: clamp(p.y, yMin - yLimit, yMax + yLimit), u: p.u });
+    };
+    const breakSegment = () => {
+        if (current.length > 1) segments.push(current);
+        current = [];
+    };
+
+    // A point far outside the viewport on the same side as both neighbours
+    // contributes nothing visible, so refinement stops there.
+    const offscreenTogether = (a, m, b) => {
+        const pa = toPx(a), pm = toPx(m), pb = toPx(b);
+        const margin = Math.max(width, height);
+        return (pa.y < -margin && pm.y < -margin && pb.y < -margin) ||
+            (pa.y > height + margin && pm.y > height + margin && pb.y > height + margin) ||
+            (pa.x < -margin && pm.x < -margin && pb.x < -margin) ||
+            (pa.x > width + margin && pm.x > width + margin && pb.x > width + margin);
+    };
+
+    // Bisects toward the larger jump. A continuous curve's jump shrinks to
+    // nothing; a discontinuity keeps (or grows) its gap.
+    const isolateJump = (a, b) => {
+        for (let i = 0; i < JUMP_ITERATIONS; i++) {
+            const mu = (a.u + b.u) / 2;
+            if (mu <= a.u || mu >= b.u) break;
+            const m = evaluate(mu);
+            if (!isFinitePoint(m)) return { left: a, right: b };
+            if (pxDistance(a, m) >= pxDistance(m, b)) b = m;
+            else a = m;
+        }
+        return pxDistance(a, b) > FLATNESS_PX ? { left: a, right: b } : null;
+    };
+
+    // Walks the domain boundary between a finite and a non-finite sample.
+    const isolateEdge = (finite, missing) => {
+        for (let i = 0; i < JUMP_ITERATIONS; i++) {
+            const mu = (finite.u + missing.u) / 2;
+            if (mu === finite.u || mu === missing.u) break;
+            const m = evaluate(mu);
+            if (isFinitePoint(m)) finite = m;
+            else missing = m;
+        }
+        return finite;
+    };
+
+    const refine = (a, b, depth) => {
+        const finiteA = isFinitePoint(a), finiteB = isFinitePoint(b);
+        if (!finiteA && !finiteB) { emit(b); return; }
+        if (finiteA !== finiteB) {
+            if (finiteA) { emit(isolateEdge(a, b)); breakSegment(); }
+            else { emit(isolateEdge(b, a)); emit(b); }
+            return;
+        }
+
+        const m = evaluate((a.u + b.u) / 2);
+        if (budget <= 0) { emit(b); return; }
+        if (!isFinitePoint(m)) {
+            refine(a, m, depth + 1);
+            refine(m, b, depth + 1);
+            return;
+        }
+        if (offscreenTogether(a, m, b)) { emit(m); emit(b); return; }
+
+        const pa = toPx(a), pm = toPx(m), pb = toPx(b);
+        const chord = Math.hypot(pb.x - pa.x, pb.y - pa.y);
+        const deviation = chord < 1e-9
+            ? Math.hypot(pm.x - pa.x, pm.y - pa.y)
+            : Math.abs((pb.x - pa.x) * (pa.y - pm.y) - (pa.x - pm.x) * (pb.y - pa.y)) / chord;
+
+        // A step puts the midpoint on top of one endpoint: collinear, but not
+        // splitting the chord, so it must not count as flat.
+        const split = Math.max(Math.hypot(pm.x - pa.x, pm.y - pa.y), Math.hypot(pb.x - pm.x, pb.y - pm.y));
+        const flat = deviation < FLATNESS_PX && (chord < 1 || split < chord * 0.9);
+
+        if (flat && chord < width / 4) { emit(m); emit(b); return; }
+        if (depth >= MAX_DEPTH) {
+            const jump = chord > 2 && isolateJump(a, b);
+            if (jump) {
+                emit(jump.left);
+                breakSegment();
+                emit(jump.right);
+            }
+            emit(b);
+            return;
+        }
+        refine(a, m, depth + 1);
+        refine(m, b, depth + 1);
+    };
+
+    const intervals = options.intervals || Math.max(16, Math.ceil(width / INITIAL_SPACING_PX));
+    let previous = evaluate(uMin);
+    emit(previous);
+    for (let i = 1; i <= intervals; i++) {
+        const next = evaluate(uMin + (i / intervals) * (uMax - uMin));
+        refine(previous, next, 0);
+        previous = next;
+    }
+    breakSegment();
+    return segments;
+};
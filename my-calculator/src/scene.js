@@ -0,0 +1,376 @@
+import { axisTicks, createMapping } from './axes.js';
+import { equationLabel, getEquationKind } from './curves.js';
+import { isStrictInequality } from './implicit.js';
+
+// --- Graph Scene ---
+// A panel is described once as a flat list of drawing items in pixel
+// coordinates, then either painted on a canvas or written out as SVG. The
+// on-screen canvas and every export format go through here, so they show
+// the same picture.
+//
+// Items:
+//   { type: 'rect', x, y, w, h, fill, opacity?, stroke?, lineWidth? }
+//   { type: 'rects', rects: [{ x, y, w, h }], fill, opacity }
+//   { type: 'path', segments: [[{ x, y }]], stroke?, lineWidth?, dash?, fill?, opacity?, closed? }
+//   { type: 'circle', x, y, r, fill, stroke?, lineWidth?, opacity? }
+//   { type: 'text', x, y, text, color, size, align?, baseline?, bold?, halo? }
+//
+// A text `halo` is an outline in that colour behind the letters, so labels
+// stay readable over gridlines and curves.
+
+const FONT_FAMILY = 'ui-sans-serif, system-ui, sans-serif';
+const LABEL_SIZE = 11;
+const LEGEND_SIZE = 12;
+const TITLE_SIZE = 13;
+// Minimum distance between tick labels, in pixels.
+const X_LABEL_SPACING = 70;
+const Y_LABEL_SPACING = 40;
+
+export const sceneColors = (darkMode) => ({
+    background: darkMode ? '#1f2937' : '#ffffff',
+    grid: darkMode ? '#4b5563' : '#d1d5db',
+    minorGrid: darkMode ? '#374151' : '#eef0f3',
+    axis: darkMode ? '#9ca3af' : '#6b7281',
+    text: darkMode ? '#e5e7eb' : '#1f2937',
+    outline: darkMode ? '#f9fafb' : '#11182c',
+});
+
+export const fontFor = (item) => `${item.bold ? 'bold ' : ''}${item.size}px ${FONT_FAMILY}`;
+
+// Text width without a canvas at hand, for layout only.
+const estimateWidth = (text, size) => text.length * size * 0.6;
+
+const analysisLines = (analysis) => {
+    const { mode, results } = analysis;
+    if (mode === 'integral' && results.integral && !isNaN(results.integral.value)) {
+        const sign = analysis.params.integralKind === 'between' ? 'Area' : '∫';
+        return [`${sign} ≈ ${results.integral.value.toFixed(6)}`];
+    }
+    if (mode === 'derivative' && results.derivative && !isNaN(results.derivative.value)) {
+        return [`f'(${results.derivative.x.toFixed(2)}) ≈ ${results.derivative.value.toFixed(4)}`];
+    }
+    return [];
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// --- Axes ---
+// Gridlines sit under everything else: minor ones at the minor ticks, major
+// ones at the labelled ticks. An axis is drawn where it crosses the view;
+// when it is scrolled away (or has no zero, on a log scale) its labels are
+// pinned to the nearest edge instead. With the origin on screen it gets a
+// single "0" rather than one per axis. Labels and titles go over the curves.
+const buildAxes = ({ view, width, height, settings, colors, toScreenX, toScreenY, measure }) => {
+    const lines = [];
+    const labels = [];
+    const xTicks = axisTicks(view.xMin, view.xMax, width, X_LABEL_SPACING, settings.xScale, settings.xTicks);
+    const yTicks = axisTicks(view.yMin, view.yMax, height, Y_LABEL_SPACING, settings.yScale, settings.yTicks);
+    const vertical = (x) => [{ x: toScreenX(x), y: 0 }, { x: toScreenX(x), y: height }];
+    const horizontal = (y) => [{ x: 0, y: toScreenY(y) }, { x: width, y: toScreenY(y) }];
+
+    if (settings.showGrid && settings.showMinorGrid) {
+        lines.push({ type: 'path', segments: [...xTicks.minor.map(vertical), ...yTicks.minor.map(horizontal)], stroke: colors.minorGrid, lineWidth: 0.5 });
+    }
+    if (settings.showGrid) {
+        lines.push({ type: 'path', segments: [...xTicks.major.map(t => vertical(t.value)), ...yTicks.major.map(t => horizontal(t.value))], stroke: colors.grid, lineWidth: 0.5 });
+    }
+
+    // Where each axis would be; null on a log scale, which never reaches 0.
+    const zeroY = settings.yScale === 'log' ? null : toScreenY(0);
+    const zeroX = settings.xScale === 'log' ? null : toScreenX(0);
+    const xAxisShown = zeroY !== null && zeroY >= 0 && zeroY <= height;
+    const yAxisShown = zeroX !== null && zeroX >= 0 && zeroX <= width;
+    if (xAxisShown) lines.push({ type: 'path', segments: [[{ x: 0, y: zeroY }, { x: width, y: zeroY }]], stroke: colors.axis, lineWidth: 1.5 });
+    if (yAxisShown) lines.push({ type: 'path', segments: [[{ x: zeroX, y: 0 }, { x: zeroX, y: height }]], stroke: colors.axis, lineWidth: 1.5 });
+
+    const pad = 4;
+    const axisY = clamp(zeroY ?? height, 0, height - LABEL_SIZE - pad);
+    const axisX = clamp(zeroX ?? 0, 0, width);
+    const leftSide = axisX > width - 40;
+    const originShown = xAxisShown && yAxisShown;
+    const label = (props) => labels.push({ type: 'text', color: colors.axis, size: LABEL_SIZE, halo: colors.background, ...props });
+
+    if (settings.showTickLabels) {
+        const ticks = [];
+        xTicks.major.forEach(({ value, label: text }) => {
+            const x = toScreenX(value);
+            if ((originShown && value === 0) || x < 10 || x > width - 10) return;
+            ticks.push([{ x, y: axisY - 3 }, { x, y: axisY + 3 }]);
+            label({ x, y: axisY + pad, text, align: 'center', baseline: 'top' });
+        });
+        yTicks.major.forEach(({ value, label: text }) => {
+            const y = toScreenY(value);
+            if ((originShown && value === 0) || y < 8 || y > height - 8) return;
+            ticks.push([{ x: axisX - 3, y }, { x: axisX + 3, y }]);
+            label({ x: leftSide ? axisX - pad : axisX + pad, y, text, align: leftSide ? 'right' : 'left', baseline: 'middle' });
+        });
+        if (originShown) label({ x: zeroX - pad, y: zeroY + pad, text: '0', align: 'right', baseline: 'top' });
+        labels.unshift({ type: 'path', segments: ticks, stroke: colors.axis, lineWidth: 1 });
+    }
+
+    // The x title sits at the right end above its axis, the y title at the
+    // top on the side away from the tick labels when there is room.
+    const title = (props) => labels.push({ type: 'text', color: colors.text, size: TITLE_SIZE, bold: true, halo: colors.background, ...props });
+    if (settings.xTitle) {
+        const above = axisY - pad >= TITLE_SIZE + pad;
+        title({ x: width - pad, y: above ? axisY - pad : axisY + LABEL_SIZE + pad * 2, text: settings.xTitle, align: 'right', baseline: above ? 'bottom' : 'top' });
+    }
+    if (settings.yTitle) {
+        const titleWidth = measure(settings.yTitle, TITLE_SIZE) * 1.1;
+        const onLeft = leftSide ? axisX + pad + titleWidth > width : axisX - pad - titleWidth >= 0;
+        title({ x: onLeft ? axisX - pad : axisX + pad, y: pad, text: settings.yTitle, align: onLeft ? 'right' : 'left', baseline: 'top' });
+    }
+    return { lines, labels };
+};
+
+// `scatter` is [{ color, name, points }]. `legend` lists what is drawn;
+// the screen leaves it out.
+// `pins` are the panel's pinned points and `trace` the point being traced,
+// { x, y, color }, if any.
+export const buildPanelScene = ({ view, width, height, equations, shapes, scatter, analysis, settings, darkMode, pins = [], trace = null, legend = false, measure = estimateWidth }) => {
+    const items = [];
+    const { toScreenX, toScreenY, toWorldX } = createMapping(view, { width, height }, settings);
+    const toScreen = (p) => ({ x: toScreenX(p.x), y: toScreenY(p.y) });
+    const colors = sceneColors(darkMode);
+
+    items.push({ type: 'rect', x: 0, y: 0, w: width, h: height, fill: colors.background });
+    const axes = buildAxes({ view, width, height, settings, colors, toScreenX, toScreenY, measure });
+    items.push(...axes.lines);
+
+    if (analysis.mode === 'integral' && analysis.results.integral) {
+        const eq = equations.find(e => e.id === analysis.params.integralId);
+        const { integralCurve: curve, integralBase: base } = analysis.results;
+        if (eq && curve && curve.length) {
+            // Close the polygon along the second curve, or along y = 0 (the
+            // bottom edge on a log scale, where y <= 0 has no position and is
+            // clipped to that edge before mapping).
+            const log = settings.yScale === 'log';
+            const baseY = log ? view.yMin : 0;
+            const closing = base ? [...base].reverse() : [{ x: curve[curve.length - 1].x, y: baseY }, { x: curve[0].x, y: baseY }];
+            const clip = (p) => (log && !(p.y > view.yMin) ? { x: p.x, y: view.yMin } : p);
+            items.push({ type: 'path', segments: [[...curve, ...closing].map(p => toScreen(clip(p)))], fill: eq.color, opacity: 0.25, closed: true });
+        }
+        // The bounds, which can be dragged on screen.
+        ['a', 'b'].forEach(key => {
+            const sx = toScreenX(analysis.params[key]);
+            if (!eq || !isFinite(sx)) return;
+            items.push({ type: 'path', segments: [[{ x: sx, y: 0 }, { x: sx, y: height }]], stroke: eq.color, lineWidth: 1, dash: [4, 4] });
+            items.push({ type: 'text', x: sx + 4, y: height - 6, text: key, color: eq.color, size: LABEL_SIZE, bold: true, halo: colors.background, baseline: 'bottom' });
+        });
+    }
+
+    // --- Equations ---
+    equations.forEach(eq => {
+        const shape = shapes.get(eq.id);
+        if (!shape) return;
+        if (shape.region.length) {
+            const rects = shape.region.map(r => ({ x: toScreenX(r.x), y: toScreenY(r.y + r.h), w: toScreenX(r.x + r.w) - toScreenX(r.x), h: toScreenY(r.y) - toScreenY(r.y + r.h) }));
+            items.push({ type: 'rects', rects, fill: eq.color, opacity: 0.25 });
+        }
+        const dash = getEquationKind(eq) === 'implicit' && isStrictInequality(eq.text) ? [6, 4] : null;
+        items.push({ type: 'path', segments: shape.segments.map(segment => segment.map(toScreen)), stroke: eq.color, lineWidth: 2, dash });
+    });
+
+    // --- Data Tables ---
+    scatter.forEach(({ color, points }) => points.forEach(p => {
+        items.push({ type: 'circle', x: toScreenX(p.x), y: toScreenY(p.y), r: 4, fill: color, stroke: colors.background, lineWidth: 1 });
+    }));
+
+    // --- Analysis Points ---
+    const { results } = analysis;
+    results.intersections.forEach(p => {
+        items.push({ type: 'circle', ...toScreen(p), r: 6, fill: '#db2777', stroke: colors.outline, lineWidth: 1.5 });
+    });
+    const point = (p, fill) => items.push({ type: 'circle', ...toScreen(p), r: 5, fill });
+    results.extrema.max.forEach(p => point(p, '#16a34a'));
+    results.extrema.min.forEach(p => point(p, '#dc2626'));
+    results.extrema.inflection.forEach(p => point(p, '#f59e0b'));
+    results.zeros.roots.forEach(p => point(p, '#0ea5e9'));
+    if (results.zeros.yIntercept) point(results.zeros.yIntercept, '#8b5cf6');
+
+    // --- Derivative Point and Tangent Line ---
+    if (analysis.mode === 'derivative' && results.derivative) {
+        const { x, y, tangent } = results.derivative;
+        const sx = toScreenX(x);
+        const sy = toScreenY(y);
+        if (isFinite(sx) && isFinite(sy)) {
+            items.push({ type: 'circle', x: sx, y: sy, r: 6, fill: '#f59e0b', stroke: colors.outline, lineWidth: 1.5 });
+        }
+        if (tangent) {
+            const { slope, x0, y0 } = tangent;
+            const tangentY = (tx) => slope * (tx - x0) + y0;
+            // Straight on linear axes, curved on log ones, so it is traced
+            // across the panel rather than drawn between its ends.
+            const steps = settings.xScale === 'log' || settings.yScale === 'log' ? 64 : 1;
+            const line = Array.from({ length: steps + 1 }, (_, i) => toWorldX(width * i / steps))
+                .map(tx => toScreen({ x: tx, y: tangentY(tx) }))
+                .filter(p => isFinite(p.x) && isFinite(p.y));
+            items.push({ type: 'path', segments: [line], stroke: '#f59e0b', lineWidth: 1.5, dash: [5, 5] });
+        }
+    }
+
+    items.push(...axes.labels);
+
+    // --- Pinned and Traced Points ---
+    pins.forEach(pin => {
+        const sx = toScreenX(pin.x);
+        const sy = toScreenY(pin.y);
+        if (!isFinite(sx) || !isFinite(sy)) return;
+        items.push({ type: 'circle', x: sx, y: sy, r: 5, fill: pin.color, stroke: colors.outline, lineWidth: 1.5 });
+        items.push({ type: 'text', x: sx + 8, y: sy - 8, text: `(${pin.x.toFixed(3)}, ${pin.y.toFixed(3)})`, color: colors.text, size: LABEL_SIZE, halo: colors.background, baseline: 'bottom' });
+    });
+    if (trace) {
+        const sx = toScreenX(trace.x);
+        const sy = toScreenY(trace.y);
+        if (isFinite(sx)) items.push({ type: 'path', segments: [[{ x: sx, y: 0 }, { x: sx, y: height }]], stroke: trace.color, lineWidth: 1, dash: [2, 4] });
+        if (isFinite(sx) && isFinite(sy)) items.push({ type: 'circle', x: sx, y: sy, r: 7, fill: colors.background, stroke: trace.color, lineWidth: 3 });
+    }
+
+    if (legend) items.push(...buildLegend({ equations: equations.filter(eq => shapes.get(eq.id)), scatter, analysis, colors, measure, width }));
+    return items;
+};
+
+// Equations and data series with their colours, then any analysis value,
+// in a box at the top right, clear of the y-axis title.
+const buildLegend = ({ equations, scatter, analysis, colors, measure, width }) => {
+    const rows = [
+        ...equations.map(eq => ({ text: equationLabel(eq), color: eq.color, marker: 'line' })),
+        ...scatter.filter(s => s.points.length).map(s => ({ text: s.name, color: s.color, marker: 'dot' })),
+        ...analysisLines(analysis).map(text => ({ text, marker: null })),
+    ];
+    if (!rows.length) return [];
+    const pad = 8;
+    const lineHeight = LEGEND_SIZE + 6;
+    const swatch = 18;
+    const textWidth = Math.max(...rows.map(row => measure(row.text, LEGEND_SIZE)));
+    const boxWidth = pad * 2 + swatch + 6 + textWidth;
+    const left = width - pad - boxWidth;
+    const items = [{
+        type: 'rect', x: left, y: pad, w: boxWidth, h: pad * 2 + rows.length * lineHeight - 6,
+        fill: colors.background, opacity: 0.85, stroke: colors.grid, lineWidth: 1,
+    }];
+    rows.forEach((row, i) => {
+        const x = left + pad;
+        const y = pad * 2 + i * lineHeight + LEGEND_SIZE / 2;
+        if (row.marker === 'line') items.push({ type: 'path', segments: [[{ x, y }, { x: x + swatch, y }]], stroke: row.color, lineWidth: 2 });
+        if (row.marker === 'dot') items.push({ type: 'circle', x: x + swatch / 2, y, r: 4, fill: row.color });
+        items.push({ type: 'text', x: x + swatch + 6, y, text: row.text, color: colors.text, size: LEGEND_SIZE, baseline: 'middle' });
+    });
+    return items;
+};
+
+// --- Canvas ---
+
+const tracePath = (ctx, item) => {
+    ctx.beginPath();
+    item.segments.forEach(segment => segment.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+    }));
+    if (item.closed) ctx.closePath();
+};
+
+export const drawScene = (ctx, items) => items.forEach(item => {
+    ctx.save();
+    ctx.globalAlpha = item.opacity ?? 1;
+    if (item.type === 'rect') {
+        ctx.fillStyle = item.fill;
+        ctx.fillRect(item.x, item.y, item.w, item.h);
+        if (item.stroke) {
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = item.stroke;
+            ctx.lineWidth = item.lineWidth;
+            ctx.strokeRect(item.x, item.y, item.w, item.h);
+        }
+    } else if (item.type === 'rects') {
+        ctx.fillStyle = item.fill;
+        item.rects.forEach(r => ctx.fillRect(r.x, r.y, r.w, r.h));
+    } else if (item.type === 'path') {
+        if (item.fill) {
+            tracePath(ctx, item);
+            ctx.fillStyle = item.fill;
+            ctx.fill();
+        }
+        if (item.stroke) {
+            // Segments are stroked one by one, as separate strokes join
+            // differently from one long path.
+            ctx.strokeStyle = item.stroke;
+            ctx.lineWidth = item.lineWidth;
+            ctx.setLineDash(item.dash || []);
+            item.segments.forEach(segment => {
+                tracePath(ctx, { segments: [segment] });
+                ctx.stroke();
+            });
+        }
+    } else if (item.type === 'circle') {
+        ctx.beginPath();
+        ctx.arc(item.x, item.y, item.r, 0, 2 * Math.PI);
+        ctx.fillStyle = item.fill;
+        ctx.fill();
+        if (item.stroke) {
+            ctx.strokeStyle = item.stroke;
+            ctx.lineWidth = item.lineWidth;
+            ctx.stroke();
+        }
+    } else if (item.type === 'text') {
+        ctx.font = fontFor(item);
+        ctx.fillStyle = item.color;
+        ctx.textAlign = item.align || 'left';
+        ctx.textBaseline = item.baseline || 'alphabetic';
+        if (item.halo) {
+            ctx.strokeStyle = item.halo;
+            ctx.lineWidth = 3;
+            ctx.lineJoin = 'round';
+            ctx.strokeText(item.text, item.x, item.y);
+        }
+        ctx.fillText(item.text, item.x, item.y);
+    }
+    ctx.restore();
+});
+
+// --- SVG ---
+
+const escapeXml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const n = (value) => (Number.isFinite(value) ? value.toFixed(2) : '0');
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+const BASELINES = { top: 'hanging', middle: 'central', bottom: 'text-after-edge' };
+
+const svgPathData = (item) => item.segments.map(segment => segment.map((p, i) => `${i === 0 ? 'M' : 'L'}${n(p.x)},${n(p.y)}`).join(' ')).join(' ') + (item.closed ? ' Z' : '');
+
+const svgItem = (item) => {
+    const opacity = item.opacity !== undefined && item.opacity !== 1 ? ` fill-opacity="${item.opacity}"` : '';
+    const stroke = item.stroke ? ` stroke="${item.stroke}" stroke-width="${item.lineWidth}"` : '';
+    if (item.type === 'rect') {
+        return `<rect x="${n(item.x)}" y="${n(item.y)}" width="${n(item.w)}" height="${n(item.h)}" fill="${item.fill}"${opacity}${stroke} />`;
+    }
+    if (item.type === 'rects') {
+        const rects = item.rects.map(r => `<rect x="${n(r.x)}" y="${n(r.y)}" width="${n(r.w)}" height="${n(r.h)}" />`).join('');
+        return `<g fill="${item.fill}"${opacity} shape-rendering="crispEdges">${rects}</g>`;
+    }
+    if (item.type === 'path') {
+        if (!item.segments.some(segment => segment.length)) return '';
+        const dash = item.dash ? ` stroke-dasharray="${item.dash.join(' ')}"` : '';
+        return `<path d="${svgPathData(item)}" fill="${item.fill || 'none'}"${opacity}${stroke}${dash} stroke-linejoin="round" />`;
+    }
+    if (item.type === 'circle') {
+        // As on the canvas, the outline fades with the fill.
+        const faded = item.opacity !== undefined && item.opacity !== 1 ? ` opacity="${item.opacity}"` : '';
+        return `<circle cx="${n(item.x)}" cy="${n(item.y)}" r="${item.r}" fill="${item.fill}"${faded}${stroke} />`;
+    }
+    if (item.type === 'text') {
+        const anchor = TEXT_ANCHORS[item.align || 'left'];
+        const baseline = BASELINES[item.baseline] ? ` dominant-baseline="${BASELINES[item.baseline]}"` : '';
+        const halo = item.halo ? ` stroke="${item.halo}" stroke-width="3" stroke-linejoin="round" paint-order="stroke"` : '';
+        return `<text x="${n(item.x)}" y="${n(item.y)}" fill="${item.color}"${halo} font-family="${FONT_FAMILY}" font-size="${item.size}"${item.bold ? ' font-weight="bold"' : ''} text-anchor="${anchor}"${baseline}>${escapeXml(item.text)}</text>`;
+    }
+    return '';
+};
+
+// Each panel becomes a nested <svg>, which clips what it contains.
+export const sceneToSvg = (width, height, frames, background) => [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(width)}" height="${Math.round(height)}" viewBox="0 0 ${n(width)} ${n(height)}">`,
+    `<rect width="100%" height="100%" fill="${background}" />`,
+    ...frames.map(({ x, y, width: w, height: h, items }) =>
+        `<svg x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}">\n${items.map(svgItem).filter(Boolean).join('\n')}\n</svg>`),
+    '</svg>',
+].join('\n');
@@ -0,0 +1,139 @@
+import { axisScale } from './axes.js';
+
+// --- Audio Graph ---
+// A function is played left to right across the view with its y value as
+// the pitch, plus short cues where it crosses the x-axis, breaks off, or
+// passes a point found by the analysis tools. Everything here is plain
+// data: `readCurve` runs in the graph worker on the sampled segments,
+// `buildScore` lays the sound out in time, and audio.js plays it.
+
+export const PITCH_RANGES = [
+    { id: 'low', label: 'Low (C2–C4)', low: 65.41, high: 261.63 },
+    { id: 'medium', label: 'Medium (C3–C5)', low: 130.81, high: 523.25 },
+    { id: 'high', label: 'High (C4–C6)', low: 261.63, high: 1046.5 },
+    { id: 'wide', label: 'Wide (C2–C6)', low: 65.41, high: 1046.5 },
+];
+
+export const CUE_LABELS = {
+    crossing: 'x-axis crossing',
+    break: 'discontinuity',
+    root: 'zero',
+    max: 'maximum',
+    min: 'minimum',
+    inflection: 'inflection point',
+    intersection: 'intersection',
+};
+
+// `duration` is the seconds one sweep of the view takes and `stereo` how
+// far (0 to 1) the sound moves from the left speaker to the right with x.
+export const DEFAULT_SONIFY_OPTIONS = { duration: 5, range: 'medium', stereo: 1 };
+
+// Pitch steps per sweep, evenly spaced along the x axis.
+const STEPS = 256;
+// Cues beyond this many (a curve like sin(1/x)) would only be noise.
+const MAX_CUES = 200;
+
+// Where x falls across the view, 0 at the left edge and 1 at the right, in
+// axis space so a log axis plays evenly.
+const positionIn = (view, settings) => {
+    const { forward } = axisScale(settings, 'x');
+    const from = forward(view.xMin), span = forward(view.xMax) - from;
+    return (x) => (forward(x) - from) / span;
+};
+
+// The y value at `x` on a segment of increasing x, interpolated between
+// samples.
+const valueAt = (segment, x) => {
+    let lo = 0, hi = segment.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (segment[mid].x <= x) lo = mid;
+        else hi = mid;
+    }
+    const a = segment[lo], b = segment[hi];
+    return b.x === a.x ? a.y : a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x);
+};
+
+// Reads the sampled segments of a function row (see sampleEquation) into
+// { samples: [{ x, y }], crossings: [x], breaks: [x] }: y at each step (NaN
+// where the function is undefined), where it crosses y = 0, and where a
+// segment starts or ends inside the view.
+export const readCurve = (segments, view, settings) => {
+    const position = positionIn(view, settings);
+    const { forward, inverse } = axisScale(settings, 'x');
+    const from = forward(view.xMin), span = forward(view.xMax) - from;
+    const ordered = segments.filter(s => s.length > 1).sort((a, b) => a[0].x - b[0].x);
+
+    const samples = Array.from({ length: STEPS + 1 }, (_, i) => {
+        const x = inverse(from + span * i / STEPS);
+        const segment = ordered.find(s => s[0].x <= x && x <= s[s.length - 1].x);
+        return { x, y: segment ? valueAt(segment, x) : NaN };
+    });
+
+    // A run of samples on the axis (all of y = 0) is one crossing.
+    const crossings = [];
+    ordered.forEach(segment => segment.forEach((p, i) => {
+        const q = segment[i + 1];
+        if (p.y === 0) {
+            if (i === 0 || segment[i - 1].y !== 0) crossings.push(p.x);
+        } else if (q && q.y !== 0 && (p.y < 0) !== (q.y < 0)) crossings.push(p.x + (q.x - p.x) * p.y / (p.y - q.y));
+    }));
+
+    // Ends closer together than a step are one break.
+    const breaks = [];
+    ordered.forEach(segment => [segment[0].x, segment[segment.length - 1].x].forEach(x => {
+        const at = position(x);
+        if (at <= 1e-9 || at >= 1 - 1e-9) return;
+        if (!breaks.some(b => Math.abs(position(b) - at) < 1 / STEPS)) breaks.push(x);
+    }));
+
+    return { samples, crossings, breaks };
+};
+
+// The analysis results that belong to equation `id`, as cue points.
+export const analysisCues = ({ params, results }, id) => [
+    ...(params.zerosId === id ? results.zeros.roots.map(p => ({ x: p.x, kind: 'root' })) : []),
+    ...(params.extremaId === id ? [
+        ...results.extrema.max.map(p => ({ x: p.x, kind: 'max' })),
+        ...results.extrema.min.map(p => ({ x: p.x, kind: 'min' })),
+        ...results.extrema.inflection.map(p => ({ x: p.x, kind: 'inflection' })),
+    ] : []),
+    ...(params.eq1Id === id || params.eq2Id === id ? results.intersections.map(p => ({ x: p.x, kind: 'intersection' })) : []),
+];
+
+// Lays out a sweep as { duration, tones, cues }. Tones are
+// { time, frequency, gain, pan } with a null frequency for silence; y values
+// beyond the view clamp to the ends of the pitch range and play quieter.
+// Cues are { time, kind, pan }, in time order. Times are in seconds.
+export const buildScore = ({ curve, points = [], view, settings, options }) => {
+    const { duration, stereo } = options;
+    const range = PITCH_RANGES.find(r => r.id === options.range) || PITCH_RANGES[0];
+    const position = positionIn(view, settings);
+    const y = axisScale(settings, 'y');
+    const yFrom = y.forward(view.yMin), ySpan = y.forward(view.yMax) - yFrom;
+    const pan = (at) => stereo * (2 * at - 1);
+
+    const tones = curve.samples.map(s => {
+        const at = position(s.x);
+        const height = (y.forward(s.y) - yFrom) / ySpan;
+        if (!isFinite(height)) return { time: at * duration, frequency: null, gain: 0, pan: pan(at) };
+        const clamped = Math.min(Math.max(height, 0), 1);
+        return { time: at * duration, frequency: range.low * Math.pow(range.high / range.low, clamped), gain: clamped === height ? 1 : 0.4, pan: pan(at) };
+    });
+
+    // A zero found by the analysis replaces the plain crossing cue there.
+    const roots = points.filter(p => p.kind === 'root').map(p => position(p.x));
+    const cuePoints = [
+        ...curve.crossings.filter(x => !roots.some(at => Math.abs(at - position(x)) < 1 / STEPS)).map(x => ({ x, kind: 'crossing' })),
+        ...curve.breaks.map(x => ({ x, kind: 'break' })),
+        ...points,
+    ];
+    const cues = cuePoints
+        .map(p => ({ at: position(p.x), kind: p.kind }))
+        .filter(c => c.at >= 0 && c.at <= 1)
+        .sort((a, b) => a.at - b.at)
+        .slice(0, MAX_CUES)
+        .map(c => ({ time: c.at * duration, kind: c.kind, pan: pan(c.at) }));
+
+    return { duration, tones, cues };
+};
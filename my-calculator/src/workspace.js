@@ -0,0 +1,315 @@
+import { AXIS_SCALES, DEFAULT_SETTINGS, TICK_MODES } from './axes.js';
+import { EQUATION_KINDS, equationLabel } from './curves.js';
+import { PALETTES } from './palettes.js';
+import { PANEL_LAYOUTS, createPanel } from './panels.js';
+import { REGRESSION_MODELS } from './regression.js';
+
+// --- Workspace Files ---
+// A saved workspace is JSON with a `version`. Files from older versions are
+// migrated forward one version at a time and then validated as the current
+// version, so the validator only ever knows one shape. Validation collects
+// every problem with the path of the offending field instead of stopping at
+// the first, and a file with any problem is not loaded.
+//
+// JSON has no Infinity or NaN and would write null for them, which loses
+// integral bounds such as [0, ∞). Non-finite numbers are written as
+// { "$number": "Infinity" } and read back by the reviver.
+
+export const WORKSPACE_VERSION = 2;
+
+export const ANALYSIS_MODES = ['integral', 'intersections', 'extrema', 'zeros', 'derivative'];
+
+export const DEFAULT_ANALYSIS_PARAMS = { eq1Id: null, eq2Id: null, extremaId: null, zerosId: null, integralKind: 'single', integralId: null, integralId2: null, a: -2, b: 2, derivativeId: null, derivativeX: 0 };
+
+export const EMPTY_RESULTS = { intersections: [], extrema: { min: [], max: [], inflection: [] }, zeros: { roots: [], yIntercept: null }, integral: null, derivative: null };
+
+const encodeNumber = (key, value) => (typeof value === 'number' && !isFinite(value) ? { $number: String(value) } : value);
+const decodeNumber = (key, value) => (value && typeof value === 'object' && typeof value.$number === 'string' && Object.keys(value).length === 1 ? Number(value.$number) : value);
+
+// The whole session: everything needed to pick up where the user left off.
+export const serializeWorkspace = ({ equations, tables, panels, layout, settings, darkMode, parameters, analysis }) => JSON.stringify({
+    version: WORKSPACE_VERSION,
+    equations, tables, panels, layout, settings, darkMode, parameters,
+    analysis: { mode: analysis.mode, params: analysis.params, results: analysis.results },
+}, encodeNumber, 2);
+
+// The saved parts of a session, for telling whether it has changed since it
+// was saved or opened. Every edit replaces the objects it touches (as for
+// the undo history), so comparing the parts by reference is enough.
+// Analysis results are left out since they follow from the rest.
+export const workspaceParts = ({ equations, tables, panels, layout, settings, darkMode, parameters, analysis }) =>
+    [equations, tables, panels, layout, settings, darkMode, parameters, analysis.mode, analysis.params];
+
+export const sameParts = (a, b) => a.length === b.length && a.every((part, i) => part === b[i]);
+
+// --- Migrations ---
+// MIGRATIONS[n] turns a version n file into version n + 1. Files written
+// before versioning have no `version` and count as version 1.
+
+const MIGRATIONS = {
+    // Version 1 held one `view` (panels and layout came later without a
+    // version bump) and left out the theme and analysis. A file with
+    // neither a view nor panels ends up with no panels and fails validation.
+    1: (data) => {
+        const { view, ...rest } = data;
+        return {
+            tables: [],
+            parameters: {},
+            layout: 'columns',
+            darkMode: false,
+            analysis: { mode: null, params: DEFAULT_ANALYSIS_PARAMS, results: EMPTY_RESULTS },
+            ...rest,
+            panels: Array.isArray(data.panels) && data.panels.length ? data.panels : view === undefined ? [] : [createPanel(view)],
+            version: 2,
+        };
+    },
+};
+
+// --- Validation ---
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumeric = (v) => (typeof v === 'number' && !isNaN(v)) || (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v)));
+const isColor = (v) => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+const isId = (v) => typeof v === 'number' && isFinite(v);
+const isModel = (v) => REGRESSION_MODELS.some(m => m.id === v);
+
+const createChecker = () => {
+    const errors = [];
+    const check = (path, ok, message) => {
+        if (!ok) errors.push(`${path}: ${message}`);
+        return ok;
+    };
+    return { errors, check };
+};
+
+const checkList = (check, path, list, checkItem) => {
+    if (!check(path, Array.isArray(list), 'expected a list')) return;
+    const ids = new Set();
+    list.forEach((item, i) => {
+        const itemPath = `${path}[${i}]`;
+        if (!check(itemPath, isObject(item), 'expected an object')) return;
+        if (check(`${itemPath}.id`, isId(item.id), 'expected a numeric id')) {
+            if (!check(`${itemPath}.id`, !ids.has(item.id), `duplicate id ${item.id}`)) return;
+            ids.add(item.id);
+        }
+        checkItem(item, itemPath);
+    });
+};
+
+const checkEquation = (check) => (eq, path) => {
+    check(`${path}.color`, isColor(eq.color), 'expected a color like #3b82f6');
+    check(`${path}.visible`, typeof eq.visible === 'boolean', 'expected true or false');
+    if (!check(`${path}.kind`, eq.kind === undefined || EQUATION_KINDS.includes(eq.kind), `expected one of ${EQUATION_KINDS.join(', ')}`)) return;
+    if (eq.kind === 'parametric') {
+        check(`${path}.xText`, typeof eq.xText === 'string', 'expected text');
+        check(`${path}.yText`, typeof eq.yText === 'string', 'expected text');
+        check(`${path}.tMin`, isNumeric(eq.tMin), 'expected a number');
+        check(`${path}.tMax`, isNumeric(eq.tMax), 'expected a number');
+        return;
+    }
+    check(`${path}.text`, typeof eq.text === 'string', 'expected text');
+    if (eq.kind === 'polar') {
+        check(`${path}.thetaMin`, isNumeric(eq.thetaMin), 'expected a number');
+        check(`${path}.thetaMax`, isNumeric(eq.thetaMax), 'expected a number');
+    }
+};
+
+const checkTable = (check) => (table, path) => {
+    check(`${path}.name`, typeof table.name === 'string', 'expected text');
+    check(`${path}.color`, isColor(table.color), 'expected a color like #3b82f6');
+    check(`${path}.visible`, typeof table.visible === 'boolean', 'expected true or false');
+    check(`${path}.text`, typeof table.text === 'string', 'expected text');
+    check(`${path}.xColumn`, Number.isInteger(Number(table.xColumn)) && Number(table.xColumn) >= 0, 'expected a column number');
+    check(`${path}.yColumn`, Number.isInteger(Number(table.yColumn)) && Number(table.yColumn) >= 0, 'expected a column number');
+    check(`${path}.model`, isModel(table.model), `expected one of ${REGRESSION_MODELS.map(m => m.id).join(', ')}`);
+    check(`${path}.degree`, Number.isInteger(Number(table.degree)), 'expected a whole number');
+    check(`${path}.template`, typeof table.template === 'string', 'expected text');
+    // Fits are shown as saved, so everything the table's fit list reads is
+    // checked: the model, each coefficient and R² (null for flat data).
+    checkList(check, `${path}.fits`, table.fits, (fit, fitPath) => {
+        check(`${fitPath}.equationId`, isId(fit.equationId), 'expected a numeric equation id');
+        check(`${fitPath}.model`, isModel(fit.model), `expected one of ${REGRESSION_MODELS.map(m => m.id).join(', ')}`);
+        check(`${fitPath}.expression`, typeof fit.expression === 'string', 'expected text');
+        check(`${fitPath}.coefficients`, isObject(fit.coefficients) && Object.values(fit.coefficients).every(v => typeof v === 'number' && isFinite(v)), 'expected finite numbers by name');
+        check(`${fitPath}.r2`, fit.r2 === null || typeof fit.r2 === 'number', 'expected a number or null');
+    });
+};
+
+const checkView = (check, path, view) => {
+    if (!check(path, isObject(view), 'expected an object')) return;
+    const bounds = ['xMin', 'xMax', 'yMin', 'yMax'].filter(key => check(`${path}.${key}`, isNumeric(view[key]) && isFinite(Number(view[key])), 'expected a finite number'));
+    if (bounds.length < 4) return;
+    check(path, Number(view.xMin) < Number(view.xMax), 'xMin must be less than xMax');
+    check(path, Number(view.yMin) < Number(view.yMax), 'yMin must be less than yMax');
+};
+
+const checkPanel = (check) => (panel, path) => {
+    checkView(check, `${path}.view`, panel.view);
+    check(`${path}.hidden`, Array.isArray(panel.hidden) && panel.hidden.every(isId), 'expected a list of ids');
+    check(`${path}.linkX`, typeof panel.linkX === 'boolean', 'expected true or false');
+    if (panel.pins === undefined) return;
+    checkList(check, `${path}.pins`, panel.pins, (pin, pinPath) => {
+        check(`${pinPath}.x`, typeof pin.x === 'number' && isFinite(pin.x), 'expected a finite number');
+        check(`${pinPath}.y`, typeof pin.y === 'number' && isFinite(pin.y), 'expected a finite number');
+        check(`${pinPath}.color`, isColor(pin.color), 'expected a color like #3b82f6');
+    });
+};
+
+// Settings added since version 2 (the grid, axis, aspect and palette
+// options) may be missing and take their defaults. A log axis needs every
+// panel's range above zero.
+const checkSettings = (check, settings, panels) => {
+    ['showGrid', 'showMinorGrid', 'showTickLabels', 'lockAspect'].forEach(key =>
+        check(`settings.${key}`, (key !== 'showGrid' && settings[key] === undefined) || typeof settings[key] === 'boolean', 'expected true or false'));
+    ['x', 'y'].forEach(axis => {
+        const scale = settings[`${axis}Scale`], ticks = settings[`${axis}Ticks`], title = settings[`${axis}Title`];
+        check(`settings.${axis}Scale`, scale === undefined || AXIS_SCALES.includes(scale), `expected one of ${AXIS_SCALES.join(', ')}`);
+        check(`settings.${axis}Ticks`, ticks === undefined || TICK_MODES.includes(ticks), `expected one of ${TICK_MODES.join(', ')}`);
+        check(`settings.${axis}Title`, title === undefined || typeof title === 'string', 'expected text');
+    });
+    const palettes = PALETTES.map(p => p.id);
+    check('settings.palette', settings.palette === undefined || palettes.includes(settings.palette), `expected one of ${palettes.join(', ')}`);
+    ['x', 'y'].filter(axis => settings[`${axis}Scale`] === 'log' && Array.isArray(panels)).forEach(axis => {
+        panels.forEach((panel, i) => {
+            const min = isObject(panel) && isObject(panel.view) ? panel.view[`${axis}Min`] : undefined;
+            if (isNumeric(min)) check(`panels[${i}].view.${axis}Min`, Number(min) > 0, `expected a positive number on a log ${axis}-axis`);
+        });
+    });
+};
+
+const checkPoints = (check, path, points) => {
+    if (!check(path, Array.isArray(points), 'expected a list')) return;
+    points.forEach((p, i) => check(`${path}[${i}]`, isObject(p) && typeof p.x === 'number' && typeof p.y === 'number', 'expected a point { x, y }'));
+};
+
+// An integral or derivative result: null, or an object whose `numbers` are
+// numbers (NaN where there is no value), as the panel and the canvas read them.
+const checkResult = (check, path, result, numbers, checkRest) => {
+    if (result === null) return;
+    if (!check(path, isObject(result), 'expected null or an object')) return;
+    numbers.forEach(key => check(`${path}.${key}`, typeof result[key] === 'number', 'expected a number'));
+    checkRest(result, path);
+};
+
+const checkAnalysis = (check, analysis) => {
+    if (!check('analysis', isObject(analysis), 'expected an object')) return;
+    check('analysis.mode', analysis.mode === null || ANALYSIS_MODES.includes(analysis.mode), `expected null or one of ${ANALYSIS_MODES.join(', ')}`);
+
+    const { params, results } = analysis;
+    if (check('analysis.params', isObject(params), 'expected an object')) {
+        ['eq1Id', 'eq2Id', 'extremaId', 'zerosId', 'integralId', 'integralId2', 'derivativeId'].forEach(key =>
+            check(`analysis.params.${key}`, params[key] === undefined || params[key] === null || isId(params[key]), 'expected an equation id or null'));
+        check('analysis.params.integralKind', params.integralKind === undefined || ['single', 'between'].includes(params.integralKind), 'expected single or between');
+        ['a', 'b'].forEach(key => check(`analysis.params.${key}`, params[key] === undefined || isNumeric(params[key]), 'expected a number or ±Infinity'));
+        check('analysis.params.derivativeX', params.derivativeX === undefined || isNumeric(params.derivativeX), 'expected a number');
+    }
+    if (check('analysis.results', isObject(results), 'expected an object')) {
+        checkPoints(check, 'analysis.results.intersections', results.intersections);
+        if (check('analysis.results.extrema', isObject(results.extrema), 'expected an object')) {
+            ['min', 'max', 'inflection'].forEach(key => checkPoints(check, `analysis.results.extrema.${key}`, results.extrema[key]));
+        }
+        if (check('analysis.results.zeros', isObject(results.zeros), 'expected an object')) {
+            checkPoints(check, 'analysis.results.zeros.roots', results.zeros.roots);
+            if (results.zeros.yIntercept !== null) checkPoints(check, 'analysis.results.zeros.yIntercept', [results.zeros.yIntercept]);
+        }
+        ['integralCurve', 'integralBase'].forEach(key => {
+            if (results[key] !== undefined && results[key] !== null) checkPoints(check, `analysis.results.${key}`, results[key]);
+        });
+        checkResult(check, 'analysis.results.integral', results.integral, ['value', 'error'], (integral, path) =>
+            check(`${path}.warning`, integral.warning === undefined || integral.warning === null || typeof integral.warning === 'string', 'expected text or null'));
+        checkResult(check, 'analysis.results.derivative', results.derivative, ['value', 'x', 'y'], (derivative, path) => {
+            const { tangent } = derivative;
+            if (tangent === undefined || tangent === null) return;
+            check(`${path}.tangent`, isObject(tangent) && ['slope', 'x0', 'y0'].every(key => typeof tangent[key] === 'number'), 'expected null or { slope, x0, y0 }');
+        });
+    }
+};
+
+const validateWorkspace = (data) => {
+    const { errors, check } = createChecker();
+    checkList(check, 'equations', data.equations, checkEquation(check));
+    checkList(check, 'tables', data.tables, checkTable(check));
+    if (check('panels', Array.isArray(data.panels) && data.panels.length > 0, 'expected at least one panel')) {
+        checkList(check, 'panels', data.panels, checkPanel(check));
+    }
+    check('layout', PANEL_LAYOUTS.some(l => l.id === data.layout), `expected one of ${PANEL_LAYOUTS.map(l => l.id).join(', ')}`);
+    if (check('settings', isObject(data.settings), 'expected an object')) {
+        checkSettings(check, data.settings, data.panels);
+    }
+    check('darkMode', typeof data.darkMode === 'boolean', 'expected true or false');
+    if (check('parameters', isObject(data.parameters), 'expected an object')) {
+        Object.entries(data.parameters).forEach(([name, parameter]) => {
+            if (!check(`parameters.${name}`, isObject(parameter), 'expected an object')) return;
+            ['value', 'min', 'max', 'step'].forEach(key =>
+                check(`parameters.${name}.${key}`, parameter[key] === undefined || isNumeric(parameter[key]), 'expected a number'));
+        });
+    }
+    checkAnalysis(check, data.analysis);
+    return errors;
+};
+
+// Parses, migrates and validates a workspace file. Returns { workspace,
+// errors, migratedFrom }; `workspace` is null unless `errors` is empty.
+export const readWorkspace = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text, decodeNumber);
+    } catch (e) {
+        return { workspace: null, errors: [`Not a JSON file: ${e.message}`], migratedFrom: null };
+    }
+    if (!isObject(data)) return { workspace: null, errors: ['Expected a workspace object'], migratedFrom: null };
+
+    const version = data.version === undefined ? 1 : data.version;
+    if (!Number.isInteger(version) || version < 1) return { workspace: null, errors: [`version: unknown version ${JSON.stringify(data.version)}`], migratedFrom: null };
+    if (version > WORKSPACE_VERSION) {
+        return { workspace: null, errors: [`version: this file was saved by a newer version of the app (format ${version}, this app reads up to ${WORKSPACE_VERSION})`], migratedFrom: null };
+    }
+    for (let v = version; v < WORKSPACE_VERSION; v++) data = MIGRATIONS[v](data);
+
+    const errors = validateWorkspace(data);
+    if (errors.length) return { workspace: null, errors, migratedFrom: null };
+    // Settings, analysis fields and pins added since the file was written
+    // take their defaults.
+    const settings = { ...DEFAULT_SETTINGS, ...data.settings };
+    const panels = data.panels.map(panel => ({ pins: [], ...panel }));
+    const analysis = {
+        mode: data.analysis.mode,
+        params: { ...DEFAULT_ANALYSIS_PARAMS, ...data.analysis.params },
+        results: { ...EMPTY_RESULTS, ...data.analysis.results },
+    };
+    return { workspace: { ...data, panels, settings, analysis }, errors, migratedFrom: version < WORKSPACE_VERSION ? version : null };
+};
+
+// --- Load Preview ---
+// What loading `incoming` would change, as { type: 'add' | 'remove' |
+// 'change', text } lines. Equations and tables are matched by id.
+
+const diffList = (current, incoming, describe) => {
+    const lines = [];
+    incoming.forEach(item => {
+        const old = current.find(c => c.id === item.id);
+        if (!old) lines.push({ type: 'add', text: describe(item) });
+        else if (JSON.stringify(old) !== JSON.stringify(item)) lines.push({ type: 'change', text: describe(item) });
+    });
+    current.filter(c => !incoming.some(item => item.id === c.id)).forEach(item => lines.push({ type: 'remove', text: describe(item) }));
+    return lines;
+};
+
+export const diffWorkspace = (current, incoming) => {
+    const lines = [
+        ...diffList(current.equations, incoming.equations, eq => equationLabel(eq)),
+        ...diffList(current.tables, incoming.tables, table => `Table "${table.name}"`),
+    ];
+    if (current.panels.length !== incoming.panels.length || current.layout !== incoming.layout) {
+        lines.push({ type: 'change', text: `${incoming.panels.length} panel${incoming.panels.length === 1 ? '' : 's'}, ${(PANEL_LAYOUTS.find(l => l.id === incoming.layout) || {}).label} layout` });
+    } else if (JSON.stringify(current.panels.map(p => p.view)) !== JSON.stringify(incoming.panels.map(p => p.view))) {
+        lines.push({ type: 'change', text: 'Panel views' });
+    }
+    if (current.darkMode !== incoming.darkMode) lines.push({ type: 'change', text: `${incoming.darkMode ? 'Dark' : 'Light'} theme` });
+    if (JSON.stringify(current.settings) !== JSON.stringify(incoming.settings)) lines.push({ type: 'change', text: 'Settings' });
+    if (JSON.stringify(current.parameters) !== JSON.stringify(incoming.parameters)) lines.push({ type: 'change', text: 'Parameter sliders' });
+    if (current.analysis.mode !== incoming.analysis.mode) {
+        lines.push({ type: 'change', text: incoming.analysis.mode ? `Analysis: ${incoming.analysis.mode}` : 'No active analysis' });
+    }
+    return lines;
+};